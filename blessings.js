@@ -1,1034 +1,1041 @@
 // 1024程序员节祝福语数据库
+// 每条祝福语都是一条记录：id 发布后保持不变，修正文案时只改 text，
+// 进度、收藏和搜索都以 id 作为祝福语的唯一标识。
+// 字段：id, text, tags, author, source, lang, addedAt（YYYY-MM-DD）
+// 旧格式（分类 -> 字符串数组）仍可被 BlessingManager 加载。
+
+/** @type {string} 数据集版本，新增或修订祝福语时递增 */
+const BLESSING_DATABASE_VERSION = '2.0.0';
+
 const BLESSING_DATABASE = {
     "节日祝福": [
-        "1024程序员节快乐！愿你的代码永远没有bug！",
-        "在这个特殊的日子里，愿你的程序运行如丝般顺滑！",
-        "1024节日快乐！愿你的每一行代码都充满智慧！",
-        "程序员节快乐！愿你的算法效率永远是O(1)！",
-        "1024快乐！愿你的代码像诗一样优美！",
-        "节日快乐！愿你的程序永远不会内存泄漏！",
-        "1024程序员节，愿你的代码审查永远通过！",
-        "程序员节快乐！愿你的编译永远一次成功！",
-        "1024节日快乐！愿你的递归永远有出口！",
-        "程序员节快乐！愿你的数据结构永远平衡！",
-        "1024快乐！愿你的网络请求永远不超时！",
-        "节日快乐！愿你的数据库查询永远高效！",
-        "程序员节快乐！愿你的版本控制永远不冲突！",
-        "1024节日快乐！愿你的单元测试覆盖率永远100%！",
-        "程序员节快乐！愿你的API永远稳定可靠！",
-        "1024快乐！愿你的代码重构永远成功！",
-        "节日快乐！愿你的性能优化效果显著！",
-        "程序员节快乐！愿你的架构设计永远合理！",
-        "1024节日快乐！愿你的文档永远清晰明了！",
-        "程序员节快乐！愿你的代码永远可维护！",
-        "1024快乐！愿你的项目永远按时交付！",
-        "节日快乐！愿你的团队协作永远和谐！",
-        "程序员节快乐！愿你的技术栈永远前沿！",
-        "1024节日快乐！愿你的学习能力永远强劲！",
-        "程序员节快乐！愿你的创新思维永远活跃！",
-        "1024快乐！愿你的问题解决能力超群！",
-        "节日快乐！愿你的代码艺术永远出类拔萃！",
-        "程序员节快乐！愿你的技术之路永远步步高升！",
-        "1024节日快乐！愿你的编程智慧永远高山流水！",
-        "程序员节快乐！愿你的代码人生永远精彩绝世！",
-        "1024快乐！愿你的技术梦想永远光辉灿烂！",
-        "节日快乐！愿你的编程之路永远前程似锦！",
-        "程序员节快乐！愿你的代码世界永远神奇瑰丽！",
-        "1024节日快乐！愿你的技术人生永远蒸蒸日上！",
-        "程序员节快乐！愿你的编程梦想永远光彩夺目！",
-        "1024快乐！愿你的代码艺术永远登峰造极！",
-        "节日快乐！愿你的技术之路永远青云直上！",
-        "程序员节快乐！愿你的编程智慧永远深不见底！",
-        "1024节日快乐！愿你的代码人生永远精彩无限！",
-        "程序员节快乐！愿你的技术梦想永远璀璨辉煌！",
-        "1024快乐！愿你的编程之路永远光明无限！",
-        "愿你思绪飞舞，想象丰富，编写出美轮美奂的日子！",
-        "酝酿美好，展现精彩，点击出幸福美满的生活！",
-        "编织浪漫，营造温馨，酝酿出甜美如花的爱情！",
-        "愿你的快乐无需编译，幸福自会运行！",
-        "愿你的美丽没有指令，人生也会计算！",
-        "愿你的心情不必升级，自由自会扩展！",
-        "愿你的幸福数据在加载中，生活永远甜蜜！",
-        "你是数字的魔术师，一瞬间彩虹挂在天边！",
-        "你是符号的训导师，一眨眼温馨传递心间！",
-        "愿健康编入你，快乐刷新你，幸运点击你！",
-        "愿你的智慧如二进制般简洁，生活如代码般有序！",
-        "你是信息时代的氧气，高速需要的呼吸！",
-        "你是信息时代的底气，飞速需要的地基！",
-        "愿你的每一天都像优雅的算法，高效而精准！",
-        "愿你的梦想如递归层层深入，终有完美出口！",
-        "愿你的成功如循环嵌套，无限迭代增长！",
-        "愿你的友谊如TCP连接，可靠而持久！",
-        "愿你的爱情如UDP广播，充满惊喜与浪漫！",
-        "愿你的健康如RAID备份，冗余而安全！",
-        "愿你的财富如区块链，去中心化却永不失真！",
-        "愿你的快乐如多线程，并发执行永不阻塞！",
-        "愿你的烦恼如异常处理，总能被捕获并解决！",
-        "愿你的机遇如中断信号，及时触发改变命运！",
-        "愿你的决策如条件判断，总是走向最优分支！",
-        "愿你的生活如状态机，永远处于幸福状态！",
-        "愿你的成长如版本迭代，不断优化与升级！",
-        "愿你的心灵如纯净代码，无污染无副作用！",
-        "愿你的视野如广角镜头，洞察一切可能性！",
-        "愿你的行动如精准时钟，按时完成每个目标！",
-        "愿你的思维如哈希函数，快速定位解决方案！",
-        "愿你的创意如随机数生成，充满无限可能！",
-        "愿你的坚持如死循环，直到成功才跳出！",
-        "愿你的耐心如进度条，稳步向前永不卡顿！",
-        "愿你的运气如编译器，总是通过所有检查！",
-        "愿你的爱情如双向链表，彼此指向永不分离！",
-        "愿你的家庭如堆栈平衡，和谐美满无溢出！",
-        "愿你的事业如二叉树生长，枝繁叶茂结果累累！",
-        "愿你的健康如垃圾回收，自动清理所有隐患！",
-        "愿你的财富如指数增长，复利效应惊人！",
-        "愿你的知识如云存储，随时可取永不丢失！",
-        "愿你的友谊如分布式系统， resilient 且高可用！",
-        "愿你的梦想如量子计算，同时探索多条路径！",
-        "愿你的快乐如响应式设计，适配所有设备与心情！",
-        "愿你的成功如敏捷开发，快速迭代持续交付！",
-        "愿你的生活如微服务架构，模块化且易于扩展！",
-        "愿你的心灵如函数式编程，纯函数无副作用！",
-        "愿你的决策如机器学习模型，越训练越精准！",
-        "愿你的机遇如大数据分析，从海量信息中挖掘黄金！",
-        "愿你的健康如物联网设备，实时监控预警！",
-        "愿你的财富如加密货币，去中心化且增值！",
-        "愿你的知识如神经网络，深层理解融会贯通！",
-        "愿你的创意如生成对抗网络，不断进化创新！",
-        "愿你的行动如机器人流程自动化，高效无误！",
-        "愿你的思维如人工智能，理性与感性平衡！",
-        "愿你的生活如虚拟现实，沉浸式体验美好！",
-        "愿你的梦想如增强现实，叠加现实与理想！",
-        "愿你的成功如区块链智能合约，自动执行不可篡改！",
-        "愿你的快乐如量子纠缠，无论多远瞬间感应！",
-        "愿你的友谊如5G网络，高速低延迟连接！",
-        "愿你的健康如基因编辑，精准修复所有问题！",
-        "愿你的财富如NFT，独特且价值连城！",
-        "愿你的知识如知识图谱，关联一切洞察本质！",
-        "愿你的创意如元宇宙，无限可能任你创造！",
-        "愿你的行动如自动驾驶，智能导航避障！",
-        "愿你的思维如超级计算，处理复杂问题轻松！",
-        "愿你的生活如智慧城市，高效便捷舒适！",
-        "愿你的梦想如太空探索，突破边界勇往直前！",
-        "愿你的成功如可控核聚变，释放巨大能量！",
-        "愿你的快乐如生物科技，治愈所有不开心！",
-        "愿你的友谊如卫星互联网，全球覆盖永不中断！",
-        "愿你的健康如精准医疗，个性化养护！",
-        "愿你的财富如绿色能源，可持续且环保！",
-        "愿你的知识如开放源码，共享与成长！",
-        "愿你的创意如开放创新，协作共赢！",
-        "愿你的行动如 DevOps，开发运维一体化高效！",
-        "愿你的思维如设计思维，以人为本创新！",
-        "愿你的生活如最小可行产品，快速验证迭代！",
-        "愿你的梦想如产品路线图，清晰指引未来！",
-        "愿你的成功如增长黑客，病毒式传播！",
-        "愿你的快乐如游戏化设计，充满乐趣与挑战！",
-        "愿你的友谊如社区运营，活跃且温暖！",
-        "愿你的健康如可穿戴设备，实时监测提醒！",
-        "愿你的财富如量化交易，数据驱动决策！",
-        "愿你的知识如在线教育，随时随地学习！",
-        "愿你的创意如众包模式，集思广益！",
-        "愿你的行动如共享经济，资源优化利用！",
-        "愿你的思维如第一性原理，回归本质思考！",
-        "愿你的生活如慢生活，平衡工作与休息！",
-        "愿你的梦想如极简主义，聚焦重点！",
-        "愿你的成功如复利效应，长期坚持回报巨大！",
-        "愿你的快乐如心流状态，沉浸其中忘我！",
-        "愿你的友谊如深度对话，真诚理解！",
-        "愿你的健康如正念冥想，平静安宁！",
-        "愿你的财富如投资组合，分散风险稳健增长！",
-        "愿你的知识如费曼技巧，以教为学掌握牢固！",
-        "愿你的创意如头脑风暴，激发无限想法！",
-        "愿你的行动如番茄工作法，专注高效！",
-        "愿你的思维如批判性思维，独立判断！",
-        "愿你的生活如禅意编程，代码与心合一！",
-        "愿你的梦想如开源运动，自由协作！",
-        "愿你的成功如马拉松，持久耐力取胜！",
-        "愿你的快乐如微笑曲线，永远向上！",
-        "愿你的友谊如树洞倾诉，信任安全！",
-        "愿你的健康如生物钟，规律作息！",
-        "愿你的财富如现金流，持续流入！",
-        "愿你的知识如搜索引擎，即问即答！",
-        "愿你的创意如闪电灵感，瞬间点亮！",
-        "愿你的行动如闪电战，快速执行！",
-        "愿你的思维如奥卡姆剃刀，化繁为简！",
-        "愿你的生活如平衡轮，全方位幸福！",
-        "愿你的梦想如北极星，指引方向！",
-        "愿你的成功如滚雪球，越滚越大！",
-        "愿你的快乐如多米诺骨牌，连锁反应！",
-        "愿你的友谊如金刚石，坚硬永恒！",
-        "愿你的健康如免疫系统，强大防御！",
-        "愿你的财富如印钞机，自动生成！",
-        "愿你的知识如百科全书，包罗万象！",
-        "愿你的创意如蒲公英种子，随风传播！",
-        "愿你的行动如钟表齿轮，精准协作！",
-        "愿你的思维如水晶球，清晰预见！",
-        "愿你的生活如彩虹，多彩美丽！",
-        "愿你的梦想如翅膀，飞翔自由！",
-        "愿你的成功如金字塔，坚实高耸！",
-        "愿你的快乐如泉水，涌流不息！",
-        "愿你的友谊如长城，坚固长久！",
-        "愿你的健康如绘画，色彩斑斓！",
-        "愿你的友谊如团队，协作共赢！",
-        "愿你的生活如学生，永远好奇！",
-        "愿你的友谊如家庭，温暖支持！",
-        "愿你的健康如童年，无忧无虑！",
-        "愿你的财富如壮年，积累爆发！",
-        "愿你的知识如老年，智慧沉淀！",
-        "愿你的创意如婴儿，新生突破！",
-        "愿你的行动如青年，勇往直前！",
-        "愿你的思维如中年，平衡睿智！",
-        "愿你的生活如老年，从容安详！",
-        "愿你的梦想如生命，永恒不息！",
-        "愿你的成功如时间，积累价值！",
-        "愿你的快乐如空间，自由广阔！",
-        "愿你的友谊如能量，传递温暖！",
-        "愿你的健康如物质，坚实存在！",
-        "愿你的财富如信息，增值共享！",
-        "愿你的知识如数据，驱动决策！",
-        "愿你的创意如算法，优化生活！",
-        "愿你的行动如程序，自动运行！",
-        "愿你的思维如代码，逻辑清晰！",
-        "愿你的生活如网络，连接万物！",
-        "愿你的梦想如云，漂浮自由！",
-        "愿你的成功如人工智能，智能进化！",
-        "愿你的快乐如虚拟现实，沉浸体验！",
-        "愿你的友谊如区块链，去中心化信任！",
-        "愿你的健康如物联网，智能监控！",
-        "愿你的财富如大数据，价值挖掘！",
-        "愿你的知识如机器学习，不断优化！",
-        "愿你的创意如深度学习，层次丰富！",
-        "愿你的行动如机器人，精准执行！",
-        "愿你的思维如量子计算，并行处理！",
-        "愿你的生活如智慧地球，可持续和谐！",
-        "愿你的梦想如太空殖民，开拓新世界！",
-        "愿你的成功如基因革命，改变命运！",
-        "愿你的快乐如纳米科技，微小却强大！",
-        "愿你的友谊如全球网络，无处不在！",
-        "愿你的健康如再生医学，修复重生！",
-        "愿你的财富如数字货币，自由流动！",
-        "愿你的知识如开放科学，共享进步！",
-        "愿你的创意如生物模仿，自然灵感！",
-        "愿你的行动如群体智能，协作高效！",
-        "愿你的思维如复杂系统，洞察全局！",
-        "愿你的生活如简单生活，返璞归真！",
-        "愿你的梦想如远大理想，改变世界！",
-        "愿你的成功如微小习惯，积累大成！",
-        "愿你的快乐如当下时刻，珍惜现在！",
-        "愿你的友谊如一生知己，永恒相伴！",
-        "愿你的健康如自然疗法，平衡身心！",
-        "愿你的财富如被动收入，自动增长！",
-        "愿你的知识如终身学习，不断更新！",
-        "愿你的创意如跨界融合，创新突破！",
-        "愿你的行动如立即执行，不拖延！",
-        "愿你的思维如全局观，看到整体！",
-        "愿你的生活如慢节奏，享受过程！",
-        "愿你的梦想如快进展，迅速实现！",
-        "愿你的成功如稳扎稳打，基础牢固！",
-        "愿你的快乐如小确幸，日常幸福！",
-        "愿你的友谊如老酒，越陈越香！",
-        "愿你的健康如运动，活力常在！",
-        "愿你的财富如投资，长期复利！",
-        "愿你的知识如阅读，开阔视野！",
-        "愿你的创意如写作，表达自我！",
-        "愿你的行动如演讲，影响他人！",
-        "愿你的思维如数学，严谨逻辑！",
-        "愿你的生活如文学，丰富情感！",
-        "愿你的梦想如历史，铭记成就！",
-        "愿你的成功如地理，探索未知！",
-        "愿你的快乐如艺术，创造美丽！",
-        "愿你的友谊如音乐，和谐共鸣！",
-        "愿你的健康如科学，证据为基础！",
-        "愿你的财富如经济，理性决策！",
-        "愿你的知识如哲学，思考人生！",
-        "愿你的创意如心理学，理解人心！",
-        "愿你的行动如社会学，改善社会！",
-        "愿你的思维如生物学，适应进化！",
-        "愿你的生活如物理学，探索规律！",
-        "愿你的梦想如化学，反应生成新物！",
-        "愿你的成功如天文学，视野宇宙！",
-        "愿你的快乐如地质学，沉稳坚实！",
-        "愿你的友谊如生态学，互惠共生！",
-        "愿你的健康如医学，科学养护！",
-        "愿你的财富如金融学，风险管理！",
-        "愿你的知识如教育学，教学相长！",
-        "愿你的创意如设计学，用户体验好！",
-        "愿你的行动如工程学，解决实际问题！",
-        "愿你的思维如计算机科学，高效算法！",
-        "愿你的生活如环境科学，可持续发展！",
-        "愿你的梦想如材料科学，创新物质！",
-        "愿你的成功如能源科学，动力无限！",
-        "愿你的快乐如食品科学，健康美味！",
-        "愿你的友谊如交通科学，连接你我！",
-        "愿你的健康如运动科学，优化性能！",
-        "愿你的财富如管理科学，优化资源！",
-        "愿你的知识如信息科学，处理数据！",
-        "愿你的创意如认知科学，理解思维！",
-        "愿你的行动如行为科学，影响行为！",
-        "愿你的思维如神经科学，探索大脑！",
-        "愿你的生活如海洋科学，深广包容！",
-        "愿你的梦想如空间科学，探索太空！",
-        "愿你的成功如地球科学，脚踏实地！",
-        "愿你的快乐如气候科学，温和宜人！",
-        "愿你的友谊如社会网络，强连接！",
-        "愿你的健康如预防医学，防患未然！",
-        "愿你的财富如投资学，价值投资！",
-        "愿你的知识如图书馆，藏书丰富！",
-        "愿你的创意如实验室，实验创新！",
-        "愿你的行动如工厂，量产成功！",
-        "愿你的思维如研究所，深入研究！",
-        "愿你的健康如黑洞，吸收所有疾病！",
-        "愿你的财富如银河，浩瀚无边！",
-        "愿你的知识如宇宙大爆炸，不断扩展！",
-        "愿你的创意如暗物质，无形却存在！",
-        "愿你的知识如石油，能源动力！",
-        "愿你的创意如钻石，珍贵闪耀！",
-        "愿你的行动如风能，清洁高效！",
-        "愿你的思维如太阳能，无限能量！",
-        "愿你的生活如水能，柔韧适应！",
-        "愿你的梦想如核能，释放巨大力量！",
-        "愿你的成功如原子能，分裂增长！",
-        "愿你的快乐如分子运动，永远活跃！",
-        "愿你的友谊如离子键，强烈结合！",
-        "愿你的健康如共价键，稳定共享！",
-        "愿你的财富如金属键，导电增值！",
-        "愿你的知识如化学键，连接知识！",
-        "愿你的创意如化学反应，生成新物！",
-        "愿你的行动如催化剂，加速实现！",
-        "愿你的思维如元素周期表，有序全面！",
-        "愿你的生活如纯净水，清澈简单！",
-        "愿你的梦想如氧气，支持燃烧激情！",
-        "愿你的成功如碳元素，基础牢固！",
-        "愿你的创意如硅元素，半导体革命！",
-        "愿你的行动如铁元素，坚强有力！",
-        "愿你的思维如氧元素，生命必需！",
-        "愿你的生活如氢元素，简单高效！",
-        "愿你的梦想如铀元素，能量巨大！",
-        "愿你的成功如碳纤维，轻而强！",
-        "愿你的快乐如笑气，带来欢乐！",
-        "愿你的友谊如盐，调味生活！",
-        "愿你的健康如维生素，必需微量！",
-        "愿你的财富如蛋白质，营养丰富！",
-        "愿你的知识如DNA，遗传智慧！",
-        "愿你的创意如RNA，传递信息！",
-        "愿你的行动如酶，高效催化！",
-        "愿你的思维如细胞，生命单元！",
-        "愿你的生活如生态系统，平衡和谐！",
-        "愿你的梦想如进化论，适应优化！",
-        "愿你的成功如自然选择，优胜劣汰！",
-        "愿你的快乐如光合作用，转化能量！",
-        "愿你的友谊如共生关系，互惠互利！",
-        "愿你的健康如免疫反应，防御强大！",
-        "愿你的财富如生物链，循环增值！",
-        "愿你的知识如基因库，多样丰富！",
-        "愿你的创意如突变，创新突破！",
-        "愿你的行动如迁徙，追求更好！",
-        "愿你的思维如条件反射，快速反应！",
-        "愿你的生活如生物钟，规律节奏！",
-        "愿你的梦想如翅膀，飞翔自由！",
-        "愿你的思维如风，无形有力！",
-        "愿你的生活如雨，滋润万物！",
-        "愿你的梦想如雪，纯净美丽！",
-        "愿你的成功如冰，坚固透明！",
-        "愿你的快乐如云，漂浮自在！",
-        "愿你的友谊如雾，朦胧浪漫！",
-        "愿你的健康如露，清新每一天！",
-        "愿你的财富如霜，结晶价值！",
-        "愿你的知识如霾，散去见明！",
-        "愿你的创意如虹，七彩斑斓！",
-        "愿你的行动如雷，声势浩大！",
-        "愿你的思维如电，快速闪亮！",
-        "愿你的生活如日，温暖光明！",
-        "愿你的梦想如月，宁静致远！",
-        "愿你的成功如星，指引方向！",
-        "愿你的快乐如辰，永恒存在！",
-        "愿你的友谊如宙，无限广阔！",
-        "愿你的健康如宇，包容一切！",
-        "愿你的财富如时空，弯曲增值！",
-        "愿你的知识如维度，多层理解！",
-        "愿你的创意如平行宇宙，无限可能！",
-        "愿你的行动如时间旅行，改变过去！",
-        "愿你的思维如黑洞，吸收知识！",
-        "愿你的生活如白洞，释放能量！",
-        "愿你的梦想如奇点，爆发创造！",
-        "愿你的成功如暗能量，推动膨胀！",
-        "愿你的快乐如暗物质，看不见却存在！",
-        "愿你的友谊如引力，相互吸引！",
-        "愿你的健康如电磁力，强大稳定！",
-        "愿你的财富如强力，结合资源！",
-        "愿你的知识如弱力，影响深远！",
-        "愿你的创意如统一场，整合一切！",
-        "愿你的行动如量子跃迁，瞬间改变！",
-        "愿你的思维如波粒二象性，灵活适应！",
-        "愿你的生活如测不准原理，充满惊喜！",
-        "愿你的梦想如薛定谔的猫，既死又活！",
-        "愿你的成功如量子纠缠，超越距离！",
-        "愿你的快乐如超流体，无摩擦流动！",
-        "愿你的友谊如超导体，零电阻！",
-        "愿你的健康如玻色-爱因斯坦凝聚，集体智慧！",
-        "愿你的财富如费米子，独特性！",
-        "愿你的知识如凝聚态，有序结构！",
-        "愿你的创意如等离子体，高能状态！",
-        "愿你的行动如激光，聚焦强大！",
-        "愿你的思维如微波，快速加热！",
-        "愿你的生活如红外线，温暖人心！",
-        "愿你的梦想如紫外线，杀菌创新！",
-        "愿你的成功如X射线，透视本质！",
-        "愿你的快乐如伽马射线，高能爆发！",
-        "愿你的友谊如无线电波，连接远距离！",
-        "愿你的健康如可见光，七彩生活！",
-        "愿你的财富如光谱，全波段覆盖！",
-        "愿你的知识如波长，适应不同情况！",
-        "愿你的创意如频率，振动共鸣！",
-        "愿你的行动如振幅，影响巨大！",
-        "愿你的思维如干涉，叠加增强！",
-        "愿你的生活如衍射，绕障前行！",
-        "愿你的梦想如偏振，定向专注！",
-        "愿你的成功如全息，整体信息！",
-        "愿你的快乐如声波，传播快乐！",
-        "愿你的友谊如超声波，深层沟通！",
-        "愿你的健康如次声波，平静身心！",
-        "愿你的财富如震动，产生能量！",
-        "愿你的知识如共振，放大效果！",
-        "愿你的创意如多普勒效应，变化视角！",
-        "愿你的行动如冲击波，震撼世界！",
-        "愿你的思维如驻波，稳定振荡！",
-        "愿你的生活如行波，前进不止！",
-        "愿你的梦想如波包，局部集中！",
-        "愿你的成功如波函数，概率实现！",
-        "愿你的快乐如简谐运动，规律美好！",
-        "愿你的友谊如阻尼振动，逐渐平衡！",
-        "愿你的健康如强迫振动，外力支持！",
-        "愿你的财富如自由振动，自然频率！",
-        "愿你的知识如耦合振动，相互影响！",
-        "愿你的创意如混沌理论，有序中的无序！",
-        "愿你的行动如蝴蝶效应，小改变大影响！",
-        "愿你的思维如分形，自相似结构！",
-        "愿你的生活如奇异吸引子，稳定轨迹！",
-        "愿你的梦想如耗散结构，远离平衡却有序！",
-        "愿你的成功如自组织，自动形成结构！",
-        "愿你的快乐如复杂系统， emergent 性质！",
-        "愿你的友谊如网络科学，小世界连接！",
-        "愿你的健康如系统生物学，整体调控！",
-        "愿你的财富如经济系统，循环流动！",
-        "愿你的知识如信息系统，处理数据！",
-        "愿你的创意如控制系统，反馈优化！",
-        "愿你的行动如动力系统，演化 over time！",
-        "愿你的思维如博弈论，策略制胜！",
-        "愿你的生活如优化理论，最优解！",
-        "愿你的梦想如图论，路径找到！",
-        "愿你的成功如概率论，大概率成功！",
-        "愿你的快乐如统计力学，宏观规律！",
-        "愿你的友谊如群论，对称美丽！",
-        "愿你的健康如拓扑学，不变性质！",
-        "愿你的财富如微积分，连续增长！",
-        "愿你的知识如线性代数，向量空间大！",
-        "愿你的创意如微分方程，动态变化！",
-        "愿你的行动如数论，质数独特！",
-        "愿你的思维如几何学，空间想象！",
-        "愿你的生活如解析几何，数形结合！",
-        "愿你的梦想如黎曼几何，弯曲空间！",
-        "愿你的成功如集合论，包含一切！",
-        "愿你的快乐如逻辑学，推理正确！",
-        "愿你的友谊如范畴论，抽象关系！",
-        "愿你的健康如模糊逻辑，处理不确定性！",
-        "愿你的财富如算法论，高效解决！",
-        "愿你的知识如计算理论，可计算性！",
-        "愿你的创意如信息论，压缩传递！",
-        "愿你的行动如复杂度理论，P=NP！",
-        "愿你的思维如自动机理论，状态转换！",
-        "愿你的生活如形式语言，语法正确！",
-        "愿你的梦想如编译器，翻译实现！",
-        "愿你的成功如操作系统，资源管理！",
-        "愿你的快乐如数据库，存储美好！",
-        "愿你的友谊如网络协议，可靠传输！",
-        "愿你的健康如加密算法，安全保密！",
-        "愿你的财富如机器学习，从数据学习！",
-        "愿你的知识如深度学习，多层理解！",
-        "愿你的创意如神经网络，连接灵感！",
-        "愿你的行动如强化学习，试错优化！",
-        "愿你的思维如自然语言处理，理解人类！",
-        "愿你的生活如计算机视觉，看清世界！",
-        "愿你的梦想如机器人学，自动智能！",
-        "愿你的成功如人工智能，超越人类！",
-        "愿你的快乐如人工生命，模拟进化！",
-        "愿你的友谊如物联网，万物互联！",
-        "愿你的健康如可穿戴计算，实时监测！",
-        "愿你的财富如云计算，弹性扩展！",
-        "愿你的知识如边缘计算，就近处理！",
-        "愿你的创意如量子计算，并行加速！",
-        "愿你的行动如生物计算，DNA 存储！",
-        "愿你的思维如光计算，光速处理！",
-        "愿你的生活如化学计算，分子机器！",
-        "愿你的梦想如神经计算，模拟大脑！",
-        "愿你的成功如分布式计算，协作解决！",
-        "愿你的快乐如网格计算，资源共享！",
-        "愿你的友谊如对等计算，去中心化！",
-        "愿你的健康如绿色计算，节能环保！",
-        "愿你的财富如高性能计算，快速处理！",
-        "愿你的知识如普适计算，无处不在！",
-        "愿你的创意如情感计算，理解情绪！",
-        "愿你的行动如上下文计算，适应环境！",
-        "愿你的思维如语义网，意义理解！",
-        "愿你的生活如知识图谱，关联知识！",
-        "愿你的梦想如虚拟化，资源抽象！",
-        "愿你的成功如容器化，隔离部署！",
-        "愿你的快乐如微服务，模块化开发！",
-        "愿你的友谊如API，接口标准化！",
-        "愿你的健康如DevOps，开发运维一体！",
-        "愿你的财富如敏捷开发，快速迭代！",
-        "愿你的知识如Scrum，团队协作！",
-        "愿你的创意如极限编程，持续改进！",
-        "愿你的行动如看板，可视化流程！",
-        "愿你的思维如精益开发，减少浪费！",
-        "愿你的生活如持续集成，自动测试！",
-        "愿你的梦想如持续交付，快速发布！",
-        "愿你的成功如持续部署，自动上线！",
-        "愿你的快乐如版本控制，历史追踪！",
-        "愿你的友谊如代码审查，质量保证！",
-        "愿你的健康如单元测试，模块稳定！",
-        "愿你的财富如集成测试，系统协调！",
-        "愿你的知识如端到端测试，全局验证！",
-        "愿你的创意如测试驱动开发，先测试后代码！",
-        "愿你的行动如行为驱动开发，业务语言！",
-        "愿你的思维如领域驱动设计，模型核心！",
-        "愿你的生活如设计模式，最佳实践！",
-        "愿你的梦想如架构模式，系统蓝图！",
-        "愿你的成功如反模式，避免错误！",
-        "愿你的快乐如重构，改进代码！",
-        "愿你的友谊如代码气味，识别问题！",
-        "愿你的健康如技术债，管理得当！",
-        "愿你的财富如代码覆盖率，全面测试！",
-        "愿你的知识如性能分析，优化瓶颈！",
-        "愿你的创意如调试，解决bug！",
-        "愿你的行动如日志记录，追踪问题！",
-        "愿你的思维如监控告警，及时响应！",
-        "愿你的生活如故障排除，恢复系统！",
-        "愿你的梦想如容错设计， resilient 系统！",
-        "愿你的成功如负载均衡，分散压力！",
-        "愿你的快乐如缓存，快速访问！",
-        "愿你的友谊如CDN，全球加速！",
-        "愿你的健康如备份，数据安全！",
-        "愿你的财富如冗余，高可用性！",
-        "愿你的知识如伸缩性，适应负载！",
-        "愿你的创意如一致性，数据正确！",
-        "愿你的行动如可用性，服务不中断！",
-        "愿你的思维如分区容错，分布式耐受！",
-        "愿你的生活如BASE理论，最终一致性！",
-        "愿你的梦想如CAP定理，权衡智慧！",
-        "愿你的成功如ACID，事务可靠！",
-        "愿你的快乐如NoSQL，灵活模式！",
-        "愿你的友谊如SQL，关系严谨！",
-        "愿你的健康如NewSQL，结合优势！",
-        "愿你的财富如大数据，价值挖掘！",
-        "愿你的知识如数据挖掘，发现规律！",
-        "愿你的创意如机器学习，预测未来！",
-        "愿你的行动如深度学习，层次特征！",
-        "愿你的思维如自然语言处理，理解文本！",
-        "愿你的生活如计算机视觉，图像识别！",
-        "愿你的梦想如语音识别，声音转文本！",
-        "愿你的成功如语音合成，文本转声音！",
-        "愿你的快乐如机器人，自动服务！",
-        "愿你的友谊如无人机，空中视角！",
-        "愿你的健康如自动驾驶，安全导航！",
-        "愿你的财富如智能家居，便捷生活！",
-        "愿你的知识如智慧城市，优化管理！",
-        "愿你的创意如虚拟助手，个人助理！",
-        "愿你的行动如推荐系统，个性化推荐！",
-        "愿你的思维如搜索引擎，快速查找！",
-        "愿你的生活如社交媒体，连接朋友！",
-        "愿你的梦想如电子商务，在线交易！",
-        "愿你的成功如在线教育，远程学习！",
-        "愿你的快乐如远程工作，地点自由！",
-        "愿你的友谊如视频会议，面对面交流！",
-        "愿你的健康如电子健康，数字医疗！",
-        "愿你的财富如金融科技，创新金融！",
-        "愿你的知识如区块链，去中心化信任！",
-        "愿你的创意如加密货币，数字资产！",
-        "愿你的行动如智能合约，自动执行！",
-        "愿你的思维如NFT，唯一数字物品！",
-        "愿你的生活如元宇宙，虚拟世界！",
-        "愿你的梦想如AR，增强现实！",
-        "愿你的成功如VR，虚拟现实！",
-        "愿你的快乐如MR，混合现实！",
-        "愿你的友谊如XR，扩展现实！",
-        "愿你的健康如数字孪生，模拟实体！",
-        "愿你的财富如3D打印，快速原型！",
-        "愿你的知识如纳米技术，微小精密！",
-        "愿你的创意如生物技术，生命科学！",
-        "愿你的行动如基因编辑，精准修改！",
-        "愿你的思维如合成生物学，设计生命！",
-        "愿你的生活如可再生能源，可持续！",
-        "愿你的梦想如太空旅行，探索宇宙！",
-        "愿你的成功如殖民火星，新家园！",
-        "愿你的快乐如深海探索，神秘世界！",
-        "愿你的友谊如极地探险，挑战极限！",
-        "愿你的健康如登山，攀登高峰！",
-        "愿你的财富如航海，远航致富！",
-        "愿你的知识如飞行，天空自由！",
-        "愿你的创意如潜水，深海奥秘！",
-        "愿你的行动如跑步，坚持到底！",
-        "愿你的思维如瑜伽，身心合一！",
-        "愿你的生活如冥想，内心平静！",
-        "愿你的梦想如科学，验证假设！",
-        "愿你的友谊如火，温暖热烈！",
-        "愿你的健康如土，扎根稳固！",
-        "愿你的财富如金，闪闪发光！",
-        "愿你的知识如木，生长茁壮！",
-        "愿你的创意如电，激发灵感！"
+        { id: "festival-0001", text: "1024程序员节快乐！愿你的代码永远没有bug！", tags: ["节日", "1024", "bug", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0002", text: "在这个特殊的日子里，愿你的程序运行如丝般顺滑！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0003", text: "1024节日快乐！愿你的每一行代码都充满智慧！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0004", text: "程序员节快乐！愿你的算法效率永远是O(1)！", tags: ["节日", "1024", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0005", text: "1024快乐！愿你的代码像诗一样优美！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0006", text: "节日快乐！愿你的程序永远不会内存泄漏！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0007", text: "1024程序员节，愿你的代码审查永远通过！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0008", text: "程序员节快乐！愿你的编译永远一次成功！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0009", text: "1024节日快乐！愿你的递归永远有出口！", tags: ["节日", "1024", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0010", text: "程序员节快乐！愿你的数据结构永远平衡！", tags: ["节日", "1024", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0011", text: "1024快乐！愿你的网络请求永远不超时！", tags: ["节日", "1024", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0012", text: "节日快乐！愿你的数据库查询永远高效！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0013", text: "程序员节快乐！愿你的版本控制永远不冲突！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0014", text: "1024节日快乐！愿你的单元测试覆盖率永远100%！", tags: ["节日", "1024", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0015", text: "程序员节快乐！愿你的API永远稳定可靠！", tags: ["节日", "1024", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0016", text: "1024快乐！愿你的代码重构永远成功！", tags: ["节日", "1024", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0017", text: "节日快乐！愿你的性能优化效果显著！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0018", text: "程序员节快乐！愿你的架构设计永远合理！", tags: ["节日", "1024", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0019", text: "1024节日快乐！愿你的文档永远清晰明了！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0020", text: "程序员节快乐！愿你的代码永远可维护！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0021", text: "1024快乐！愿你的项目永远按时交付！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0022", text: "节日快乐！愿你的团队协作永远和谐！", tags: ["节日", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0023", text: "程序员节快乐！愿你的技术栈永远前沿！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0024", text: "1024节日快乐！愿你的学习能力永远强劲！", tags: ["节日", "1024", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0025", text: "程序员节快乐！愿你的创新思维永远活跃！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0026", text: "1024快乐！愿你的问题解决能力超群！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0027", text: "节日快乐！愿你的代码艺术永远出类拔萃！", tags: ["节日", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0028", text: "程序员节快乐！愿你的技术之路永远步步高升！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0029", text: "1024节日快乐！愿你的编程智慧永远高山流水！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0030", text: "程序员节快乐！愿你的代码人生永远精彩绝世！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0031", text: "1024快乐！愿你的技术梦想永远光辉灿烂！", tags: ["节日", "1024", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0032", text: "节日快乐！愿你的编程之路永远前程似锦！", tags: ["节日", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0033", text: "程序员节快乐！愿你的代码世界永远神奇瑰丽！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0034", text: "1024节日快乐！愿你的技术人生永远蒸蒸日上！", tags: ["节日", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0035", text: "程序员节快乐！愿你的编程梦想永远光彩夺目！", tags: ["节日", "1024", "代码", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0036", text: "1024快乐！愿你的代码艺术永远登峰造极！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0037", text: "节日快乐！愿你的技术之路永远青云直上！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0038", text: "程序员节快乐！愿你的编程智慧永远深不见底！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0039", text: "1024节日快乐！愿你的代码人生永远精彩无限！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0040", text: "程序员节快乐！愿你的技术梦想永远璀璨辉煌！", tags: ["节日", "1024", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0041", text: "1024快乐！愿你的编程之路永远光明无限！", tags: ["节日", "1024", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0042", text: "愿你思绪飞舞，想象丰富，编写出美轮美奂的日子！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0043", text: "酝酿美好，展现精彩，点击出幸福美满的生活！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0044", text: "编织浪漫，营造温馨，酝酿出甜美如花的爱情！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0045", text: "愿你的快乐无需编译，幸福自会运行！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0046", text: "愿你的美丽没有指令，人生也会计算！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0047", text: "愿你的心情不必升级，自由自会扩展！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0048", text: "愿你的幸福数据在加载中，生活永远甜蜜！", tags: ["节日", "数据", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0049", text: "你是数字的魔术师，一瞬间彩虹挂在天边！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0050", text: "你是符号的训导师，一眨眼温馨传递心间！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0051", text: "愿健康编入你，快乐刷新你，幸运点击你！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0052", text: "愿你的智慧如二进制般简洁，生活如代码般有序！", tags: ["节日", "代码", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0053", text: "你是信息时代的氧气，高速需要的呼吸！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0054", text: "你是信息时代的底气，飞速需要的地基！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0055", text: "愿你的每一天都像优雅的算法，高效而精准！", tags: ["节日", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0056", text: "愿你的梦想如递归层层深入，终有完美出口！", tags: ["节日", "算法", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0057", text: "愿你的成功如循环嵌套，无限迭代增长！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0058", text: "愿你的友谊如TCP连接，可靠而持久！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0059", text: "愿你的爱情如UDP广播，充满惊喜与浪漫！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0060", text: "愿你的健康如RAID备份，冗余而安全！", tags: ["节日", "AI", "安全", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0061", text: "愿你的财富如区块链，去中心化却永不失真！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0062", text: "愿你的快乐如多线程，并发执行永不阻塞！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0063", text: "愿你的烦恼如异常处理，总能被捕获并解决！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0064", text: "愿你的机遇如中断信号，及时触发改变命运！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0065", text: "愿你的决策如条件判断，总是走向最优分支！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0066", text: "愿你的生活如状态机，永远处于幸福状态！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0067", text: "愿你的成长如版本迭代，不断优化与升级！", tags: ["节日", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0068", text: "愿你的心灵如纯净代码，无污染无副作用！", tags: ["节日", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0069", text: "愿你的视野如广角镜头，洞察一切可能性！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0070", text: "愿你的行动如精准时钟，按时完成每个目标！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0071", text: "愿你的思维如哈希函数，快速定位解决方案！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0072", text: "愿你的创意如随机数生成，充满无限可能！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0073", text: "愿你的坚持如死循环，直到成功才跳出！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0074", text: "愿你的耐心如进度条，稳步向前永不卡顿！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0075", text: "愿你的运气如编译器，总是通过所有检查！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0076", text: "愿你的爱情如双向链表，彼此指向永不分离！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0077", text: "愿你的家庭如堆栈平衡，和谐美满无溢出！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0078", text: "愿你的事业如二叉树生长，枝繁叶茂结果累累！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0079", text: "愿你的健康如垃圾回收，自动清理所有隐患！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0080", text: "愿你的财富如指数增长，复利效应惊人！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0081", text: "愿你的知识如云存储，随时可取永不丢失！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0082", text: "愿你的友谊如分布式系统， resilient 且高可用！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0083", text: "愿你的梦想如量子计算，同时探索多条路径！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0084", text: "愿你的快乐如响应式设计，适配所有设备与心情！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0085", text: "愿你的成功如敏捷开发，快速迭代持续交付！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0086", text: "愿你的生活如微服务架构，模块化且易于扩展！", tags: ["节日", "架构", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0087", text: "愿你的心灵如函数式编程，纯函数无副作用！", tags: ["节日", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0088", text: "愿你的决策如机器学习模型，越训练越精准！", tags: ["节日", "AI", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0089", text: "愿你的机遇如大数据分析，从海量信息中挖掘黄金！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0090", text: "愿你的健康如物联网设备，实时监控预警！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0091", text: "愿你的财富如加密货币，去中心化且增值！", tags: ["节日", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0092", text: "愿你的知识如神经网络，深层理解融会贯通！", tags: ["节日", "AI", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0093", text: "愿你的创意如生成对抗网络，不断进化创新！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0094", text: "愿你的行动如机器人流程自动化，高效无误！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0095", text: "愿你的思维如人工智能，理性与感性平衡！", tags: ["节日", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0096", text: "愿你的生活如虚拟现实，沉浸式体验美好！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0097", text: "愿你的梦想如增强现实，叠加现实与理想！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0098", text: "愿你的成功如区块链智能合约，自动执行不可篡改！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0099", text: "愿你的快乐如量子纠缠，无论多远瞬间感应！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0100", text: "愿你的友谊如5G网络，高速低延迟连接！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0101", text: "愿你的健康如基因编辑，精准修复所有问题！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0102", text: "愿你的财富如NFT，独特且价值连城！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0103", text: "愿你的知识如知识图谱，关联一切洞察本质！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0104", text: "愿你的创意如元宇宙，无限可能任你创造！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0105", text: "愿你的行动如自动驾驶，智能导航避障！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0106", text: "愿你的思维如超级计算，处理复杂问题轻松！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0107", text: "愿你的生活如智慧城市，高效便捷舒适！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0108", text: "愿你的梦想如太空探索，突破边界勇往直前！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0109", text: "愿你的成功如可控核聚变，释放巨大能量！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0110", text: "愿你的快乐如生物科技，治愈所有不开心！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0111", text: "愿你的友谊如卫星互联网，全球覆盖永不中断！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0112", text: "愿你的健康如精准医疗，个性化养护！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0113", text: "愿你的财富如绿色能源，可持续且环保！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0114", text: "愿你的知识如开放源码，共享与成长！", tags: ["节日", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0115", text: "愿你的创意如开放创新，协作共赢！", tags: ["节日", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0116", text: "愿你的行动如 DevOps，开发运维一体化高效！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0117", text: "愿你的思维如设计思维，以人为本创新！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0118", text: "愿你的生活如最小可行产品，快速验证迭代！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0119", text: "愿你的梦想如产品路线图，清晰指引未来！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0120", text: "愿你的成功如增长黑客，病毒式传播！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0121", text: "愿你的快乐如游戏化设计，充满乐趣与挑战！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0122", text: "愿你的友谊如社区运营，活跃且温暖！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0123", text: "愿你的健康如可穿戴设备，实时监测提醒！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0124", text: "愿你的财富如量化交易，数据驱动决策！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0125", text: "愿你的知识如在线教育，随时随地学习！", tags: ["节日", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0126", text: "愿你的创意如众包模式，集思广益！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0127", text: "愿你的行动如共享经济，资源优化利用！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0128", text: "愿你的思维如第一性原理，回归本质思考！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0129", text: "愿你的生活如慢生活，平衡工作与休息！", tags: ["节日", "健康", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0130", text: "愿你的梦想如极简主义，聚焦重点！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0131", text: "愿你的成功如复利效应，长期坚持回报巨大！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0132", text: "愿你的快乐如心流状态，沉浸其中忘我！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0133", text: "愿你的友谊如深度对话，真诚理解！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0134", text: "愿你的健康如正念冥想，平静安宁！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0135", text: "愿你的财富如投资组合，分散风险稳健增长！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0136", text: "愿你的知识如费曼技巧，以教为学掌握牢固！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0137", text: "愿你的创意如头脑风暴，激发无限想法！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0138", text: "愿你的行动如番茄工作法，专注高效！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0139", text: "愿你的思维如批判性思维，独立判断！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0140", text: "愿你的生活如禅意编程，代码与心合一！", tags: ["节日", "代码", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0141", text: "愿你的梦想如开源运动，自由协作！", tags: ["节日", "团队", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0142", text: "愿你的成功如马拉松，持久耐力取胜！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0143", text: "愿你的快乐如微笑曲线，永远向上！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0144", text: "愿你的友谊如树洞倾诉，信任安全！", tags: ["节日", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0145", text: "愿你的健康如生物钟，规律作息！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0146", text: "愿你的财富如现金流，持续流入！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0147", text: "愿你的知识如搜索引擎，即问即答！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0148", text: "愿你的创意如闪电灵感，瞬间点亮！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0149", text: "愿你的行动如闪电战，快速执行！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0150", text: "愿你的思维如奥卡姆剃刀，化繁为简！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0151", text: "愿你的生活如平衡轮，全方位幸福！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0152", text: "愿你的梦想如北极星，指引方向！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0153", text: "愿你的成功如滚雪球，越滚越大！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0154", text: "愿你的快乐如多米诺骨牌，连锁反应！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0155", text: "愿你的友谊如金刚石，坚硬永恒！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0156", text: "愿你的健康如免疫系统，强大防御！", tags: ["节日", "架构", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0157", text: "愿你的财富如印钞机，自动生成！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0158", text: "愿你的知识如百科全书，包罗万象！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0159", text: "愿你的创意如蒲公英种子，随风传播！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0160", text: "愿你的行动如钟表齿轮，精准协作！", tags: ["节日", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0161", text: "愿你的思维如水晶球，清晰预见！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0162", text: "愿你的生活如彩虹，多彩美丽！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0163", text: "愿你的梦想如翅膀，飞翔自由！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0164", text: "愿你的成功如金字塔，坚实高耸！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0165", text: "愿你的快乐如泉水，涌流不息！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0166", text: "愿你的友谊如长城，坚固长久！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0167", text: "愿你的健康如绘画，色彩斑斓！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0168", text: "愿你的友谊如团队，协作共赢！", tags: ["节日", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0169", text: "愿你的生活如学生，永远好奇！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0170", text: "愿你的友谊如家庭，温暖支持！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0171", text: "愿你的健康如童年，无忧无虑！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0172", text: "愿你的财富如壮年，积累爆发！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0173", text: "愿你的知识如老年，智慧沉淀！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0174", text: "愿你的创意如婴儿，新生突破！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0175", text: "愿你的行动如青年，勇往直前！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0176", text: "愿你的思维如中年，平衡睿智！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0177", text: "愿你的生活如老年，从容安详！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0178", text: "愿你的梦想如生命，永恒不息！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0179", text: "愿你的成功如时间，积累价值！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0180", text: "愿你的快乐如空间，自由广阔！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0181", text: "愿你的友谊如能量，传递温暖！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0182", text: "愿你的健康如物质，坚实存在！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0183", text: "愿你的财富如信息，增值共享！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0184", text: "愿你的知识如数据，驱动决策！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0185", text: "愿你的创意如算法，优化生活！", tags: ["节日", "算法", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0186", text: "愿你的行动如程序，自动运行！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0187", text: "愿你的思维如代码，逻辑清晰！", tags: ["节日", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0188", text: "愿你的生活如网络，连接万物！", tags: ["节日", "网络", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0189", text: "愿你的梦想如云，漂浮自由！", tags: ["节日", "网络", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0190", text: "愿你的成功如人工智能，智能进化！", tags: ["节日", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0191", text: "愿你的快乐如虚拟现实，沉浸体验！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0192", text: "愿你的友谊如区块链，去中心化信任！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0193", text: "愿你的健康如物联网，智能监控！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0194", text: "愿你的财富如大数据，价值挖掘！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0195", text: "愿你的知识如机器学习，不断优化！", tags: ["节日", "AI", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0196", text: "愿你的创意如深度学习，层次丰富！", tags: ["节日", "AI", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0197", text: "愿你的行动如机器人，精准执行！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0198", text: "愿你的思维如量子计算，并行处理！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0199", text: "愿你的生活如智慧地球，可持续和谐！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0200", text: "愿你的梦想如太空殖民，开拓新世界！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0201", text: "愿你的成功如基因革命，改变命运！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0202", text: "愿你的快乐如纳米科技，微小却强大！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0203", text: "愿你的友谊如全球网络，无处不在！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0204", text: "愿你的健康如再生医学，修复重生！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0205", text: "愿你的财富如数字货币，自由流动！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0206", text: "愿你的知识如开放科学，共享进步！", tags: ["节日", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0207", text: "愿你的创意如生物模仿，自然灵感！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0208", text: "愿你的行动如群体智能，协作高效！", tags: ["节日", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0209", text: "愿你的思维如复杂系统，洞察全局！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0210", text: "愿你的生活如简单生活，返璞归真！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0211", text: "愿你的梦想如远大理想，改变世界！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0212", text: "愿你的成功如微小习惯，积累大成！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0213", text: "愿你的快乐如当下时刻，珍惜现在！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0214", text: "愿你的友谊如一生知己，永恒相伴！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0215", text: "愿你的健康如自然疗法，平衡身心！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0216", text: "愿你的财富如被动收入，自动增长！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0217", text: "愿你的知识如终身学习，不断更新！", tags: ["节日", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0218", text: "愿你的创意如跨界融合，创新突破！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0219", text: "愿你的行动如立即执行，不拖延！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0220", text: "愿你的思维如全局观，看到整体！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0221", text: "愿你的生活如慢节奏，享受过程！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0222", text: "愿你的梦想如快进展，迅速实现！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0223", text: "愿你的成功如稳扎稳打，基础牢固！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0224", text: "愿你的快乐如小确幸，日常幸福！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0225", text: "愿你的友谊如老酒，越陈越香！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0226", text: "愿你的健康如运动，活力常在！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0227", text: "愿你的财富如投资，长期复利！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0228", text: "愿你的知识如阅读，开阔视野！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0229", text: "愿你的创意如写作，表达自我！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0230", text: "愿你的行动如演讲，影响他人！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0231", text: "愿你的思维如数学，严谨逻辑！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0232", text: "愿你的生活如文学，丰富情感！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0233", text: "愿你的梦想如历史，铭记成就！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0234", text: "愿你的成功如地理，探索未知！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0235", text: "愿你的快乐如艺术，创造美丽！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0236", text: "愿你的友谊如音乐，和谐共鸣！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0237", text: "愿你的健康如科学，证据为基础！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0238", text: "愿你的财富如经济，理性决策！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0239", text: "愿你的知识如哲学，思考人生！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0240", text: "愿你的创意如心理学，理解人心！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0241", text: "愿你的行动如社会学，改善社会！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0242", text: "愿你的思维如生物学，适应进化！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0243", text: "愿你的生活如物理学，探索规律！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0244", text: "愿你的梦想如化学，反应生成新物！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0245", text: "愿你的成功如天文学，视野宇宙！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0246", text: "愿你的快乐如地质学，沉稳坚实！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0247", text: "愿你的友谊如生态学，互惠共生！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0248", text: "愿你的健康如医学，科学养护！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0249", text: "愿你的财富如金融学，风险管理！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0250", text: "愿你的知识如教育学，教学相长！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0251", text: "愿你的创意如设计学，用户体验好！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0252", text: "愿你的行动如工程学，解决实际问题！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0253", text: "愿你的思维如计算机科学，高效算法！", tags: ["节日", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0254", text: "愿你的生活如环境科学，可持续发展！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0255", text: "愿你的梦想如材料科学，创新物质！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0256", text: "愿你的成功如能源科学，动力无限！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0257", text: "愿你的快乐如食品科学，健康美味！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0258", text: "愿你的友谊如交通科学，连接你我！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0259", text: "愿你的健康如运动科学，优化性能！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0260", text: "愿你的财富如管理科学，优化资源！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0261", text: "愿你的知识如信息科学，处理数据！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0262", text: "愿你的创意如认知科学，理解思维！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0263", text: "愿你的行动如行为科学，影响行为！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0264", text: "愿你的思维如神经科学，探索大脑！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0265", text: "愿你的生活如海洋科学，深广包容！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0266", text: "愿你的梦想如空间科学，探索太空！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0267", text: "愿你的成功如地球科学，脚踏实地！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0268", text: "愿你的快乐如气候科学，温和宜人！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0269", text: "愿你的友谊如社会网络，强连接！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0270", text: "愿你的健康如预防医学，防患未然！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0271", text: "愿你的财富如投资学，价值投资！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0272", text: "愿你的知识如图书馆，藏书丰富！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0273", text: "愿你的创意如实验室，实验创新！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0274", text: "愿你的行动如工厂，量产成功！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0275", text: "愿你的思维如研究所，深入研究！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0276", text: "愿你的健康如黑洞，吸收所有疾病！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0277", text: "愿你的财富如银河，浩瀚无边！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0278", text: "愿你的知识如宇宙大爆炸，不断扩展！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0279", text: "愿你的创意如暗物质，无形却存在！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0280", text: "愿你的知识如石油，能源动力！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0281", text: "愿你的创意如钻石，珍贵闪耀！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0282", text: "愿你的行动如风能，清洁高效！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0283", text: "愿你的思维如太阳能，无限能量！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0284", text: "愿你的生活如水能，柔韧适应！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0285", text: "愿你的梦想如核能，释放巨大力量！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0286", text: "愿你的成功如原子能，分裂增长！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0287", text: "愿你的快乐如分子运动，永远活跃！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0288", text: "愿你的友谊如离子键，强烈结合！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0289", text: "愿你的健康如共价键，稳定共享！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0290", text: "愿你的财富如金属键，导电增值！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0291", text: "愿你的知识如化学键，连接知识！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0292", text: "愿你的创意如化学反应，生成新物！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0293", text: "愿你的行动如催化剂，加速实现！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0294", text: "愿你的思维如元素周期表，有序全面！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0295", text: "愿你的生活如纯净水，清澈简单！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0296", text: "愿你的梦想如氧气，支持燃烧激情！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0297", text: "愿你的成功如碳元素，基础牢固！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0298", text: "愿你的创意如硅元素，半导体革命！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0299", text: "愿你的行动如铁元素，坚强有力！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0300", text: "愿你的思维如氧元素，生命必需！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0301", text: "愿你的生活如氢元素，简单高效！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0302", text: "愿你的梦想如铀元素，能量巨大！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0303", text: "愿你的成功如碳纤维，轻而强！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0304", text: "愿你的快乐如笑气，带来欢乐！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0305", text: "愿你的友谊如盐，调味生活！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0306", text: "愿你的健康如维生素，必需微量！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0307", text: "愿你的财富如蛋白质，营养丰富！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0308", text: "愿你的知识如DNA，遗传智慧！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0309", text: "愿你的创意如RNA，传递信息！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0310", text: "愿你的行动如酶，高效催化！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0311", text: "愿你的思维如细胞，生命单元！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0312", text: "愿你的生活如生态系统，平衡和谐！", tags: ["节日", "架构", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0313", text: "愿你的梦想如进化论，适应优化！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0314", text: "愿你的成功如自然选择，优胜劣汰！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0315", text: "愿你的快乐如光合作用，转化能量！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0316", text: "愿你的友谊如共生关系，互惠互利！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0317", text: "愿你的健康如免疫反应，防御强大！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0318", text: "愿你的财富如生物链，循环增值！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0319", text: "愿你的知识如基因库，多样丰富！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0320", text: "愿你的创意如突变，创新突破！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0321", text: "愿你的行动如迁徙，追求更好！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0322", text: "愿你的思维如条件反射，快速反应！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0323", text: "愿你的生活如生物钟，规律节奏！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0324", text: "愿你的梦想如翅膀，飞翔自由！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0325", text: "愿你的思维如风，无形有力！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0326", text: "愿你的生活如雨，滋润万物！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0327", text: "愿你的梦想如雪，纯净美丽！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0328", text: "愿你的成功如冰，坚固透明！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0329", text: "愿你的快乐如云，漂浮自在！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0330", text: "愿你的友谊如雾，朦胧浪漫！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0331", text: "愿你的健康如露，清新每一天！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0332", text: "愿你的财富如霜，结晶价值！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0333", text: "愿你的知识如霾，散去见明！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0334", text: "愿你的创意如虹，七彩斑斓！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0335", text: "愿你的行动如雷，声势浩大！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0336", text: "愿你的思维如电，快速闪亮！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0337", text: "愿你的生活如日，温暖光明！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0338", text: "愿你的梦想如月，宁静致远！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0339", text: "愿你的成功如星，指引方向！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0340", text: "愿你的快乐如辰，永恒存在！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0341", text: "愿你的友谊如宙，无限广阔！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0342", text: "愿你的健康如宇，包容一切！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0343", text: "愿你的财富如时空，弯曲增值！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0344", text: "愿你的知识如维度，多层理解！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0345", text: "愿你的创意如平行宇宙，无限可能！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0346", text: "愿你的行动如时间旅行，改变过去！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0347", text: "愿你的思维如黑洞，吸收知识！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0348", text: "愿你的生活如白洞，释放能量！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0349", text: "愿你的梦想如奇点，爆发创造！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0350", text: "愿你的成功如暗能量，推动膨胀！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0351", text: "愿你的快乐如暗物质，看不见却存在！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0352", text: "愿你的友谊如引力，相互吸引！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0353", text: "愿你的健康如电磁力，强大稳定！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0354", text: "愿你的财富如强力，结合资源！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0355", text: "愿你的知识如弱力，影响深远！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0356", text: "愿你的创意如统一场，整合一切！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0357", text: "愿你的行动如量子跃迁，瞬间改变！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0358", text: "愿你的思维如波粒二象性，灵活适应！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0359", text: "愿你的生活如测不准原理，充满惊喜！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0360", text: "愿你的梦想如薛定谔的猫，既死又活！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0361", text: "愿你的成功如量子纠缠，超越距离！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0362", text: "愿你的快乐如超流体，无摩擦流动！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0363", text: "愿你的友谊如超导体，零电阻！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0364", text: "愿你的健康如玻色-爱因斯坦凝聚，集体智慧！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0365", text: "愿你的财富如费米子，独特性！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0366", text: "愿你的知识如凝聚态，有序结构！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0367", text: "愿你的创意如等离子体，高能状态！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0368", text: "愿你的行动如激光，聚焦强大！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0369", text: "愿你的思维如微波，快速加热！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0370", text: "愿你的生活如红外线，温暖人心！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0371", text: "愿你的梦想如紫外线，杀菌创新！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0372", text: "愿你的成功如X射线，透视本质！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0373", text: "愿你的快乐如伽马射线，高能爆发！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0374", text: "愿你的友谊如无线电波，连接远距离！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0375", text: "愿你的健康如可见光，七彩生活！", tags: ["节日", "健康", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0376", text: "愿你的财富如光谱，全波段覆盖！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0377", text: "愿你的知识如波长，适应不同情况！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0378", text: "愿你的创意如频率，振动共鸣！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0379", text: "愿你的行动如振幅，影响巨大！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0380", text: "愿你的思维如干涉，叠加增强！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0381", text: "愿你的生活如衍射，绕障前行！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0382", text: "愿你的梦想如偏振，定向专注！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0383", text: "愿你的成功如全息，整体信息！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0384", text: "愿你的快乐如声波，传播快乐！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0385", text: "愿你的友谊如超声波，深层沟通！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0386", text: "愿你的健康如次声波，平静身心！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0387", text: "愿你的财富如震动，产生能量！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0388", text: "愿你的知识如共振，放大效果！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0389", text: "愿你的创意如多普勒效应，变化视角！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0390", text: "愿你的行动如冲击波，震撼世界！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0391", text: "愿你的思维如驻波，稳定振荡！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0392", text: "愿你的生活如行波，前进不止！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0393", text: "愿你的梦想如波包，局部集中！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0394", text: "愿你的成功如波函数，概率实现！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0395", text: "愿你的快乐如简谐运动，规律美好！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0396", text: "愿你的友谊如阻尼振动，逐渐平衡！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0397", text: "愿你的健康如强迫振动，外力支持！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0398", text: "愿你的财富如自由振动，自然频率！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0399", text: "愿你的知识如耦合振动，相互影响！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0400", text: "愿你的创意如混沌理论，有序中的无序！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0401", text: "愿你的行动如蝴蝶效应，小改变大影响！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0402", text: "愿你的思维如分形，自相似结构！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0403", text: "愿你的生活如奇异吸引子，稳定轨迹！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0404", text: "愿你的梦想如耗散结构，远离平衡却有序！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0405", text: "愿你的成功如自组织，自动形成结构！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0406", text: "愿你的快乐如复杂系统， emergent 性质！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0407", text: "愿你的友谊如网络科学，小世界连接！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0408", text: "愿你的健康如系统生物学，整体调控！", tags: ["节日", "架构", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0409", text: "愿你的财富如经济系统，循环流动！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0410", text: "愿你的知识如信息系统，处理数据！", tags: ["节日", "数据", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0411", text: "愿你的创意如控制系统，反馈优化！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0412", text: "愿你的行动如动力系统，演化 over time！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0413", text: "愿你的思维如博弈论，策略制胜！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0414", text: "愿你的生活如优化理论，最优解！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0415", text: "愿你的梦想如图论，路径找到！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0416", text: "愿你的成功如概率论，大概率成功！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0417", text: "愿你的快乐如统计力学，宏观规律！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0418", text: "愿你的友谊如群论，对称美丽！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0419", text: "愿你的健康如拓扑学，不变性质！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0420", text: "愿你的财富如微积分，连续增长！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0421", text: "愿你的知识如线性代数，向量空间大！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0422", text: "愿你的创意如微分方程，动态变化！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0423", text: "愿你的行动如数论，质数独特！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0424", text: "愿你的思维如几何学，空间想象！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0425", text: "愿你的生活如解析几何，数形结合！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0426", text: "愿你的梦想如黎曼几何，弯曲空间！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0427", text: "愿你的成功如集合论，包含一切！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0428", text: "愿你的快乐如逻辑学，推理正确！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0429", text: "愿你的友谊如范畴论，抽象关系！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0430", text: "愿你的健康如模糊逻辑，处理不确定性！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0431", text: "愿你的财富如算法论，高效解决！", tags: ["节日", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0432", text: "愿你的知识如计算理论，可计算性！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0433", text: "愿你的创意如信息论，压缩传递！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0434", text: "愿你的行动如复杂度理论，P=NP！", tags: ["节日", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0435", text: "愿你的思维如自动机理论，状态转换！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0436", text: "愿你的生活如形式语言，语法正确！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0437", text: "愿你的梦想如编译器，翻译实现！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0438", text: "愿你的成功如操作系统，资源管理！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0439", text: "愿你的快乐如数据库，存储美好！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0440", text: "愿你的友谊如网络协议，可靠传输！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0441", text: "愿你的健康如加密算法，安全保密！", tags: ["节日", "算法", "安全", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0442", text: "愿你的财富如机器学习，从数据学习！", tags: ["节日", "AI", "数据", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0443", text: "愿你的知识如深度学习，多层理解！", tags: ["节日", "AI", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0444", text: "愿你的创意如神经网络，连接灵感！", tags: ["节日", "AI", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0445", text: "愿你的行动如强化学习，试错优化！", tags: ["节日", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0446", text: "愿你的思维如自然语言处理，理解人类！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0447", text: "愿你的生活如计算机视觉，看清世界！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0448", text: "愿你的梦想如机器人学，自动智能！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0449", text: "愿你的成功如人工智能，超越人类！", tags: ["节日", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0450", text: "愿你的快乐如人工生命，模拟进化！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0451", text: "愿你的友谊如物联网，万物互联！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0452", text: "愿你的健康如可穿戴计算，实时监测！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0453", text: "愿你的财富如云计算，弹性扩展！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0454", text: "愿你的知识如边缘计算，就近处理！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0455", text: "愿你的创意如量子计算，并行加速！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0456", text: "愿你的行动如生物计算，DNA 存储！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0457", text: "愿你的思维如光计算，光速处理！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0458", text: "愿你的生活如化学计算，分子机器！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0459", text: "愿你的梦想如神经计算，模拟大脑！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0460", text: "愿你的成功如分布式计算，协作解决！", tags: ["节日", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0461", text: "愿你的快乐如网格计算，资源共享！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0462", text: "愿你的友谊如对等计算，去中心化！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0463", text: "愿你的健康如绿色计算，节能环保！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0464", text: "愿你的财富如高性能计算，快速处理！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0465", text: "愿你的知识如普适计算，无处不在！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0466", text: "愿你的创意如情感计算，理解情绪！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0467", text: "愿你的行动如上下文计算，适应环境！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0468", text: "愿你的思维如语义网，意义理解！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0469", text: "愿你的生活如知识图谱，关联知识！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0470", text: "愿你的梦想如虚拟化，资源抽象！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0471", text: "愿你的成功如容器化，隔离部署！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0472", text: "愿你的快乐如微服务，模块化开发！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0473", text: "愿你的友谊如API，接口标准化！", tags: ["节日", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0474", text: "愿你的健康如DevOps，开发运维一体！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0475", text: "愿你的财富如敏捷开发，快速迭代！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0476", text: "愿你的知识如Scrum，团队协作！", tags: ["节日", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0477", text: "愿你的创意如极限编程，持续改进！", tags: ["节日", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0478", text: "愿你的行动如看板，可视化流程！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0479", text: "愿你的思维如精益开发，减少浪费！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0480", text: "愿你的生活如持续集成，自动测试！", tags: ["节日", "测试", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0481", text: "愿你的梦想如持续交付，快速发布！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0482", text: "愿你的成功如持续部署，自动上线！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0483", text: "愿你的快乐如版本控制，历史追踪！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0484", text: "愿你的友谊如代码审查，质量保证！", tags: ["节日", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0485", text: "愿你的健康如单元测试，模块稳定！", tags: ["节日", "测试", "架构", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0486", text: "愿你的财富如集成测试，系统协调！", tags: ["节日", "测试", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0487", text: "愿你的知识如端到端测试，全局验证！", tags: ["节日", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0488", text: "愿你的创意如测试驱动开发，先测试后代码！", tags: ["节日", "代码", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0489", text: "愿你的行动如行为驱动开发，业务语言！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0490", text: "愿你的思维如领域驱动设计，模型核心！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0491", text: "愿你的生活如设计模式，最佳实践！", tags: ["节日", "架构", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0492", text: "愿你的梦想如架构模式，系统蓝图！", tags: ["节日", "架构", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0493", text: "愿你的成功如反模式，避免错误！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0494", text: "愿你的快乐如重构，改进代码！", tags: ["节日", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0495", text: "愿你的友谊如代码气味，识别问题！", tags: ["节日", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0496", text: "愿你的健康如技术债，管理得当！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0497", text: "愿你的财富如代码覆盖率，全面测试！", tags: ["节日", "代码", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0498", text: "愿你的知识如性能分析，优化瓶颈！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0499", text: "愿你的创意如调试，解决bug！", tags: ["节日", "bug", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0500", text: "愿你的行动如日志记录，追踪问题！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0501", text: "愿你的思维如监控告警，及时响应！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0502", text: "愿你的生活如故障排除，恢复系统！", tags: ["节日", "架构", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0503", text: "愿你的梦想如容错设计， resilient 系统！", tags: ["节日", "架构", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0504", text: "愿你的成功如负载均衡，分散压力！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0505", text: "愿你的快乐如缓存，快速访问！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0506", text: "愿你的友谊如CDN，全球加速！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0507", text: "愿你的健康如备份，数据安全！", tags: ["节日", "数据", "安全", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0508", text: "愿你的财富如冗余，高可用性！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0509", text: "愿你的知识如伸缩性，适应负载！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0510", text: "愿你的创意如一致性，数据正确！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0511", text: "愿你的行动如可用性，服务不中断！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0512", text: "愿你的思维如分区容错，分布式耐受！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0513", text: "愿你的生活如BASE理论，最终一致性！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0514", text: "愿你的梦想如CAP定理，权衡智慧！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0515", text: "愿你的成功如ACID，事务可靠！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0516", text: "愿你的快乐如NoSQL，灵活模式！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0517", text: "愿你的友谊如SQL，关系严谨！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0518", text: "愿你的健康如NewSQL，结合优势！", tags: ["节日", "数据", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0519", text: "愿你的财富如大数据，价值挖掘！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0520", text: "愿你的知识如数据挖掘，发现规律！", tags: ["节日", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0521", text: "愿你的创意如机器学习，预测未来！", tags: ["节日", "AI", "成长", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0522", text: "愿你的行动如深度学习，层次特征！", tags: ["节日", "AI", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0523", text: "愿你的思维如自然语言处理，理解文本！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0524", text: "愿你的生活如计算机视觉，图像识别！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0525", text: "愿你的梦想如语音识别，声音转文本！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0526", text: "愿你的成功如语音合成，文本转声音！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0527", text: "愿你的快乐如机器人，自动服务！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0528", text: "愿你的友谊如无人机，空中视角！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0529", text: "愿你的健康如自动驾驶，安全导航！", tags: ["节日", "安全", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0530", text: "愿你的财富如智能家居，便捷生活！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0531", text: "愿你的知识如智慧城市，优化管理！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0532", text: "愿你的创意如虚拟助手，个人助理！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0533", text: "愿你的行动如推荐系统，个性化推荐！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0534", text: "愿你的思维如搜索引擎，快速查找！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0535", text: "愿你的生活如社交媒体，连接朋友！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0536", text: "愿你的梦想如电子商务，在线交易！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0537", text: "愿你的成功如在线教育，远程学习！", tags: ["节日", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0538", text: "愿你的快乐如远程工作，地点自由！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0539", text: "愿你的友谊如视频会议，面对面交流！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0540", text: "愿你的健康如电子健康，数字医疗！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0541", text: "愿你的财富如金融科技，创新金融！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0542", text: "愿你的知识如区块链，去中心化信任！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0543", text: "愿你的创意如加密货币，数字资产！", tags: ["节日", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0544", text: "愿你的行动如智能合约，自动执行！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0545", text: "愿你的思维如NFT，唯一数字物品！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0546", text: "愿你的生活如元宇宙，虚拟世界！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0547", text: "愿你的梦想如AR，增强现实！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0548", text: "愿你的成功如VR，虚拟现实！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0549", text: "愿你的快乐如MR，混合现实！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0550", text: "愿你的友谊如XR，扩展现实！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0551", text: "愿你的健康如数字孪生，模拟实体！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0552", text: "愿你的财富如3D打印，快速原型！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0553", text: "愿你的知识如纳米技术，微小精密！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0554", text: "愿你的创意如生物技术，生命科学！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0555", text: "愿你的行动如基因编辑，精准修改！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0556", text: "愿你的思维如合成生物学，设计生命！", tags: ["节日", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0557", text: "愿你的生活如可再生能源，可持续！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0558", text: "愿你的梦想如太空旅行，探索宇宙！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0559", text: "愿你的成功如殖民火星，新家园！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0560", text: "愿你的快乐如深海探索，神秘世界！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0561", text: "愿你的友谊如极地探险，挑战极限！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0562", text: "愿你的健康如登山，攀登高峰！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0563", text: "愿你的财富如航海，远航致富！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0564", text: "愿你的知识如飞行，天空自由！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0565", text: "愿你的创意如潜水，深海奥秘！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0566", text: "愿你的行动如跑步，坚持到底！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0567", text: "愿你的思维如瑜伽，身心合一！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0568", text: "愿你的生活如冥想，内心平静！", tags: ["节日", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0569", text: "愿你的梦想如科学，验证假设！", tags: ["节日", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0570", text: "愿你的友谊如火，温暖热烈！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0571", text: "愿你的健康如土，扎根稳固！", tags: ["节日", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0572", text: "愿你的财富如金，闪闪发光！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0573", text: "愿你的知识如木，生长茁壮！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "festival-0574", text: "愿你的创意如电，激发灵感！", tags: ["节日"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" }
     ],
     "工作祝福": [
-        "愿你的代码永远简洁优雅，逻辑清晰明了！",
-        "祝你在编程的道路上越走越远，技术日益精进！",
-        "愿你的每一次提交都是完美的，每一个功能都运行顺畅！",
-        "祝你的项目管理井井有条，团队协作和谐融洽！",
-        "愿你的算法思维敏捷，数据结构运用自如！",
-        "祝你的代码审查总是通过，同事赞不绝口！",
-        "愿你的调试过程轻松愉快，bug无处遁形！",
-        "祝你的架构设计合理高效，系统稳定可靠！",
-        "愿你的学习能力持续增强，新技术信手拈来！",
-        "祝你的工作效率不断提升，成果令人瞩目！",
-        "愿你的创新思维活跃，解决方案独具匠心！",
-        "祝你的职业发展一帆风顺，晋升之路畅通无阻！",
-        "愿你的技术分享受到认可，影响力日益扩大！",
-        "祝你的代码质量始终优秀，维护成本极低！",
-        "愿你的工作与生活平衡，身心健康快乐！",
-        "祝你的技术栈不断丰富，竞争力持续增强！",
-        "愿你的问题解决能力超群，挑战迎刃而解！",
-        "祝你的代码重构游刃有余，系统性能显著提升！",
-        "愿你的文档编写清晰详尽，后人受益无穷！",
-        "祝你的版本控制运用娴熟，协作效率倍增！",
-        "愿你的单元测试覆盖全面，质量保障有力！",
-        "祝你的性能优化效果显著，用户体验极佳！",
-        "愿你的安全意识强烈，系统固若金汤！",
-        "祝你的数据库设计合理，查询效率极高！",
-        "愿你的API设计优雅，接口调用便捷！",
-        "祝你的前端技能精湛，用户界面美观易用！",
-        "愿你的后端架构稳固，服务响应迅速！",
-        "祝你的移动开发技术娴熟，应用体验流畅！",
-        "愿你的云计算应用得心应手，资源配置合理！",
-        "祝你的DevOps实践成功，部署流程自动化！",
-        "愿你的机器学习模型准确，预测结果可靠！",
-        "祝你的区块链技术应用创新，价值创造显著！",
-        "愿你的物联网项目成功，设备连接稳定！",
-        "祝你的大数据处理高效，洞察价值巨大！",
-        "愿你的人工智能应用智能，用户交互自然！",
-        "祝你的网络安全防护严密，数据保护完善！",
-        "愿你的系统集成顺利，各模块协调运行！",
-        "祝你的代码重用率高，开发效率显著！",
-        "愿你的技术债务管理得当，系统健康度良好！",
-        "祝你的监控告警及时，问题发现迅速！",
-        "愿你的故障恢复快速，服务高可用！",
-        "祝你的容量规划精准，资源利用率高！",
-        "愿你的成本控制有效，投入产出比优！",
-        "祝你的团队沟通顺畅，信息透明共享！",
-        "愿你的需求分析透彻，产品满足用户！",
-        "祝你的设计模式运用得当，代码可扩展！",
-        "愿你的编程规范遵守，风格统一！",
-        "祝你的工具链完善，开发体验流畅！",
-        "愿你的持续学习习惯养成，知识不断更新！",
-        "祝你的时间管理高效，任务按时完成！",
-        "愿你的压力管理得当，工作轻松愉快！",
-        "祝你的创造力爆发，创新成果频出！",
-        "愿你的逻辑思维严谨，bug无处藏身！",
-        "祝你的代码评审认真，质量提升明显！",
-        "愿你的技术选型明智，系统长期稳定！",
-        "祝你的团队建设成功，人才梯队完善！",
-        "愿你的项目管理敏捷，迭代快速交付！",
-        "祝你的产品愿景清晰，市场反响热烈！",
-        "愿你的用户反馈积极，改进持续进行！",
-        "祝你的业务理解深入，解决方案贴切！",
-        "愿你的数据驱动决策，结果可衡量！",
-        "祝你的实验设计科学，假设验证有效！",
-        "愿你的A/B测试严谨，优化方向正确！",
-        "祝你的用户体验优化，满意度提升！",
-        "愿你的可访问性设计周全，包容所有用户！",
-        "祝你的国际化支持完善，全球用户覆盖！",
-        "愿你的性能监控全面，瓶颈快速定位！",
-        "祝你的安全审计通过，漏洞及时修复！",
-        "愿你的合规性检查达标，风险规避成功！",
-        "祝你的文档维护及时，知识传承有序！",
-        "愿你的培训体系健全，团队成长迅速！",
-        "祝你的开源贡献突出，社区影响力大！",
-        "愿你的技术博客受欢迎，知识分享广泛！",
-        "祝你的演讲能力提升，会议表现出色！",
-        "愿你的写作技巧精湛，技术文档清晰！",
-        "祝你的英语水平提高，国际协作顺畅！",
-        "愿你的跨文化沟通有效，全球团队和谐！",
-        "祝你的谈判技巧娴熟，合作达成双赢！",
-        "愿你的领导力发展，团队激励有力！",
-        "祝你的项目管理认证获得，职业资格提升！",
-        "愿你的学位深造完成，学术实践结合！",
-        "祝你的专利申请通过，知识产权保护！",
-        "愿你的奖项荣获，行业认可度高！",
-        "祝你的工资增长快速，收入水平提升！",
-        "愿你的股票期权增值，财富积累加速！",
-        "祝你的创业项目成功，公司上市在即！",
-        "愿你的副业发展顺利，收入来源多元！",
-        "祝你的投资理财明智，财务自由早现！",
-        "愿你的退休规划提前，晚年生活无忧！",
-        "祝你的健康保险全面，医疗保障完善！",
-        "愿你的体检报告正常，身体指标健康！",
-        "祝你的运动习惯坚持，体能保持良好！",
-        "愿你的饮食结构合理，营养均衡充足！",
-        "祝你的睡眠质量高，精力充沛每一天！",
-        "愿你的心理健康维护，情绪稳定积极！",
-        "祝你的兴趣爱好广泛，生活丰富多彩！",
-        "愿你的家庭关系和睦，家人支持理解！",
-        "祝你的朋友交往真诚，社交圈层优质！",
-        "愿你的旅行计划实现，见识世界广阔！",
-        "祝你的阅读习惯养成，知识面扩展！",
-        "愿你的音乐爱好发展，艺术修养提升！",
-        "祝你的体育参与积极，体魄强健！",
-        "愿你的志愿服务参与，社会贡献显著！",
-        "祝你的环保行动有效，可持续发展！",
-        "愿你的慈善捐赠持续，爱心传递温暖！",
-        "祝你的导师指导有力，职业路径清晰！",
-        "愿你的学员成长迅速，教学相长！",
-        "祝你的行业网络扩展，人脉资源丰富！",
-        "愿你的会议参与积极，见解独到！",
-        "祝你的论文发表成功，学术影响深远！",
-        "愿你的书籍出版顺利，知识传播广泛！",
-        "祝你的产品发布成功，用户口碑良好！",
-        "愿你的公司文化健康，员工幸福感高！",
-        "祝你的办公室环境舒适，工作效率提升！",
-        "愿你的远程工作灵活，生活工作平衡！",
-        "祝你的假期休息充分，身心恢复活力！",
-        "愿你的节日庆祝欢乐，团队凝聚力强！",
-        "祝你的生日祝福满满，新一岁更精彩！",
-        "愿你的纪念日难忘，人生里程碑闪耀！",
-        "祝你的每一天都充实，进步持续不断！",
-        "愿你的每一年都丰收，成就累积如山！",
-        "祝你的整个人生幸福，梦想全部实现！",
-        "愿你的代码如诗，逻辑如画，bug 如风散去！",
-        "祝你的项目如舟，团队如桨，成功如岸在望！",
-        "愿你的算法如歌，数据如舞，性能如飞！",
-        "祝你的架构如城，模块如砖，稳固如磐石！",
-        "愿你的数据库如库，索引如钥，查询如闪电！",
-        "祝你的网络如网，协议如约，连接如丝滑！",
-        "愿你的安全如盾，加密如甲，防护如铁壁！",
-        "祝你的云如天，弹性如云，资源如雨降！",
-        "愿你的 DevOps 如链，自动化如流，部署如风！",
-        "祝你的 AI 如脑，学习如成长，智能如人！",
-        "愿你的区块链如链，去中心如网，信任如金！",
-        "祝你的 IoT 如感官，设备如细胞，智能如生命！",
-        "愿你的大数据如海，分析如渔，洞察如珍珠！",
-        "祝你的 VR 如梦，沉浸如真，体验如幻！",
-        "愿你的 AR 如镜，叠加如影，现实如增强！",
-        "祝你的 UI 如面，交互如话，用户如友！",
-        "愿你的 UX 如心，体验如情，满意如百分！",
-        "祝你的 API 如桥，接口如路，调用如车流！",
-        "愿你的文档如书，说明如话，阅读如轻松！",
-        "祝你的测试如网，覆盖如全，质量如顶！",
-        "愿你的调试如探，问题如谜，解决如解谜！",
-        "祝你的重构如修，代码如屋，整洁如新！",
-        "愿你的版本控制如史，提交如记，回溯如时光！",
-        "祝你的代码审查如镜，反馈如镜，改进如磨！",
-        "愿你的团队如家，协作如亲，成功如共享！",
-        "祝你的领导如师，指导如灯，成长如树！",
-        "愿你的职业如梯，晋升如登，视野如山顶！",
-        "祝你的学习如饥，知识如食，智慧如饱！",
-        "愿你的创新如泉，想法如水，创造如河！",
-        "祝你的压力如云，消散如风，心情如晴！",
-        "愿你的健康如山，稳固如石，活力如火山！",
-        "祝你的财富如江，流动如活，积累如海！",
-        "愿你的友谊如星，闪烁如恒，温暖如光！",
-        "祝你的家庭如港，宁静如湾，幸福如满！",
-        "愿你的爱情如诗，浪漫如画，长久如世纪！",
-        "祝你的生活如歌，旋律如美，节奏如舞！",
-        "愿你的梦想如翼，飞翔如鸟，自由如天！",
-        "祝你的成功如日，升起如晨，光辉如午！",
-        "愿你的快乐如童，纯真如初，简单如笑！",
-        "祝你的心灵如湖，平静如镜，清澈如透！",
-        "愿你的精神如鹰，高飞如空，锐利如眼！",
-        "祝你的身体如豹，敏捷如风，强壮如牛！",
-        "愿你的智慧如狐，狡猾如智，机敏如反应！",
-        "祝你的勇气如狮，勇敢如王，无畏如前！",
-        "愿你的耐心如龟，缓慢如稳，持久如恒！",
-        "祝你的决心如铁，坚硬如钢，不弯如柱！",
-        "愿你的热情如火，燃烧如烈，温暖如春！",
-        "祝你的冷静如冰，沉着如冷，清醒如镜！",
-        "愿你的幽默如风，轻松如笑，欢乐如雨！",
-        "祝你的真诚如金，纯粹如真，信任如基！",
-        "愿你的善良如光，照亮如暗，温暖如心！",
-        "祝你的谦逊如谷，低下如虚，容纳如海！",
-        "愿你的宽容如天，广阔如空，包容如云！",
-        "祝你的感恩如泉，涌流如谢，回报如馈！",
-        "愿你的希望如星，指引如灯，光明如未来！",
-        "祝你的信念如山，坚定如石，不动如岳！",
-        "愿你的爱如海，深广如渊，无尽如永恒！",
-        "祝你的生命如树，扎根如土，生长如天！",
-        "愿你的灵魂如风，自由如空，无形却存在！",
-        "祝你的存在如光，照亮如世，意义如重大！",
-        "愿你的代码人生，精彩如戏，幸福如结局！",
-        "祝你的程序员节，快乐如节，祝福如潮！"
+        { id: "work-0001", text: "愿你的代码永远简洁优雅，逻辑清晰明了！", tags: ["工作", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0002", text: "祝你在编程的道路上越走越远，技术日益精进！", tags: ["工作", "代码", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0003", text: "愿你的每一次提交都是完美的，每一个功能都运行顺畅！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0004", text: "祝你的项目管理井井有条，团队协作和谐融洽！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0005", text: "愿你的算法思维敏捷，数据结构运用自如！", tags: ["工作", "算法", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0006", text: "祝你的代码审查总是通过，同事赞不绝口！", tags: ["工作", "代码", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0007", text: "愿你的调试过程轻松愉快，bug无处遁形！", tags: ["工作", "bug", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0008", text: "祝你的架构设计合理高效，系统稳定可靠！", tags: ["工作", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0009", text: "愿你的学习能力持续增强，新技术信手拈来！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0010", text: "祝你的工作效率不断提升，成果令人瞩目！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0011", text: "愿你的创新思维活跃，解决方案独具匠心！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0012", text: "祝你的职业发展一帆风顺，晋升之路畅通无阻！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0013", text: "愿你的技术分享受到认可，影响力日益扩大！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0014", text: "祝你的代码质量始终优秀，维护成本极低！", tags: ["工作", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0015", text: "愿你的工作与生活平衡，身心健康快乐！", tags: ["工作", "健康", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0016", text: "祝你的技术栈不断丰富，竞争力持续增强！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0017", text: "愿你的问题解决能力超群，挑战迎刃而解！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0018", text: "祝你的代码重构游刃有余，系统性能显著提升！", tags: ["工作", "代码", "架构", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0019", text: "愿你的文档编写清晰详尽，后人受益无穷！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0020", text: "祝你的版本控制运用娴熟，协作效率倍增！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0021", text: "愿你的单元测试覆盖全面，质量保障有力！", tags: ["工作", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0022", text: "祝你的性能优化效果显著，用户体验极佳！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0023", text: "愿你的安全意识强烈，系统固若金汤！", tags: ["工作", "架构", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0024", text: "祝你的数据库设计合理，查询效率极高！", tags: ["工作", "数据", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0025", text: "愿你的API设计优雅，接口调用便捷！", tags: ["工作", "网络", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0026", text: "祝你的前端技能精湛，用户界面美观易用！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0027", text: "愿你的后端架构稳固，服务响应迅速！", tags: ["工作", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0028", text: "祝你的移动开发技术娴熟，应用体验流畅！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0029", text: "愿你的云计算应用得心应手，资源配置合理！", tags: ["工作", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0030", text: "祝你的DevOps实践成功，部署流程自动化！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0031", text: "愿你的机器学习模型准确，预测结果可靠！", tags: ["工作", "AI", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0032", text: "祝你的区块链技术应用创新，价值创造显著！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0033", text: "愿你的物联网项目成功，设备连接稳定！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0034", text: "祝你的大数据处理高效，洞察价值巨大！", tags: ["工作", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0035", text: "愿你的人工智能应用智能，用户交互自然！", tags: ["工作", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0036", text: "祝你的网络安全防护严密，数据保护完善！", tags: ["工作", "数据", "网络", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0037", text: "愿你的系统集成顺利，各模块协调运行！", tags: ["工作", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0038", text: "祝你的代码重用率高，开发效率显著！", tags: ["工作", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0039", text: "愿你的技术债务管理得当，系统健康度良好！", tags: ["工作", "架构", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0040", text: "祝你的监控告警及时，问题发现迅速！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0041", text: "愿你的故障恢复快速，服务高可用！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0042", text: "祝你的容量规划精准，资源利用率高！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0043", text: "愿你的成本控制有效，投入产出比优！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0044", text: "祝你的团队沟通顺畅，信息透明共享！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0045", text: "愿你的需求分析透彻，产品满足用户！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0046", text: "祝你的设计模式运用得当，代码可扩展！", tags: ["工作", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0047", text: "愿你的编程规范遵守，风格统一！", tags: ["工作", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0048", text: "祝你的工具链完善，开发体验流畅！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0049", text: "愿你的持续学习习惯养成，知识不断更新！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0050", text: "祝你的时间管理高效，任务按时完成！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0051", text: "愿你的压力管理得当，工作轻松愉快！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0052", text: "祝你的创造力爆发，创新成果频出！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0053", text: "愿你的逻辑思维严谨，bug无处藏身！", tags: ["工作", "bug"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0054", text: "祝你的代码评审认真，质量提升明显！", tags: ["工作", "代码", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0055", text: "愿你的技术选型明智，系统长期稳定！", tags: ["工作", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0056", text: "祝你的团队建设成功，人才梯队完善！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0057", text: "愿你的项目管理敏捷，迭代快速交付！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0058", text: "祝你的产品愿景清晰，市场反响热烈！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0059", text: "愿你的用户反馈积极，改进持续进行！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0060", text: "祝你的业务理解深入，解决方案贴切！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0061", text: "愿你的数据驱动决策，结果可衡量！", tags: ["工作", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0062", text: "祝你的实验设计科学，假设验证有效！", tags: ["工作", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0063", text: "愿你的A/B测试严谨，优化方向正确！", tags: ["工作", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0064", text: "祝你的用户体验优化，满意度提升！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0065", text: "愿你的可访问性设计周全，包容所有用户！", tags: ["工作", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0066", text: "祝你的国际化支持完善，全球用户覆盖！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0067", text: "愿你的性能监控全面，瓶颈快速定位！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0068", text: "祝你的安全审计通过，漏洞及时修复！", tags: ["工作", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0069", text: "愿你的合规性检查达标，风险规避成功！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0070", text: "祝你的文档维护及时，知识传承有序！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0071", text: "愿你的培训体系健全，团队成长迅速！", tags: ["工作", "团队", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0072", text: "祝你的开源贡献突出，社区影响力大！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0073", text: "愿你的技术博客受欢迎，知识分享广泛！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0074", text: "祝你的演讲能力提升，会议表现出色！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0075", text: "愿你的写作技巧精湛，技术文档清晰！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0076", text: "祝你的英语水平提高，国际协作顺畅！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0077", text: "愿你的跨文化沟通有效，全球团队和谐！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0078", text: "祝你的谈判技巧娴熟，合作达成双赢！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0079", text: "愿你的领导力发展，团队激励有力！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0080", text: "祝你的项目管理认证获得，职业资格提升！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0081", text: "愿你的学位深造完成，学术实践结合！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0082", text: "祝你的专利申请通过，知识产权保护！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0083", text: "愿你的奖项荣获，行业认可度高！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0084", text: "祝你的工资增长快速，收入水平提升！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0085", text: "愿你的股票期权增值，财富积累加速！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0086", text: "祝你的创业项目成功，公司上市在即！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0087", text: "愿你的副业发展顺利，收入来源多元！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0088", text: "祝你的投资理财明智，财务自由早现！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0089", text: "愿你的退休规划提前，晚年生活无忧！", tags: ["工作", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0090", text: "祝你的健康保险全面，医疗保障完善！", tags: ["工作", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0091", text: "愿你的体检报告正常，身体指标健康！", tags: ["工作", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0092", text: "祝你的运动习惯坚持，体能保持良好！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0093", text: "愿你的饮食结构合理，营养均衡充足！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0094", text: "祝你的睡眠质量高，精力充沛每一天！", tags: ["工作", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0095", text: "愿你的心理健康维护，情绪稳定积极！", tags: ["工作", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0096", text: "祝你的兴趣爱好广泛，生活丰富多彩！", tags: ["工作", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0097", text: "愿你的家庭关系和睦，家人支持理解！", tags: ["工作", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0098", text: "祝你的朋友交往真诚，社交圈层优质！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0099", text: "愿你的旅行计划实现，见识世界广阔！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0100", text: "祝你的阅读习惯养成，知识面扩展！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0101", text: "愿你的音乐爱好发展，艺术修养提升！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0102", text: "祝你的体育参与积极，体魄强健！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0103", text: "愿你的志愿服务参与，社会贡献显著！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0104", text: "祝你的环保行动有效，可持续发展！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0105", text: "愿你的慈善捐赠持续，爱心传递温暖！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0106", text: "祝你的导师指导有力，职业路径清晰！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0107", text: "愿你的学员成长迅速，教学相长！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0108", text: "祝你的行业网络扩展，人脉资源丰富！", tags: ["工作", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0109", text: "愿你的会议参与积极，见解独到！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0110", text: "祝你的论文发表成功，学术影响深远！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0111", text: "愿你的书籍出版顺利，知识传播广泛！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0112", text: "祝你的产品发布成功，用户口碑良好！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0113", text: "愿你的公司文化健康，员工幸福感高！", tags: ["工作", "健康", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0114", text: "祝你的办公室环境舒适，工作效率提升！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0115", text: "愿你的远程工作灵活，生活工作平衡！", tags: ["工作", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0116", text: "祝你的假期休息充分，身心恢复活力！", tags: ["工作", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0117", text: "愿你的节日庆祝欢乐，团队凝聚力强！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0118", text: "祝你的生日祝福满满，新一岁更精彩！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0119", text: "愿你的纪念日难忘，人生里程碑闪耀！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0120", text: "祝你的每一天都充实，进步持续不断！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0121", text: "愿你的每一年都丰收，成就累积如山！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0122", text: "祝你的整个人生幸福，梦想全部实现！", tags: ["工作", "梦想", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0123", text: "愿你的代码如诗，逻辑如画，bug 如风散去！", tags: ["工作", "bug", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0124", text: "祝你的项目如舟，团队如桨，成功如岸在望！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0125", text: "愿你的算法如歌，数据如舞，性能如飞！", tags: ["工作", "算法", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0126", text: "祝你的架构如城，模块如砖，稳固如磐石！", tags: ["工作", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0127", text: "愿你的数据库如库，索引如钥，查询如闪电！", tags: ["工作", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0128", text: "祝你的网络如网，协议如约，连接如丝滑！", tags: ["工作", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0129", text: "愿你的安全如盾，加密如甲，防护如铁壁！", tags: ["工作", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0130", text: "祝你的云如天，弹性如云，资源如雨降！", tags: ["工作", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0131", text: "愿你的 DevOps 如链，自动化如流，部署如风！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0132", text: "祝你的 AI 如脑，学习如成长，智能如人！", tags: ["工作", "AI", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0133", text: "愿你的区块链如链，去中心如网，信任如金！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0134", text: "祝你的 IoT 如感官，设备如细胞，智能如生命！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0135", text: "愿你的大数据如海，分析如渔，洞察如珍珠！", tags: ["工作", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0136", text: "祝你的 VR 如梦，沉浸如真，体验如幻！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0137", text: "愿你的 AR 如镜，叠加如影，现实如增强！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0138", text: "祝你的 UI 如面，交互如话，用户如友！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0139", text: "愿你的 UX 如心，体验如情，满意如百分！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0140", text: "祝你的 API 如桥，接口如路，调用如车流！", tags: ["工作", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0141", text: "愿你的文档如书，说明如话，阅读如轻松！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0142", text: "祝你的测试如网，覆盖如全，质量如顶！", tags: ["工作", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0143", text: "愿你的调试如探，问题如谜，解决如解谜！", tags: ["工作", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0144", text: "祝你的重构如修，代码如屋，整洁如新！", tags: ["工作", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0145", text: "愿你的版本控制如史，提交如记，回溯如时光！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0146", text: "祝你的代码审查如镜，反馈如镜，改进如磨！", tags: ["工作", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0147", text: "愿你的团队如家，协作如亲，成功如共享！", tags: ["工作", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0148", text: "祝你的领导如师，指导如灯，成长如树！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0149", text: "愿你的职业如梯，晋升如登，视野如山顶！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0150", text: "祝你的学习如饥，知识如食，智慧如饱！", tags: ["工作", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0151", text: "愿你的创新如泉，想法如水，创造如河！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0152", text: "祝你的压力如云，消散如风，心情如晴！", tags: ["工作", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0153", text: "愿你的健康如山，稳固如石，活力如火山！", tags: ["工作", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0154", text: "祝你的财富如江，流动如活，积累如海！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0155", text: "愿你的友谊如星，闪烁如恒，温暖如光！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0156", text: "祝你的家庭如港，宁静如湾，幸福如满！", tags: ["工作", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0157", text: "愿你的爱情如诗，浪漫如画，长久如世纪！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0158", text: "祝你的生活如歌，旋律如美，节奏如舞！", tags: ["工作", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0159", text: "愿你的梦想如翼，飞翔如鸟，自由如天！", tags: ["工作", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0160", text: "祝你的成功如日，升起如晨，光辉如午！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0161", text: "愿你的快乐如童，纯真如初，简单如笑！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0162", text: "祝你的心灵如湖，平静如镜，清澈如透！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0163", text: "愿你的精神如鹰，高飞如空，锐利如眼！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0164", text: "祝你的身体如豹，敏捷如风，强壮如牛！", tags: ["工作", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0165", text: "愿你的智慧如狐，狡猾如智，机敏如反应！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0166", text: "祝你的勇气如狮，勇敢如王，无畏如前！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0167", text: "愿你的耐心如龟，缓慢如稳，持久如恒！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0168", text: "祝你的决心如铁，坚硬如钢，不弯如柱！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0169", text: "愿你的热情如火，燃烧如烈，温暖如春！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0170", text: "祝你的冷静如冰，沉着如冷，清醒如镜！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0171", text: "愿你的幽默如风，轻松如笑，欢乐如雨！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0172", text: "祝你的真诚如金，纯粹如真，信任如基！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0173", text: "愿你的善良如光，照亮如暗，温暖如心！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0174", text: "祝你的谦逊如谷，低下如虚，容纳如海！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0175", text: "愿你的宽容如天，广阔如空，包容如云！", tags: ["工作", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0176", text: "祝你的感恩如泉，涌流如谢，回报如馈！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0177", text: "愿你的希望如星，指引如灯，光明如未来！", tags: ["工作", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0178", text: "祝你的信念如山，坚定如石，不动如岳！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0179", text: "愿你的爱如海，深广如渊，无尽如永恒！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0180", text: "祝你的生命如树，扎根如土，生长如天！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0181", text: "愿你的灵魂如风，自由如空，无形却存在！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0182", text: "祝你的存在如光，照亮如世，意义如重大！", tags: ["工作"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0183", text: "愿你的代码人生，精彩如戏，幸福如结局！", tags: ["工作", "代码", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "work-0184", text: "祝你的程序员节，快乐如节，祝福如潮！", tags: ["工作", "1024"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" }
     ],
     "哲思祝福": [
-    "愿你的代码如人生，既有严谨的逻辑，又有诗意的留白",
-    "编程之道，在于平衡抽象与具体，如同平衡理想与现实",
-    "愿你的算法思维教会你：复杂问题总有优雅的分解方式",
-    "在二进制世界里，愿你找到无限可能的哲学",
-    "代码如禅，专注当下每一行，便是修行的开始",
-    "愿你的编程之路如递归：深入理解自我，终能找到出口",
-    "调试bug如面对人生困境：耐心观察，理性分析，终会解决",
-    "封装不仅是代码原则，更是智慧的生活态度",
-    "继承与多态提醒我们：既要传承智慧，又要保持个性",
-    "愿你的架构设计如人生规划：模块化但保持弹性",
-    "版本控制教会我们：每个选择都值得记录，但永远可以回退重来",
-    "空指针异常提醒：生命中重要的连接不可为null",
-    "愿你的代码如道德经：简约而不简单，深邃而自然",
-    "死循环如同执念，懂得设置终止条件才是智慧",
-    "多线程生活需要同步机制，找到内心的锁与条件变量",
-    "垃圾回收的哲学：及时放下不再需要的负担",
-    "接口设计如人际边界：清晰定义，温和交互",
-    "单元测试如同每日自省：及早发现问题，确保质量",
-    "重构的意义：不断改进自我，而不改变外在功能",
-    "设计模式是前人智慧的结晶，如同传统文化之于人生",
-    "算法复杂度提醒：选择比努力更重要",
-    "分布式系统教会我们：独立运作，但保持共识",
-    "加密算法如内心秘密：需要保护，但也要有密钥分享信任的人",
-    "缓存策略如记忆管理：保留重要，释放次要",
-    "负载均衡的智慧：适度分配，避免任何一个环节过载",
-    "容错设计如韧性培养：即使部分失败，整体仍能运行",
-    "愿你的代码如斯多葛哲学：关注可控，接受不可控",
-    "函数式编程的纯粹性：减少副作用，增加可预测性",
-    "面向对象的三特性：封装自我，继承传统，多态适应",
-    "异步编程如人生：不必等待所有结果，继续前行",
-    "回调函数提醒：完成时记得通知关心你的人",
-    "事件驱动思维：关注重要信号，忽略噪音",
-    "正则表达式哲学：模式识别是理解世界的关键",
-    "数据结构如思维框架：选择合适的容器承载想法",
-    "数据库事务的ACID：保持生活的原子性、一致性、隔离性和持久性",
-    "索引优化如时间管理：为重要事项建立快速通道",
-    "SQL查询如提问艺术：精准的问题得到精准的答案",
-    "NoSQL的灵活性：不同场景需要不同的数据模型",
-    "CAP定理的启示：在分布式世界中，完美平衡难以实现",
-    "API设计如沟通艺术：明确、简洁、易于使用",
-    "RESTful原则：用统一的方式与世界交互",
-    "微服务架构：独立发展，但通过协议协作",
-    "容器化如心灵：保持内容独立，但环境可移植",
-    " DevOps文化：开发与运维、理想与现实的持续交付",
-    "敏捷开发哲学：小步快跑，持续调整方向",
-    " Scrum框架：有计划地冲刺，定期反思改进",
-    "看板方法：可视化流程，限制在制品，优化流动",
-    "持续集成：小改动频繁合并，避免大规模冲突",
-    "代码审查如他人视角：借由别人的眼睛看清自己",
-    "结对编程：分享知识，共同承担责任",
-    "测试驱动开发：先定义成功，再实现功能",
-    "行为驱动开发：从用户视角描述期望行为",
-    "领域驱动设计：建立通用语言，深入理解问题域",
-    "整洁架构：依赖方向指向政策，核心独立于细节",
-    "设计原则SOLID：单一职责、开闭、里氏替换、接口隔离、依赖倒置",
-    " KISS原则：保持简单和直接",
-    " YAGNI警醒：不要添加当前不需要的功能",
-    " DRY哲学：消除重复，提高抽象层次",
-    "约定优于配置：遵循明智的默认值，减少决策疲劳",
-    "日志记录如日记：留下痕迹，便于追溯和理解",
-    "监控指标如生命体征：持续观察，及时发现问题",
-    "告警系统如直觉：当异常出现时提醒你注意",
-    "故障排除如侦探工作：假设、验证、定位、修复",
-    "根因分析：不止解决表面现象，要找到根本原因",
-    "事后总结文化：从每次失败中学习，而不指责",
-    "混沌工程：主动注入故障，提升系统韧性",
-    "可观测性三大支柱：日志、指标、追踪，如同身心灵",
-    "性能优化：识别瓶颈，有针对性地改进",
-    "扩展性设计：为成长预留空间，但不过度设计",
-    "安全性思维：默认不信任，验证输入，最小权限",
-    "隐私保护：尊重数据所有权，透明处理",
-    "备份策略：重要东西要有副本，但要知道如何恢复",
-    "灾难恢复：有应对最坏情况的计划",
-        "业务连续性：通过冗余架构和自动故障转移机制，确保核心服务在硬件故障或网络中断时仍能持续运行。",
-        "风险管理：在代码中预置异常捕获和回滚策略，定期进行安全扫描，以识别并应对潜在漏洞。",
-        "成本优化：优化算法时间复杂度和内存占用，采用云服务按需计费模式，避免资源浪费。",
-        "价值流分析：通过CI/CD流水线自动化测试和部署，消除从代码提交到生产环境中的等待时间。",
-        "精益思想：以最小可行产品（MVP）快速验证需求，基于用户反馈迭代优化代码结构。",
-        "约束理论：使用性能分析工具定位系统瓶颈（如数据库慢查询），并针对性优化关键路径。",
-        "系统思考：在微服务架构中考虑模块间依赖关系，避免局部优化导致整体系统耦合度上升。",
-        "第一性原理：从二进制和逻辑门出发推导算法设计，而非直接调用现成库函数。",
-        "奥卡姆剃刀：优先选择最简单的实现方案（如线性搜索而非复杂索引），除非性能测试证明需要优化。",
-        "汉隆剃刀：将线上bug归因于代码逻辑错误或边界条件遗漏，而非恶意攻击或硬件故障。",
-        "Chesterton栅栏：在重构遗留代码前，先通过文档和注释理解其历史业务背景，避免破坏隐性依赖。",
-        "帕累托原则：聚焦20%的核心代码（如高频调用函数），优化其性能以提升整体系统80%的效率。",
-        "霍夫施塔特定律：开发任务的时间估算总被乐观偏差影响，实际耗时常超出计划50%以上。",
-        "帕金森定律：项目周期若设置宽松，开发人员会下意识增加非必要功能直至截止日。",
-        "康威定律：系统模块的划分方式必然反映开发团队的沟通结构（如前端与后端团队对应前后端代码分离）。",
-        "布鲁克定律：在项目后期增加人手会导致沟通成本指数级增长，延长而非缩短交付时间。",
-        "彼得原理：优秀程序员晋升为技术主管后，可能因缺乏管理技能导致团队效率下降。",
-        "邓巴数字：敏捷团队规模控制在150人以内，以维持高效代码评审和日常站会沟通。",
-        "摩尔定律：硬件算力每18个月翻倍，但软件应设计为可扩展以应对未来硬件极限。",
-        "梅特卡夫定律：API生态的价值随接入开发者数量平方增长，如开源社区的网络效应。",
-        "里德定律：支持子群组功能的社交应用（如Disc频道），其价值随群组数指数级增长。",
-        "古德哈特定律：当代码覆盖率成为考核指标后，开发者可能编写无意义测试用例充数。",
-        "坎宁安定律：在技术论坛提出错误方案，能快速引发社区纠正并产出高质量正确答案。",
-        "席克定律：下拉菜单选项超过7个时，用户决策时间显著延长，需分组或搜索优化。",
-        "菲茨定律：按钮尺寸与鼠标距离成反比设计，如重要操作按钮放大并置于屏幕边缘。",
-        "米勒定律：函数参数限制在7±2个以内，超过时改用对象封装以提高可读性。",
-        "雅各布定律：用户界面遵循行业通用模式（如导航栏在顶部），降低学习成本。",
-        "峰终定律：应用启动速度（峰值体验）和退出流程（结束体验）决定用户满意度。",
-        "马斯洛需求层次：代码需先满足功能需求（基础），再追求可维护性（安全）和优雅架构（自我实现）。",
-        "心流状态：在调试复杂算法时进入高度专注阶段，忽略时间流逝并高效解决问题。",
-        "成长型思维：通过刻意练习学习新框架，相信编码能力可通过努力提升而非天生固定。",
-        "固定型思维：认为优秀程序员天赋决定，拒绝学习函数式编程等新范式。",
-        "邓宁-克鲁格效应：初级开发者高估自身代码质量，直到接触更多项目后认清能力边界。",
-        "确认偏误：单元测试时只验证正常路径，忽略边界案例导致线上故障。",
-        "幸存者偏差：仅模仿成功公司的技术栈（如Netflix微服务），忽视其背后基础设施和失败尝试。",
-        "锚定效应：基于初始原型估算项目周期，后续需求变更时仍受最初时间锚定影响。",
-        "沉没成本谬误：继续维护采用过时技术的项目，因已投入大量重构时间而非基于当前价值。",
-        "损失厌恶：宁愿添加新功能而非删除冗余代码，因删除可能引发未知兼容性问题。",
-        "可用性启发：选择熟悉但非最优的技术栈（如jQuery），因案例易回忆而非评估新兴工具。",
-        "群体思维：代码评审中为避免冲突，一致通过有潜在缺陷的设计方案。",
-        "认知失调：自认为代码简洁，但实际编写复杂逻辑时心理不适，通过自我合理化缓解。",
-        "自我实现预言：预期项目延期导致加班赶工，反而因疲劳增加bug数量实现预言。",
-        "旁观者效应：多人负责的模块出现bug时，各自假设他人会修复导致问题滞留。",
-        "霍桑效应：代码评审期间临时提高注释质量和命名规范，评审结束后恢复原状。",
-        "皮格马利翁效应：技术主管对实习生寄予高期望，并提供额外指导促其快速成长。",
-        "斯坦福监狱实验：测试人员严格遵循用例刁难开发，开发防御性编码，加剧团队对立。",
-        "米尔格拉姆实验：服从架构师决策使用有缺陷的第三方库，尽管内心质疑其稳定性。",
-        "罗森塔尔效应：测试团队被告知某模块bug多，结果发现更多非常规路径问题。",
-        "安慰剂效应：添加无实际优化的日志输出后，团队主观感觉系统性能提升。",
-        "诺斯替主义：通过深入理解计算机体系结构本质（如缓存机制），掌握高性能编程奥秘。",
-        "存在主义：代码在编写过程中定义其业务价值，开发者对线上事故负全责。",
-        "斯多葛主义：专注优化可控的代码质量，接受不可控的第三方服务延迟。",
-        "享乐主义：优先开发有趣的新功能（如AI集成），而非修复枯燥的遗留bug。",
-        "功利主义：设计API时满足大多数开发者需求，牺牲小众场景的兼容性。",
-        "虚无主义：认为软件生命周期短暂，代码终将被重构，故无需过度设计。",
-        "absurdism：在混乱的代码库中坚持编写整洁模块，为无意义项目注入个人秩序。",
-        "实用主义：选择能快速上线并验证的方案（如脚本拼接），而非理论完美的架构。",
-        "唯心主义：软件是团队思维的具象化，代码结构反映开发者心智模式。",
-        "唯物主义：所有算法最终依赖物理硬件性能，如冯·诺依曼架构限制。",
-        "辩证法：通过正反方辩论（如单体vs微服务）推动架构演进，达成更优平衡。",
-        "解构主义：分析API文档中的隐含假设（如时区处理），揭示潜在兼容性问题。",
-        "后现代主义：质疑单一“银弹”框架，混合使用多范式（如OOP与函数式）。",
-        "女性主义：设计无性别偏见的AI语音助手，避免强化刻板印象。",
-        "环境主义：选择能效高的编程语言（如Rust），部署于绿色数据中心。",
-        "人文主义：交互设计以无障碍访问为核心，支持色盲模式和屏幕阅读器。",
-        "超人类主义：使用AI代码助手（如GitHub Copilot）增强编程效率，减少重复劳动。",
-        "有效利他主义：贡献开源基础库（如加密算法），最大化全球开发者福祉。",
-        "长寿主义：编写可维护代码并详细文档，延长系统生命周期至10年以上。",
-        "素食主义：避免使用动物测试的AI数据集，选择合成数据训练模型。",
-        "简约主义：遵循UNIX哲学，每个函数只做一件事并做好。",
-        "数字极简主义：仅安装必要的开发工具（如VS Code核心扩展），减少认知负载。",
-        "正念：编程时专注当前函数实现，避免多任务切换导致上下文丢失。",
-        "冥想：每日留出30分钟不编码，复盘技术决策和架构选择。",
-        "瑜伽：通过站立办公和拉伸平衡久坐编码对身体的损耗。",
-        "太极：以柔性架构（如插件化）应对需求变化，保持系统稳定。",
-        "佛教四圣谛：承认bug是苦，贪恋快速开发是集，代码审查是道，线上稳定是灭。",
-        "八正道：遵循代码规范（正语）、编写测试（正业）、选择合适技术栈（正命）。",
-        "karma：技术债积累必然导致未来系统崩溃，因果不虚。",
-        "Dharma：软件应服务于立项时的核心价值主张，勿过度扩展。",
-        "涅槃：通过自动化测试和监控达到“无bug”的宁静状态。",
-        "空性：模块无独立存在性，皆依赖系统上下文才能运行。",
-        "中庸之道：在过度工程（over-engineering）和简陋原型间取得平衡。",
-        "仁：代码应对残障用户包容，如语音导航和键盘导航支持。",
-        "礼：遵守团队提交消息规范（如Conventional Commits）。",
-        "义：算法应公平对待所有用户群体，避免偏见（如招聘AI性别歧视）。",
-        "智：持续学习新技术趋势（如WebAssembly），避免知识老化。",
-        "信：代码承诺的功能必须实现，API版本保持向后兼容。",
-        "孝：维护遗留系统时尊重原始设计意图，除非有充分重构理由。",
-        "忠：对团队技术选型保持忠诚，避免私下引入未评审的库。",
-        "恕：代码评审中对他人错误保持宽容，聚焦改进而非指责。",
-        "道：遵循敏捷开发之道，小步快跑而非瀑布式规划。",
-        "德：拒绝编写恶意软件（如勒索病毒），坚守职业道德。",
-        "无为：通过自动化脚本（如Ansible）实现系统自维护，减少人工干预。",
-        "阴阳：平衡功能开发（阳）与技术债偿还（阴）的资源分配。",
-        "五行：数据库（金）、缓存（火）、业务逻辑（木）、接口（水）、部署（土）相生相克。",
-        "风水：服务器机柜布线整洁，散热风道通畅以提升运行时稳定性。",
-        "禅：通过直觉重构复杂条件判断，超越机械逻辑实现代码简洁。",
-        "公案：面试中的算法谜题（如汉诺塔），用于考验思维灵活性。",
-        "坐禅：长时间专注编程会话，忽略外部干扰直至问题解决。",
-        "顿悟：调试时突然理解递归边界条件错误，瞬间解决卡壳问题。",
-        "一期一会：对待每次代码提交为唯一机会，确保质量无悔。",
-        "物哀：欣赏临时脚本的简洁美，尽管它将被正式模块替代。",
-        "侘寂：接受代码不完美，如变量命名偏差，通过迭代趋近完善。",
-        "幽玄：深入理解指针运算和内存管理的底层奥秘。",
-        "卡瓦伊：设计可爱动画图标提升用户交互愉悦感。",
-        "守破离：先模仿开源项目代码（守），再创新实现（破），最终形成个人风格（离）。",
-        "心技体：保持健康作息（体）、持续学习（技）、积极心态（心）的三位一体。",
-        "残心：代码部署后持续监控日志和指标，及时修复异常。",
-        "无我：编写匿名化代码，注重团队协作而非个人英雄主义。",
-        "无心：经验丰富时编码如肌肉记忆，无需刻意思考语法细节。",
-        "气：优化数据在系统内的流动效率，如消息队列吞吐量。",
-        "经络：设计清晰的API端点路由，如RESTful资源路径。",
-        "脉轮：识别微服务架构中的核心服务（如认证网关）。",
-        "梵：追寻计算理论的本质，如图灵完备性和P/NP问题。",
-        "阿特曼：软件的核心价值是解决用户真实问题，而非技术堆砌。",
-        "摩耶：抽象层隐藏底层复杂性（如ORM屏蔽SQL），但可能泄漏。",
-        "业报：复制粘贴代码而非封装，未来维护时必然付出代价。",
-        "轮回：软件版本迭代如生死循环，V1.0功能在V2.0重构中重生。",
-        "解脱：通过容器化实现一键部署，从手动配置中解放。",
-        "虔信：对开源社区保持敬意，如遵守LICENSE规范贡献代码。",
-        "智慧：通过代码复盘区分优雅实现和粗糙方案的能力。",
-        "行动：为团队利益牺牲个人偏好（如采用统一代码风格）。",
-        "王者：架构师平衡短期交付压力与长期技术愿景。",
-        "哈达：每日工间拉伸预防颈椎病，维持编程体力。",
-        "胜王：通过冥想厘清复杂系统依赖关系，做出清晰架构决策。",
-        "智慧：建立持续学习路径，如每月阅读一本技术书籍。",
-        "爱心：开发公益软件（如盲文转换工具），帮助弱势群体。",
-        "行动：践行用户第一原则，优先修复影响体验的bug。",
-        "密宗：掌握内核编程或量子算法等深奥技术领域。",
-        "苏菲：在代码中追求美学，如对称的架构和韵律般的命名。",
-        "卡巴拉：通过符号和模式（如设计模式）解读代码深层含义。",
-        "基督教神秘主义：在调试中体验“神启”时刻，突然洞悉系统全貌。",
-        "量子意识：理解量子比特叠加态，用于设计量子机器学习算法。",
-        "全息宇宙：探索全息存储技术，如用激光存储三维数据。",
-        "模拟假说：将现实世界建模为离散事件模拟系统（如交通流模拟）。",
-        "多元宇宙：通过功能开关实现A/B测试，并行多个功能宇宙。",
-        "弦理论：研究字符串匹配算法（如KMP）在文本搜索中的本质。",
-        "M-理论：寻求统一编程范式的理论框架，融合函数式与面向对象。",
-        "圈量子引力：用循环和递归处理时空离散数据（如网格计算）。",
-        "因果集：构建事件驱动的架构，其中每个事件触发特定结果。",
-        "涌现：简单规则（如细胞自动机）在系统中涌现出复杂行为。",
-        "复杂系统：设计分布式系统，其中节点交互产生非线性现象。",
-        "混沌理论：小初始条件偏差（如浮点精度）导致结果巨大差异。",
-        "分形：使用递归算法生成自相似图形（如曼德博集合）。",
-        "自组织：敏捷团队自分配任务，无需中央指挥形成秩序。",
-        "适应度景观：用遗传算法优化参数，寻找最优解空间。",
-        "基因文化协同进化：开源社区文化推动技术迭代（如Linux内核发展）。",
-        "模因：编程梗（如“最烦写文档”）在社区中复制传播。",
-        "意识硬问题：探讨AI是否具备主观体验（如疼痛感知）。",
-        "自由意志：算法在随机数种子下产生不可预测的输出。",
-        "决定论：相同输入必然产生相同输出的纯函数。",
-        "相容论：在业务规则约束下（如合规要求），算法仍可自由优化。",
-        "泛心论：假设物联网设备可能有初级意识（如自动调节温度）。",
-        "二元论：坚持软件与硬件分离的冯·诺依曼架构原则。",
-        "物理主义：承认所有代码最终转化为物理电流执行。",
-        "唯心论：认为软件价值源于创意和设计而非物理载体。",
-        "中立一元论：将信息视为基础实体，统一软件和硬件表征。",
-        "消除唯物主义：主张AI无意识，其反应仅是计算结果。",
-        "区块链：构建去中心化账本，通过共识算法确保数据不可篡改。",
-        "智能合约：在链上部署自动执行代码，如以太坊合约。",
-        "DAO：通过智能合约实现去中心化自治组织决策。",
-        "DeFi：开发去中心化金融应用，如借贷和交易协议。",
-        "NFT：创建唯一数字资产凭证，如加密艺术所有权记录。",
-        "元宇宙：构建共享虚拟空间，支持Avatar交互和数字资产交易。",
-        "Web3：设计用户控制数据的网络协议，如IPFS存储。",
-        "零知识证明：实现验证方在不获知具体数据的情况下验证陈述真实性。",
-        "同态加密：支持在加密数据上直接计算，如隐私保护的数据分析。",
-        "差分隐私：在数据统计中添加噪声，保护个体信息不被还原。",
-        "联邦学习：在本地设备训练模型，仅聚合参数而非原始数据。",
-        "AI对齐：确保AI系统目标与人类价值观一致，如无害化设计。",
-        "AGI：追求具备人类水平通用智能的算法体系。",
-        "奇点：技术发展临界点，如AI自我迭代超越人类控制。",
-        "脑机接口：开发直接解析脑电信号控制计算机的软件。",
-        "基因编辑：编写CRISPR算法，精准修改生物DNA序列。",
-        "再生医学：用软件模拟组织生长，辅助3D生物打印。",
-        "纳米医学：编程纳米机器人进行靶向药物输送。",
-        "合成生物学：设计细胞级逻辑电路，编程生命系统。",
-        "空间探索：开发航天器控制软件，如火星车自主导航。",
-        "可持续发展：编写能耗感知代码，优化服务器碳足迹。",
-        "循环经济：设计模块化系统，支持组件拆卸和重复利用。",
-        "再生农业：开发IoT传感器网络，监测土壤健康并指导轮作。",
-        "绿色能源：为太阳能电站编写智能电网调度算法。",
-        "碳捕获：用AI模型优化二氧化碳吸附材料效率。",
-        "生态修复：利用无人机和遥感软件监控森林恢复进度。",
-        "动物权利：避免使用动物测试的算法，选择合成数据集。",
-        "植物智能：开发传感器分析植物电信号响应环境变化。",
-        "地球意识：构建全球气候模拟软件，预测极端天气。",
-        "深度生态学：设计生物多样性数据库，追踪物种灭绝趋势。",
-        "社会生态学：开发城市能源与交通整合管理平台。",
-        "生态女性主义：创建平等赋能平台，支持女性参与环保科技。",
-        "转型城镇：为本地社区开发资源分享APP促进自给自足。",
-        "共生城市：设计智慧城市数字孪生，优化能源与交通流动。",
-        "智慧地球：通过全球物联网传感器网络实时监测地球健康。"
+        { id: "philosophy-0001", text: "愿你的代码如人生，既有严谨的逻辑，又有诗意的留白", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0002", text: "编程之道，在于平衡抽象与具体，如同平衡理想与现实", tags: ["哲思", "代码", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0003", text: "愿你的算法思维教会你：复杂问题总有优雅的分解方式", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0004", text: "在二进制世界里，愿你找到无限可能的哲学", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0005", text: "代码如禅，专注当下每一行，便是修行的开始", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0006", text: "愿你的编程之路如递归：深入理解自我，终能找到出口", tags: ["哲思", "代码", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0007", text: "调试bug如面对人生困境：耐心观察，理性分析，终会解决", tags: ["哲思", "bug", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0008", text: "封装不仅是代码原则，更是智慧的生活态度", tags: ["哲思", "代码", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0009", text: "继承与多态提醒我们：既要传承智慧，又要保持个性", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0010", text: "愿你的架构设计如人生规划：模块化但保持弹性", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0011", text: "版本控制教会我们：每个选择都值得记录，但永远可以回退重来", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0012", text: "空指针异常提醒：生命中重要的连接不可为null", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0013", text: "愿你的代码如道德经：简约而不简单，深邃而自然", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0014", text: "死循环如同执念，懂得设置终止条件才是智慧", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0015", text: "多线程生活需要同步机制，找到内心的锁与条件变量", tags: ["哲思", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0016", text: "垃圾回收的哲学：及时放下不再需要的负担", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0017", text: "接口设计如人际边界：清晰定义，温和交互", tags: ["哲思", "网络", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0018", text: "单元测试如同每日自省：及早发现问题，确保质量", tags: ["哲思", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0019", text: "重构的意义：不断改进自我，而不改变外在功能", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0020", text: "设计模式是前人智慧的结晶，如同传统文化之于人生", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0021", text: "算法复杂度提醒：选择比努力更重要", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0022", text: "分布式系统教会我们：独立运作，但保持共识", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0023", text: "加密算法如内心秘密：需要保护，但也要有密钥分享信任的人", tags: ["哲思", "算法", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0024", text: "缓存策略如记忆管理：保留重要，释放次要", tags: ["哲思", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0025", text: "负载均衡的智慧：适度分配，避免任何一个环节过载", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0026", text: "容错设计如韧性培养：即使部分失败，整体仍能运行", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0027", text: "愿你的代码如斯多葛哲学：关注可控，接受不可控", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0028", text: "函数式编程的纯粹性：减少副作用，增加可预测性", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0029", text: "面向对象的三特性：封装自我，继承传统，多态适应", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0030", text: "异步编程如人生：不必等待所有结果，继续前行", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0031", text: "回调函数提醒：完成时记得通知关心你的人", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0032", text: "事件驱动思维：关注重要信号，忽略噪音", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0033", text: "正则表达式哲学：模式识别是理解世界的关键", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0034", text: "数据结构如思维框架：选择合适的容器承载想法", tags: ["哲思", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0035", text: "数据库事务的ACID：保持生活的原子性、一致性、隔离性和持久性", tags: ["哲思", "数据", "生活"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0036", text: "索引优化如时间管理：为重要事项建立快速通道", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0037", text: "SQL查询如提问艺术：精准的问题得到精准的答案", tags: ["哲思", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0038", text: "NoSQL的灵活性：不同场景需要不同的数据模型", tags: ["哲思", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0039", text: "CAP定理的启示：在分布式世界中，完美平衡难以实现", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0040", text: "API设计如沟通艺术：明确、简洁、易于使用", tags: ["哲思", "网络", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0041", text: "RESTful原则：用统一的方式与世界交互", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0042", text: "微服务架构：独立发展，但通过协议协作", tags: ["哲思", "架构", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0043", text: "容器化如心灵：保持内容独立，但环境可移植", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0044", text: " DevOps文化：开发与运维、理想与现实的持续交付", tags: ["哲思", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0045", text: "敏捷开发哲学：小步快跑，持续调整方向", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0046", text: " Scrum框架：有计划地冲刺，定期反思改进", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0047", text: "看板方法：可视化流程，限制在制品，优化流动", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0048", text: "持续集成：小改动频繁合并，避免大规模冲突", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0049", text: "代码审查如他人视角：借由别人的眼睛看清自己", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0050", text: "结对编程：分享知识，共同承担责任", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0051", text: "测试驱动开发：先定义成功，再实现功能", tags: ["哲思", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0052", text: "行为驱动开发：从用户视角描述期望行为", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0053", text: "领域驱动设计：建立通用语言，深入理解问题域", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0054", text: "整洁架构：依赖方向指向政策，核心独立于细节", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0055", text: "设计原则SOLID：单一职责、开闭、里氏替换、接口隔离、依赖倒置", tags: ["哲思", "网络", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0056", text: " KISS原则：保持简单和直接", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0057", text: " YAGNI警醒：不要添加当前不需要的功能", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0058", text: " DRY哲学：消除重复，提高抽象层次", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0059", text: "约定优于配置：遵循明智的默认值，减少决策疲劳", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0060", text: "日志记录如日记：留下痕迹，便于追溯和理解", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0061", text: "监控指标如生命体征：持续观察，及时发现问题", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0062", text: "告警系统如直觉：当异常出现时提醒你注意", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0063", text: "故障排除如侦探工作：假设、验证、定位、修复", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0064", text: "根因分析：不止解决表面现象，要找到根本原因", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0065", text: "事后总结文化：从每次失败中学习，而不指责", tags: ["哲思", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0066", text: "混沌工程：主动注入故障，提升系统韧性", tags: ["哲思", "架构", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0067", text: "可观测性三大支柱：日志、指标、追踪，如同身心灵", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0068", text: "性能优化：识别瓶颈，有针对性地改进", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0069", text: "扩展性设计：为成长预留空间，但不过度设计", tags: ["哲思", "架构", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0070", text: "安全性思维：默认不信任，验证输入，最小权限", tags: ["哲思", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0071", text: "隐私保护：尊重数据所有权，透明处理", tags: ["哲思", "数据", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0072", text: "备份策略：重要东西要有副本，但要知道如何恢复", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0073", text: "灾难恢复：有应对最坏情况的计划", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0074", text: "业务连续性：通过冗余架构和自动故障转移机制，确保核心服务在硬件故障或网络中断时仍能持续运行。", tags: ["哲思", "网络", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0075", text: "风险管理：在代码中预置异常捕获和回滚策略，定期进行安全扫描，以识别并应对潜在漏洞。", tags: ["哲思", "代码", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0076", text: "成本优化：优化算法时间复杂度和内存占用，采用云服务按需计费模式，避免资源浪费。", tags: ["哲思", "算法", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0077", text: "价值流分析：通过CI/CD流水线自动化测试和部署，消除从代码提交到生产环境中的等待时间。", tags: ["哲思", "代码", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0078", text: "精益思想：以最小可行产品（MVP）快速验证需求，基于用户反馈迭代优化代码结构。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0079", text: "约束理论：使用性能分析工具定位系统瓶颈（如数据库慢查询），并针对性优化关键路径。", tags: ["哲思", "数据", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0080", text: "系统思考：在微服务架构中考虑模块间依赖关系，避免局部优化导致整体系统耦合度上升。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0081", text: "第一性原理：从二进制和逻辑门出发推导算法设计，而非直接调用现成库函数。", tags: ["哲思", "算法", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0082", text: "奥卡姆剃刀：优先选择最简单的实现方案（如线性搜索而非复杂索引），除非性能测试证明需要优化。", tags: ["哲思", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0083", text: "汉隆剃刀：将线上bug归因于代码逻辑错误或边界条件遗漏，而非恶意攻击或硬件故障。", tags: ["哲思", "bug", "代码", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0084", text: "Chesterton栅栏：在重构遗留代码前，先通过文档和注释理解其历史业务背景，避免破坏隐性依赖。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0085", text: "帕累托原则：聚焦20%的核心代码（如高频调用函数），优化其性能以提升整体系统80%的效率。", tags: ["哲思", "代码", "架构", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0086", text: "霍夫施塔特定律：开发任务的时间估算总被乐观偏差影响，实际耗时常超出计划50%以上。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0087", text: "帕金森定律：项目周期若设置宽松，开发人员会下意识增加非必要功能直至截止日。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0088", text: "康威定律：系统模块的划分方式必然反映开发团队的沟通结构（如前端与后端团队对应前后端代码分离）。", tags: ["哲思", "代码", "架构", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0089", text: "布鲁克定律：在项目后期增加人手会导致沟通成本指数级增长，延长而非缩短交付时间。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0090", text: "彼得原理：优秀程序员晋升为技术主管后，可能因缺乏管理技能导致团队效率下降。", tags: ["哲思", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0091", text: "邓巴数字：敏捷团队规模控制在150人以内，以维持高效代码评审和日常站会沟通。", tags: ["哲思", "代码", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0092", text: "摩尔定律：硬件算力每18个月翻倍，但软件应设计为可扩展以应对未来硬件极限。", tags: ["哲思", "架构", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0093", text: "梅特卡夫定律：API生态的价值随接入开发者数量平方增长，如开源社区的网络效应。", tags: ["哲思", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0094", text: "里德定律：支持子群组功能的社交应用（如Disc频道），其价值随群组数指数级增长。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0095", text: "古德哈特定律：当代码覆盖率成为考核指标后，开发者可能编写无意义测试用例充数。", tags: ["哲思", "代码", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0096", text: "坎宁安定律：在技术论坛提出错误方案，能快速引发社区纠正并产出高质量正确答案。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0097", text: "席克定律：下拉菜单选项超过7个时，用户决策时间显著延长，需分组或搜索优化。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0098", text: "菲茨定律：按钮尺寸与鼠标距离成反比设计，如重要操作按钮放大并置于屏幕边缘。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0099", text: "米勒定律：函数参数限制在7±2个以内，超过时改用对象封装以提高可读性。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0100", text: "雅各布定律：用户界面遵循行业通用模式（如导航栏在顶部），降低学习成本。", tags: ["哲思", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0101", text: "峰终定律：应用启动速度（峰值体验）和退出流程（结束体验）决定用户满意度。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0102", text: "马斯洛需求层次：代码需先满足功能需求（基础），再追求可维护性（安全）和优雅架构（自我实现）。", tags: ["哲思", "代码", "架构", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0103", text: "心流状态：在调试复杂算法时进入高度专注阶段，忽略时间流逝并高效解决问题。", tags: ["哲思", "算法", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0104", text: "成长型思维：通过刻意练习学习新框架，相信编码能力可通过努力提升而非天生固定。", tags: ["哲思", "代码", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0105", text: "固定型思维：认为优秀程序员天赋决定，拒绝学习函数式编程等新范式。", tags: ["哲思", "代码", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0106", text: "邓宁-克鲁格效应：初级开发者高估自身代码质量，直到接触更多项目后认清能力边界。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0107", text: "确认偏误：单元测试时只验证正常路径，忽略边界案例导致线上故障。", tags: ["哲思", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0108", text: "幸存者偏差：仅模仿成功公司的技术栈（如Netflix微服务），忽视其背后基础设施和失败尝试。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0109", text: "锚定效应：基于初始原型估算项目周期，后续需求变更时仍受最初时间锚定影响。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0110", text: "沉没成本谬误：继续维护采用过时技术的项目，因已投入大量重构时间而非基于当前价值。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0111", text: "损失厌恶：宁愿添加新功能而非删除冗余代码，因删除可能引发未知兼容性问题。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0112", text: "可用性启发：选择熟悉但非最优的技术栈（如jQuery），因案例易回忆而非评估新兴工具。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0113", text: "群体思维：代码评审中为避免冲突，一致通过有潜在缺陷的设计方案。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0114", text: "认知失调：自认为代码简洁，但实际编写复杂逻辑时心理不适，通过自我合理化缓解。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0115", text: "自我实现预言：预期项目延期导致加班赶工，反而因疲劳增加bug数量实现预言。", tags: ["哲思", "bug"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0116", text: "旁观者效应：多人负责的模块出现bug时，各自假设他人会修复导致问题滞留。", tags: ["哲思", "bug", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0117", text: "霍桑效应：代码评审期间临时提高注释质量和命名规范，评审结束后恢复原状。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0118", text: "皮格马利翁效应：技术主管对实习生寄予高期望，并提供额外指导促其快速成长。", tags: ["哲思", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0119", text: "斯坦福监狱实验：测试人员严格遵循用例刁难开发，开发防御性编码，加剧团队对立。", tags: ["哲思", "代码", "测试", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0120", text: "米尔格拉姆实验：服从架构师决策使用有缺陷的第三方库，尽管内心质疑其稳定性。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0121", text: "罗森塔尔效应：测试团队被告知某模块bug多，结果发现更多非常规路径问题。", tags: ["哲思", "bug", "测试", "架构", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0122", text: "安慰剂效应：添加无实际优化的日志输出后，团队主观感觉系统性能提升。", tags: ["哲思", "架构", "团队", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0123", text: "诺斯替主义：通过深入理解计算机体系结构本质（如缓存机制），掌握高性能编程奥秘。", tags: ["哲思", "代码", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0124", text: "存在主义：代码在编写过程中定义其业务价值，开发者对线上事故负全责。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0125", text: "斯多葛主义：专注优化可控的代码质量，接受不可控的第三方服务延迟。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0126", text: "享乐主义：优先开发有趣的新功能（如AI集成），而非修复枯燥的遗留bug。", tags: ["哲思", "bug", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0127", text: "功利主义：设计API时满足大多数开发者需求，牺牲小众场景的兼容性。", tags: ["哲思", "网络", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0128", text: "虚无主义：认为软件生命周期短暂，代码终将被重构，故无需过度设计。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0129", text: "absurdism：在混乱的代码库中坚持编写整洁模块，为无意义项目注入个人秩序。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0130", text: "实用主义：选择能快速上线并验证的方案（如脚本拼接），而非理论完美的架构。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0131", text: "唯心主义：软件是团队思维的具象化，代码结构反映开发者心智模式。", tags: ["哲思", "代码", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0132", text: "唯物主义：所有算法最终依赖物理硬件性能，如冯·诺依曼架构限制。", tags: ["哲思", "算法", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0133", text: "辩证法：通过正反方辩论（如单体vs微服务）推动架构演进，达成更优平衡。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0134", text: "解构主义：分析API文档中的隐含假设（如时区处理），揭示潜在兼容性问题。", tags: ["哲思", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0135", text: "后现代主义：质疑单一“银弹”框架，混合使用多范式（如OOP与函数式）。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0136", text: "女性主义：设计无性别偏见的AI语音助手，避免强化刻板印象。", tags: ["哲思", "AI", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0137", text: "环境主义：选择能效高的编程语言（如Rust），部署于绿色数据中心。", tags: ["哲思", "代码", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0138", text: "人文主义：交互设计以无障碍访问为核心，支持色盲模式和屏幕阅读器。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0139", text: "超人类主义：使用AI代码助手（如GitHub Copilot）增强编程效率，减少重复劳动。", tags: ["哲思", "代码", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0140", text: "有效利他主义：贡献开源基础库（如加密算法），最大化全球开发者福祉。", tags: ["哲思", "算法", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0141", text: "长寿主义：编写可维护代码并详细文档，延长系统生命周期至10年以上。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0142", text: "素食主义：避免使用动物测试的AI数据集，选择合成数据训练模型。", tags: ["哲思", "AI", "数据", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0143", text: "简约主义：遵循UNIX哲学，每个函数只做一件事并做好。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0144", text: "数字极简主义：仅安装必要的开发工具（如VS Code核心扩展），减少认知负载。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0145", text: "正念：编程时专注当前函数实现，避免多任务切换导致上下文丢失。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0146", text: "冥想：每日留出30分钟不编码，复盘技术决策和架构选择。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0147", text: "瑜伽：通过站立办公和拉伸平衡久坐编码对身体的损耗。", tags: ["哲思", "代码", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0148", text: "太极：以柔性架构（如插件化）应对需求变化，保持系统稳定。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0149", text: "佛教四圣谛：承认bug是苦，贪恋快速开发是集，代码审查是道，线上稳定是灭。", tags: ["哲思", "bug", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0150", text: "八正道：遵循代码规范（正语）、编写测试（正业）、选择合适技术栈（正命）。", tags: ["哲思", "代码", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0151", text: "karma：技术债积累必然导致未来系统崩溃，因果不虚。", tags: ["哲思", "架构", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0152", text: "Dharma：软件应服务于立项时的核心价值主张，勿过度扩展。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0153", text: "涅槃：通过自动化测试和监控达到“无bug”的宁静状态。", tags: ["哲思", "bug", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0154", text: "空性：模块无独立存在性，皆依赖系统上下文才能运行。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0155", text: "中庸之道：在过度工程（over-engineering）和简陋原型间取得平衡。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0156", text: "仁：代码应对残障用户包容，如语音导航和键盘导航支持。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0157", text: "礼：遵守团队提交消息规范（如Conventional Commits）。", tags: ["哲思", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0158", text: "义：算法应公平对待所有用户群体，避免偏见（如招聘AI性别歧视）。", tags: ["哲思", "算法", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0159", text: "智：持续学习新技术趋势（如WebAssembly），避免知识老化。", tags: ["哲思", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0160", text: "信：代码承诺的功能必须实现，API版本保持向后兼容。", tags: ["哲思", "代码", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0161", text: "孝：维护遗留系统时尊重原始设计意图，除非有充分重构理由。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0162", text: "忠：对团队技术选型保持忠诚，避免私下引入未评审的库。", tags: ["哲思", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0163", text: "恕：代码评审中对他人错误保持宽容，聚焦改进而非指责。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0164", text: "道：遵循敏捷开发之道，小步快跑而非瀑布式规划。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0165", text: "德：拒绝编写恶意软件（如勒索病毒），坚守职业道德。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0166", text: "无为：通过自动化脚本（如Ansible）实现系统自维护，减少人工干预。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0167", text: "阴阳：平衡功能开发（阳）与技术债偿还（阴）的资源分配。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0168", text: "五行：数据库（金）、缓存（火）、业务逻辑（木）、接口（水）、部署（土）相生相克。", tags: ["哲思", "数据", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0169", text: "风水：服务器机柜布线整洁，散热风道通畅以提升运行时稳定性。", tags: ["哲思", "网络", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0170", text: "禅：通过直觉重构复杂条件判断，超越机械逻辑实现代码简洁。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0171", text: "公案：面试中的算法谜题（如汉诺塔），用于考验思维灵活性。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0172", text: "坐禅：长时间专注编程会话，忽略外部干扰直至问题解决。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0173", text: "顿悟：调试时突然理解递归边界条件错误，瞬间解决卡壳问题。", tags: ["哲思", "算法", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0174", text: "一期一会：对待每次代码提交为唯一机会，确保质量无悔。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0175", text: "物哀：欣赏临时脚本的简洁美，尽管它将被正式模块替代。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0176", text: "侘寂：接受代码不完美，如变量命名偏差，通过迭代趋近完善。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0177", text: "幽玄：深入理解指针运算和内存管理的底层奥秘。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0178", text: "卡瓦伊：设计可爱动画图标提升用户交互愉悦感。", tags: ["哲思", "架构", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0179", text: "守破离：先模仿开源项目代码（守），再创新实现（破），最终形成个人风格（离）。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0180", text: "心技体：保持健康作息（体）、持续学习（技）、积极心态（心）的三位一体。", tags: ["哲思", "成长", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0181", text: "残心：代码部署后持续监控日志和指标，及时修复异常。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0182", text: "无我：编写匿名化代码，注重团队协作而非个人英雄主义。", tags: ["哲思", "代码", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0183", text: "无心：经验丰富时编码如肌肉记忆，无需刻意思考语法细节。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0184", text: "气：优化数据在系统内的流动效率，如消息队列吞吐量。", tags: ["哲思", "数据", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0185", text: "经络：设计清晰的API端点路由，如RESTful资源路径。", tags: ["哲思", "网络", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0186", text: "脉轮：识别微服务架构中的核心服务（如认证网关）。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0187", text: "梵：追寻计算理论的本质，如图灵完备性和P/NP问题。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0188", text: "阿特曼：软件的核心价值是解决用户真实问题，而非技术堆砌。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0189", text: "摩耶：抽象层隐藏底层复杂性（如ORM屏蔽SQL），但可能泄漏。", tags: ["哲思", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0190", text: "业报：复制粘贴代码而非封装，未来维护时必然付出代价。", tags: ["哲思", "代码", "梦想"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0191", text: "轮回：软件版本迭代如生死循环，V1.0功能在V2.0重构中重生。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0192", text: "解脱：通过容器化实现一键部署，从手动配置中解放。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0193", text: "虔信：对开源社区保持敬意，如遵守LICENSE规范贡献代码。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0194", text: "智慧：通过代码复盘区分优雅实现和粗糙方案的能力。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0195", text: "行动：为团队利益牺牲个人偏好（如采用统一代码风格）。", tags: ["哲思", "代码", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0196", text: "王者：架构师平衡短期交付压力与长期技术愿景。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0197", text: "哈达：每日工间拉伸预防颈椎病，维持编程体力。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0198", text: "胜王：通过冥想厘清复杂系统依赖关系，做出清晰架构决策。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0199", text: "智慧：建立持续学习路径，如每月阅读一本技术书籍。", tags: ["哲思", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0200", text: "爱心：开发公益软件（如盲文转换工具），帮助弱势群体。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0201", text: "行动：践行用户第一原则，优先修复影响体验的bug。", tags: ["哲思", "bug"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0202", text: "密宗：掌握内核编程或量子算法等深奥技术领域。", tags: ["哲思", "代码", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0203", text: "苏菲：在代码中追求美学，如对称的架构和韵律般的命名。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0204", text: "卡巴拉：通过符号和模式（如设计模式）解读代码深层含义。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0205", text: "基督教神秘主义：在调试中体验“神启”时刻，突然洞悉系统全貌。", tags: ["哲思", "测试", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0206", text: "量子意识：理解量子比特叠加态，用于设计量子机器学习算法。", tags: ["哲思", "算法", "AI", "架构", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0207", text: "全息宇宙：探索全息存储技术，如用激光存储三维数据。", tags: ["哲思", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0208", text: "模拟假说：将现实世界建模为离散事件模拟系统（如交通流模拟）。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0209", text: "多元宇宙：通过功能开关实现A/B测试，并行多个功能宇宙。", tags: ["哲思", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0210", text: "弦理论：研究字符串匹配算法（如KMP）在文本搜索中的本质。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0211", text: "M-理论：寻求统一编程范式的理论框架，融合函数式与面向对象。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0212", text: "圈量子引力：用循环和递归处理时空离散数据（如网格计算）。", tags: ["哲思", "算法", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0213", text: "因果集：构建事件驱动的架构，其中每个事件触发特定结果。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0214", text: "涌现：简单规则（如细胞自动机）在系统中涌现出复杂行为。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0215", text: "复杂系统：设计分布式系统，其中节点交互产生非线性现象。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0216", text: "混沌理论：小初始条件偏差（如浮点精度）导致结果巨大差异。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0217", text: "分形：使用递归算法生成自相似图形（如曼德博集合）。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0218", text: "自组织：敏捷团队自分配任务，无需中央指挥形成秩序。", tags: ["哲思", "团队"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0219", text: "适应度景观：用遗传算法优化参数，寻找最优解空间。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0220", text: "基因文化协同进化：开源社区文化推动技术迭代（如Linux内核发展）。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0221", text: "模因：编程梗（如“最烦写文档”）在社区中复制传播。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0222", text: "意识硬问题：探讨AI是否具备主观体验（如疼痛感知）。", tags: ["哲思", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0223", text: "自由意志：算法在随机数种子下产生不可预测的输出。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0224", text: "决定论：相同输入必然产生相同输出的纯函数。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0225", text: "相容论：在业务规则约束下（如合规要求），算法仍可自由优化。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0226", text: "泛心论：假设物联网设备可能有初级意识（如自动调节温度）。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0227", text: "二元论：坚持软件与硬件分离的冯·诺依曼架构原则。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0228", text: "物理主义：承认所有代码最终转化为物理电流执行。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0229", text: "唯心论：认为软件价值源于创意和设计而非物理载体。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0230", text: "中立一元论：将信息视为基础实体，统一软件和硬件表征。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0231", text: "消除唯物主义：主张AI无意识，其反应仅是计算结果。", tags: ["哲思", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0232", text: "区块链：构建去中心化账本，通过共识算法确保数据不可篡改。", tags: ["哲思", "算法", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0233", text: "智能合约：在链上部署自动执行代码，如以太坊合约。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0234", text: "DAO：通过智能合约实现去中心化自治组织决策。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0235", text: "DeFi：开发去中心化金融应用，如借贷和交易协议。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0236", text: "NFT：创建唯一数字资产凭证，如加密艺术所有权记录。", tags: ["哲思", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0237", text: "元宇宙：构建共享虚拟空间，支持Avatar交互和数字资产交易。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0238", text: "Web3：设计用户控制数据的网络协议，如IPFS存储。", tags: ["哲思", "数据", "网络", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0239", text: "零知识证明：实现验证方在不获知具体数据的情况下验证陈述真实性。", tags: ["哲思", "数据"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0240", text: "同态加密：支持在加密数据上直接计算，如隐私保护的数据分析。", tags: ["哲思", "数据", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0241", text: "差分隐私：在数据统计中添加噪声，保护个体信息不被还原。", tags: ["哲思", "数据", "安全"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0242", text: "联邦学习：在本地设备训练模型，仅聚合参数而非原始数据。", tags: ["哲思", "数据", "成长"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0243", text: "AI对齐：确保AI系统目标与人类价值观一致，如无害化设计。", tags: ["哲思", "AI", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0244", text: "AGI：追求具备人类水平通用智能的算法体系。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0245", text: "奇点：技术发展临界点，如AI自我迭代超越人类控制。", tags: ["哲思", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0246", text: "脑机接口：开发直接解析脑电信号控制计算机的软件。", tags: ["哲思", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0247", text: "基因编辑：编写CRISPR算法，精准修改生物DNA序列。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0248", text: "再生医学：用软件模拟组织生长，辅助3D生物打印。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0249", text: "纳米医学：编程纳米机器人进行靶向药物输送。", tags: ["哲思", "代码"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0250", text: "合成生物学：设计细胞级逻辑电路，编程生命系统。", tags: ["哲思", "代码", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0251", text: "空间探索：开发航天器控制软件，如火星车自主导航。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0252", text: "可持续发展：编写能耗感知代码，优化服务器碳足迹。", tags: ["哲思", "代码", "网络"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0253", text: "循环经济：设计模块化系统，支持组件拆卸和重复利用。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0254", text: "再生农业：开发IoT传感器网络，监测土壤健康并指导轮作。", tags: ["哲思", "网络", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0255", text: "绿色能源：为太阳能电站编写智能电网调度算法。", tags: ["哲思", "算法"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0256", text: "碳捕获：用AI模型优化二氧化碳吸附材料效率。", tags: ["哲思", "AI"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0257", text: "生态修复：利用无人机和遥感软件监控森林恢复进度。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0258", text: "动物权利：避免使用动物测试的算法，选择合成数据集。", tags: ["哲思", "算法", "数据", "测试"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0259", text: "植物智能：开发传感器分析植物电信号响应环境变化。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0260", text: "地球意识：构建全球气候模拟软件，预测极端天气。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0261", text: "深度生态学：设计生物多样性数据库，追踪物种灭绝趋势。", tags: ["哲思", "数据", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0262", text: "社会生态学：开发城市能源与交通整合管理平台。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0263", text: "生态女性主义：创建平等赋能平台，支持女性参与环保科技。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0264", text: "转型城镇：为本地社区开发资源分享APP促进自给自足。", tags: ["哲思"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0265", text: "共生城市：设计智慧城市数字孪生，优化能源与交通流动。", tags: ["哲思", "架构"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" },
+        { id: "philosophy-0266", text: "智慧地球：通过全球物联网传感器网络实时监测地球健康。", tags: ["哲思", "网络", "健康"], author: "1024程序员节", source: "builtin", lang: "zh-CN", addedAt: "2025-10-24" }
     ]
-
 };
@@ -1,1052 +1,5940 @@
 /**
- * 祝福语管理器 - 负责管理祝福语的显示、搜索、存储等功能
- * @namespace BlessingManager
+ * 存储管理器 - 统一负责用户数据的持久化
+ * 支持 localStorage、IndexedDB 和内存三种后端，所有键名按命名空间隔离，
+ * 启动时一次性读入缓存，之后读取同步完成，写入异步落盘
+ * @namespace StorageManager
  */
-const BlessingManager = {
-    /** @type {Set<string>} 已显示的祝福语文本集合 */
-    displayedBlessings: new Set(),
-    /** @type {Object|null} 当前显示的祝福语对象 */
-    currentBlessing: null,
-    /** @type {Array<Object>} 缓存所有祝福语 */
-    allBlessings: [],
-    /** @type {Array<Object>} 当前已加载的祝福语 */
-    loadedBlessings: [],
-    /** @type {number} 每页加载数量 */
-    pageSize: 50,
-    /** @type {number} 当前页数 */
-    currentPage: 0,
-    /** @type {string} localStorage键名 */
-    storageKey: '1024_blessing_progress',
-    /** @type {Set<string>} 收藏的祝福语集合 */
-    favorites: new Set(),
-    /** @type {string} 收藏localStorage键名 */
-    favoritesStorageKey: '1024_blessing_favorites',
-    /** @type {boolean} 收藏功能是否启用 */
-    favoriteEnabled: true,
-    /** @type {string} 收藏设置localStorage键名 */
-    favoriteSettingsKey: '1024_favorite_settings',
-    /** @type {boolean} 分享功能是否启用 */
-    shareEnabled: true,
-    /** @type {string} 分享设置localStorage键名 */
-    shareSettingsKey: '1024_share_settings',
-    
+const StorageManager = {
+    /** @type {string} 键名命名空间，实际键名为 `${namespace}_${key}` */
+    namespace: '1024',
+    /** @type {number} 当前存储数据结构版本（各键的数据版本由MigrationManager维护） */
+    schemaVersion: 2,
+    /** @type {string} 保存数据结构版本的键名 */
+    schemaVersionKey: 'schema_version',
+    /** @type {string} 默认后端名称 */
+    defaultBackend: 'local',
+    /** @type {Object|null} 当前使用的后端 */
+    backend: null,
+    /** @type {string} 当前使用的后端名称 */
+    backendName: '',
+    /** @type {Map<string, string>} 已加载数据的缓存（键名不含命名空间，值为JSON字符串） */
+    cache: new Map(),
+    /** @type {Array<Function>} 错误监听器 */
+    errorListeners: [],
+
     /**
-     * 初始化祝福语管理器
-     * 加载数据、设置事件监听器、恢复用户进度
+     * 可用的存储后端
+     * 每个后端实现 isAvailable / loadAll / setItem / removeItem，方法可以同步或返回Promise
      */
+    backends: {
+        local: {
+            isAvailable() {
+                try {
+                    const testKey = '__storage_test__';
+                    window.localStorage.setItem(testKey, testKey);
+                    window.localStorage.removeItem(testKey);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            },
+            loadAll(prefix) {
+                const entries = [];
+                for (let i = 0; i < window.localStorage.length; i++) {
+                    const key = window.localStorage.key(i);
+                    if (key && key.startsWith(prefix)) {
+                        entries.push([key, window.localStorage.getItem(key)]);
+                    }
+                }
+                return entries;
+            },
+            setItem(key, value) {
+                window.localStorage.setItem(key, value);
+            },
+            removeItem(key) {
+                window.localStorage.removeItem(key);
+            }
+        },
+
+        indexedDB: {
+            dbName: '1024_blessings',
+            storeName: 'kv',
+            /** @type {Promise<IDBDatabase>|null} */
+            dbPromise: null,
+
+            isAvailable() {
+                return typeof window !== 'undefined' && !!window.indexedDB;
+            },
+            open() {
+                if (!this.dbPromise) {
+                    this.dbPromise = new Promise((resolve, reject) => {
+                        const request = window.indexedDB.open(this.dbName, 1);
+                        request.onupgradeneeded = () => {
+                            request.result.createObjectStore(this.storeName);
+                        };
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => reject(request.error);
+                    });
+                }
+                return this.dbPromise;
+            },
+            async transaction(mode, operation) {
+                const db = await this.open();
+                return new Promise((resolve, reject) => {
+                    const tx = db.transaction(this.storeName, mode);
+                    operation(tx.objectStore(this.storeName));
+                    tx.oncomplete = () => resolve();
+                    tx.onerror = () => reject(tx.error);
+                    tx.onabort = () => reject(tx.error);
+                });
+            },
+            async loadAll(prefix) {
+                const entries = [];
+                await this.transaction('readonly', store => {
+                    const request = store.openCursor();
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (!cursor) return;
+                        if (String(cursor.key).startsWith(prefix)) {
+                            entries.push([String(cursor.key), cursor.value]);
+                        }
+                        cursor.continue();
+                    };
+                });
+                return entries;
+            },
+            setItem(key, value) {
+                return this.transaction('readwrite', store => store.put(value, key));
+            },
+            removeItem(key) {
+                return this.transaction('readwrite', store => store.delete(key));
+            }
+        },
+
+        memory: {
+            /** @type {Map<string, string>} */
+            store: new Map(),
+
+            isAvailable() {
+                return true;
+            },
+            loadAll(prefix) {
+                return Array.from(this.store.entries()).filter(([key]) => key.startsWith(prefix));
+            },
+            setItem(key, value) {
+                this.store.set(key, value);
+            },
+            removeItem(key) {
+                this.store.delete(key);
+            }
+        }
+    },
+
     /**
-     * 初始化页面管理器
-     * 设置时间显示、粒子效果等
+     * 初始化存储：选择后端并把命名空间下的数据读入缓存
+     * 后端不可用时依次降级到 localStorage 和内存
+     * @param {Object} [options] - 初始化选项
+     * @param {string} [options.backend] - 后端名称（local / indexedDB / memory）
      */
-    init() {
-        this.loadAllBlessings();
-        this.loadProgress(); // 加载进度
-        this.loadFavorites(); // 加载收藏数据
-        this.loadFavoriteSettings(); // 加载收藏设置
-        this.loadShareSettings(); // 加载分享设置
-        this.loadNextPage();
-        this.updateCounter();
-        this.setupEventListeners();
-        this.setupSearchResultsNavigation();
-        this.initializeShareControl(); // 初始化分享控制
-        this.initializeFavoriteFeature(); // 初始化收藏功能
-        this.initializeFavoriteControl(); // 初始化收藏控制
-        this.checkUserGuideVisibility(); // 检查用户指引显示状态
-        this.showFirstTimeGuide(); // 显示首次使用引导
-        PageManager.init();
-        console.log('BlessingManager initialized with accessibility, favorite features and user guide');
+    async init(options = {}) {
+        const requested = options.backend || this.getConfiguredBackend();
+        const candidates = [requested, this.defaultBackend, 'memory']
+            .filter((name, index, list) => this.backends[name] && list.indexOf(name) === index);
+        
+        this.cache = new Map();
+        for (const name of candidates) {
+            const backend = this.backends[name];
+            if (!backend.isAvailable()) continue;
+            
+            try {
+                const entries = await backend.loadAll(this.fullKey(''));
+                entries.forEach(([fullKey, value]) => {
+                    this.cache.set(fullKey.slice(this.fullKey('').length), value);
+                });
+                this.backend = backend;
+                this.backendName = name;
+                break;
+            } catch (error) {
+                console.warn(`⚠️ 存储后端 ${name} 初始化失败:`, error);
+                this.reportError('INIT_FAILED', error);
+            }
+        }
+        
+        if (this.backendName !== requested) {
+            console.warn(`⚠️ 存储后端 ${requested} 不可用，已改用 ${this.backendName}`);
+        }
+        
+        console.log(`🗄️ 存储已就绪: ${this.backendName}，共 ${this.cache.size} 项数据`);
     },
-    
+
     /**
-     * 保存用户进度到localStorage
-     * 包括已显示的祝福语、当前页数、点击次数等
+     * 读取页面配置的存储后端（通过 ?storage=memory 等URL参数指定）
+     * @returns {string} 后端名称
      */
-    saveProgress() {
-        try {
-            const progress = {
-                displayedBlessings: Array.from(this.displayedBlessings),
-                currentPage: this.currentPage,
-                clickCount: PageManager.clickCount,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(this.storageKey, JSON.stringify(progress));
-            console.log('💾 进度已保存');
-        } catch (error) {
-            console.warn('⚠️ 保存进度失败:', error);
-            this.handleStorageError('SAVE_FAILED', error);
+    getConfiguredBackend() {
+        if (typeof window === 'undefined' || !window.location) {
+            return this.defaultBackend;
         }
+        const param = new URLSearchParams(window.location.search).get('storage');
+        return param && this.backends[param] ? param : this.defaultBackend;
     },
-    
+
     /**
-     * 从localStorage加载用户进度
-     * 恢复已显示的祝福语、当前页数、点击次数等
+     * 生成带命名空间的完整键名
+     * @param {string} key - 键名
+     * @returns {string} 完整键名
      */
-    loadProgress() {
-        try {
-            const saved = localStorage.getItem(this.storageKey);
-            if (saved) {
-                const progress = JSON.parse(saved);
-                
-                // 验证数据格式
-                if (!progress || typeof progress !== 'object') {
-                    throw new Error('进度数据格式无效');
-                }
-                
-                // 检查数据是否过期（7天）
-                const daysPassed = (Date.now() - progress.timestamp) / (1000 * 60 * 60 * 24);
-                if (daysPassed > 7) {
-                    console.log('📅 保存的进度已过期，开始新的旅程');
-                    this.clearProgress();
-                    return;
-                }
-                
-                // 恢复进度
-                this.displayedBlessings = new Set(progress.displayedBlessings || []);
-                this.currentPage = progress.currentPage || 0;
-                PageManager.clickCount = progress.clickCount || 0;
-                
-                console.log(`🔄 已恢复进度: ${this.displayedBlessings.size} 条祝福语已收集`);
-            }
-        } catch (error) {
-            console.warn('⚠️ 加载进度失败:', error);
-            this.handleStorageError('LOAD_FAILED', error);
-            this.clearProgress();
-        }
+    fullKey(key) {
+        return `${this.namespace}_${key}`;
     },
-    
+
     /**
-     * 清除保存的用户进度
-     * 删除localStorage中的所有进度数据
+     * 读取数据
+     * @param {string} key - 键名（不含命名空间）
+     * @param {*} [defaultValue=null] - 不存在时的默认值
+     * @returns {*} 解析后的数据，每次返回新的副本
      */
-    clearProgress() {
+    get(key, defaultValue = null) {
+        if (!this.cache.has(key)) {
+            return defaultValue;
+        }
+        const raw = this.cache.get(key);
         try {
-            localStorage.removeItem(this.storageKey);
-            console.log('🗑️ 进度已清除');
+            return JSON.parse(raw);
         } catch (error) {
-            console.warn('⚠️ 清除进度失败:', error);
-            this.handleStorageError('CLEAR_FAILED', error);
+            // 兼容直接写入的非JSON字符串
+            return raw;
         }
     },
 
     /**
-     * 加载收藏数据
+     * 写入数据
+     * @param {string} key - 键名（不含命名空间）
+     * @param {*} value - 可JSON序列化的数据
+     * @returns {Promise<boolean>} 是否写入成功
      */
-    loadFavorites() {
-        try {
-            const saved = localStorage.getItem(this.favoritesStorageKey);
-            if (saved) {
-                const favoritesData = JSON.parse(saved);
-                this.favorites = new Set(favoritesData.favorites || []);
-                console.log(`❤️ 已加载 ${this.favorites.size} 条收藏`);
-            }
-        } catch (error) {
-            console.warn('⚠️ 加载收藏失败:', error);
-            this.favorites = new Set();
-        }
+    set(key, value) {
+        const raw = JSON.stringify(value);
+        this.cache.set(key, raw);
+        return this.persist('SAVE_FAILED', key, () => this.backend.setItem(this.fullKey(key), raw));
     },
 
     /**
-     * 保存收藏数据
+     * 删除数据
+     * @param {string} key - 键名（不含命名空间）
+     * @returns {Promise<boolean>} 是否删除成功
      */
-    saveFavorites() {
-        try {
-            const favoritesData = {
-                favorites: Array.from(this.favorites),
-                timestamp: Date.now()
-            };
-            localStorage.setItem(this.favoritesStorageKey, JSON.stringify(favoritesData));
-            console.log('💾 收藏已保存');
-        } catch (error) {
-            console.warn('⚠️ 保存收藏失败:', error);
-            this.showTemporaryMessage('保存收藏失败', 'error');
-        }
+    remove(key) {
+        this.cache.delete(key);
+        return this.persist('CLEAR_FAILED', key, () => this.backend.removeItem(this.fullKey(key)));
     },
 
     /**
-     * 加载收藏设置
+     * 判断数据是否存在
+     * @param {string} key - 键名（不含命名空间）
+     * @returns {boolean}
      */
-    loadFavoriteSettings() {
-        try {
-            const saved = localStorage.getItem(this.favoriteSettingsKey);
-            if (saved) {
-                const settings = JSON.parse(saved);
-                this.favoriteEnabled = settings.enabled !== false; // 默认启用
-            } else {
-                this.favoriteEnabled = true;
-            }
-        } catch (error) {
-            console.warn('⚠️ 加载收藏设置失败:', error);
-            this.favoriteEnabled = true;
-        }
+    has(key) {
+        return this.cache.has(key);
     },
 
     /**
-     * 保存收藏设置
+     * 获取命名空间下的所有键名
+     * @returns {Array<string>} 键名列表（不含命名空间）
      */
-    saveFavoriteSettings() {
-        try {
-            const settings = {
-                enabled: this.favoriteEnabled,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(this.favoriteSettingsKey, JSON.stringify(settings));
-            console.log('💾 收藏设置已保存');
-        } catch (error) {
-            console.warn('⚠️ 保存收藏设置失败:', error);
-            this.showTemporaryMessage('保存收藏设置失败', 'error');
-        }
+    keys() {
+        return Array.from(this.cache.keys());
     },
 
     /**
-     * 加载分享设置
+     * 执行后端写操作，并把同步或异步错误统一交给错误监听器
+     * @param {string} errorType - 失败时上报的错误类型
+     * @param {string} key - 相关键名
+     * @param {Function} operation - 后端操作
+     * @returns {Promise<boolean>} 是否成功
      */
-    loadShareSettings() {
+    persist(errorType, key, operation) {
+        if (!this.backend) {
+            return Promise.resolve(this.reportError('NOT_READY', new Error('存储尚未初始化'), key));
+        }
         try {
-            const saved = localStorage.getItem(this.shareSettingsKey);
-            if (saved) {
-                const settings = JSON.parse(saved);
-                this.shareEnabled = settings.enabled !== false; // 默认启用
-            }
+            return Promise.resolve(operation()).then(
+                () => true,
+                error => this.reportError(errorType, error, key)
+            );
         } catch (error) {
-            console.warn('⚠️ 加载分享设置失败:', error);
-            this.shareEnabled = true;
+            return Promise.resolve(this.reportError(errorType, error, key));
         }
     },
 
     /**
-     * 保存分享设置
+     * 注册错误监听器
+     * @param {Function} listener - (errorType, error, key) => void
      */
-    saveShareSettings() {
-        try {
-            const settings = {
-                enabled: this.shareEnabled,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(this.shareSettingsKey, JSON.stringify(settings));
-            console.log('💾 分享设置已保存');
-        } catch (error) {
-            console.warn('⚠️ 保存分享设置失败:', error);
+    onError(listener) {
+        if (!this.errorListeners.includes(listener)) {
+            this.errorListeners.push(listener);
         }
     },
-    
+
     /**
-     * 处理存储相关错误
+     * 上报存储错误
      * @param {string} errorType - 错误类型
      * @param {Error} error - 错误对象
+     * @param {string} [key] - 相关键名
+     * @returns {boolean} 始终返回false，便于作为失败结果
      */
-    handleStorageError(errorType, error) {
-        const errorMessages = {
-            'SAVE_FAILED': '无法保存游戏进度，可能是存储空间不足',
-            'LOAD_FAILED': '无法加载游戏进度，将重新开始',
-            'CLEAR_FAILED': '无法清除游戏进度'
-        };
-        
-        const message = errorMessages[errorType] || '存储操作失败';
-        this.showTemporaryMessage(message, 'warning');
-    },
+    reportError(errorType, error, key = '') {
+        console.warn(`⚠️ 存储操作失败 [${errorType}] ${key}:`, error);
+        this.errorListeners.forEach(listener => {
+            try {
+                listener(errorType, error, key);
+            } catch (listenerError) {
+                console.error('存储错误监听器执行失败:', listenerError);
+            }
+        });
+        return false;
+    }
+};
+
+/**
+ * 数据迁移管理器 - 按版本逐步升级已保存的用户数据
+ * 每个存储键维护一组迁移步骤，启动时检测数据版本并依次执行，
+ * 迁移失败时保留原始数据的备份，绝不直接丢弃用户数据
+ * @namespace MigrationManager
+ */
+const MigrationManager = {
+    /** @type {string} 迁移日志存储键名 */
+    logKey: 'migration_log',
+    /** @type {number} 最多保留的迁移日志条数 */
+    maxLogEntries: 20,
+    /** @type {Object|null} 最近一次迁移的报告 */
+    lastReport: null,
 
     /**
-     * 显示临时消息给用户
-     * @param {string} message - 要显示的消息内容
-     * @param {string} type - 消息类型 ('info', 'warning', 'error')
+     * 各存储键的迁移步骤，按目标版本从低到高排列
+     * 没有版本号的数据视为版本1；步骤的migrate接收数据副本和上下文，
+     * 返回升级后的数据，可通过 context.note() 记录变更说明
      */
-    showTemporaryMessage(message, type = 'info') {
-        const messageEl = document.createElement('div');
-        messageEl.className = `temporary-message ${type}`;
-        messageEl.textContent = message;
-        messageEl.setAttribute('role', 'alert');
-        messageEl.setAttribute('aria-live', 'polite');
-        
-        document.body.appendChild(messageEl);
-        
-        setTimeout(() => {
-            messageEl.style.opacity = '0';
-            setTimeout(() => {
-                if (messageEl.parentNode) {
-                    messageEl.parentNode.removeChild(messageEl);
+    migrations: {
+        blessing_progress: [
+            {
+                version: 2,
+                description: '已显示记录由祝福语文本和数组索引改为祝福语id',
+                migrate(progress, context) {
+                    const idsByText = new Map();
+                    context.blessings.forEach(blessing => {
+                        if (!idsByText.has(blessing.text)) {
+                            idsByText.set(blessing.text, blessing.id);
+                        }
+                    });
+                    
+                    // 文本可以按内容找回对应的祝福语；索引在重新打乱后已无法对应，只能忽略
+                    const ids = new Set();
+                    let dropped = 0;
+                    (progress.displayedBlessings || []).forEach(entry => {
+                        if (typeof entry === 'string' && context.blessingMap.has(entry)) {
+                            ids.add(entry);
+                        } else if (typeof entry === 'string' && idsByText.has(entry)) {
+                            ids.add(idsByText.get(entry));
+                        } else {
+                            dropped++;
+                        }
+                    });
+                    
+                    context.note(`${ids.size} 条已显示记录已转换为id，${dropped} 条无法识别已忽略`);
+                    return { ...progress, displayedBlessings: Array.from(ids) };
                 }
-            }, 300);
-        }, 3000);
+            }
+        ],
+        blessing_favorites: [
+            {
+                version: 2,
+                description: '新增收藏时间记录',
+                migrate(favoritesData, context) {
+                    context.note('旧收藏没有记录收藏时间，导出时该列留空');
+                    return { ...favoritesData, addedAt: {} };
+                }
+            },
+            {
+                version: 3,
+                description: '收藏由"文本_分类"字符串改为包含祝福语id的条目',
+                migrate(favoritesData, context) {
+                    // 文本本身可能含有下划线，只能与现有祝福语的拼接结果整体比对
+                    const idsByKey = new Map();
+                    context.blessings.forEach(blessing => {
+                        const legacyKey = `${blessing.text}_${blessing.category}`;
+                        if (!idsByKey.has(legacyKey)) {
+                            idsByKey.set(legacyKey, blessing.id);
+                        }
+                    });
+                    
+                    const addedAt = favoritesData.addedAt || {};
+                    const favorites = [];
+                    const unresolved = [];
+                    (favoritesData.favorites || []).forEach(legacyKey => {
+                        const blessingId = idsByKey.get(legacyKey);
+                        if (!blessingId) {
+                            unresolved.push(legacyKey);
+                        } else if (!favorites.some(entry => entry.blessingId === blessingId)) {
+                            favorites.push({ blessingId, addedAt: addedAt[legacyKey] || null, note: '' });
+                        }
+                    });
+                    
+                    context.note(`${favorites.length} 条收藏已转换，${unresolved.length} 条无法匹配现有祝福语，已原样保留`);
+                    const migrated = { ...favoritesData, favorites, unresolved };
+                    delete migrated.addedAt;
+                    return migrated;
+                }
+            },
+            {
+                version: 4,
+                description: '新增收藏夹和收藏标签',
+                migrate(favoritesData) {
+                    return {
+                        ...favoritesData,
+                        favorites: (favoritesData.favorites || []).map(entry => ({
+                            ...entry,
+                            tags: entry.tags || [],
+                            collectionIds: entry.collectionIds || []
+                        })),
+                        collections: favoritesData.collections || []
+                    };
+                }
+            }
+        ],
+        favorite_settings: [],
+        share_settings: [],
+        progress_settings: [],
+        progress_archive: [],
+        favorites_trash: [],
+        search_history: []
     },
-    
+
     /**
-     * 处理按钮点击事件，防止重复点击
-     * @param {HTMLElement} button - 按钮元素
-     * @param {Function} callback - 点击后执行的回调函数
+     * 获取存储键的最新数据版本
+     * @param {string} key - 存储键名
+     * @returns {number} 最新版本号
      */
-    handleButtonClick(button, callback) {
-        // 防止重复点击
-        if (button.disabled) return;
+    getLatestVersion(key) {
+        const steps = this.migrations[key] || [];
+        return steps.length > 0 ? steps[steps.length - 1].version : 1;
+    },
+
+    /**
+     * 检测数据的版本号（旧数据没有version字段，视为版本1）
+     * @param {Object} payload - 已保存的数据
+     * @returns {number} 版本号
+     */
+    detectVersion(payload) {
+        return Number.isInteger(payload.version) && payload.version > 0 ? payload.version : 1;
+    },
+
+    /**
+     * 对所有已注册的存储键执行迁移
+     * @param {Object} context - 迁移上下文（包含 blessings 和 blessingMap）
+     * @returns {Object} 迁移报告 { schemaFrom, schemaTo, changes, errors }
+     */
+    run(context) {
+        const report = {
+            schemaFrom: StorageManager.get(StorageManager.schemaVersionKey, 1),
+            schemaTo: StorageManager.schemaVersion,
+            timestamp: Date.now(),
+            changes: [],
+            errors: []
+        };
         
-        button.disabled = true;
-        button.style.transform = 'scale(0.95)';
+        Object.keys(this.migrations).forEach(key => {
+            if (!StorageManager.has(key)) return;
+            
+            const payload = StorageManager.get(key);
+            try {
+                const change = this.migrateKey(key, payload, context);
+                if (change) {
+                    report.changes.push(change);
+                }
+            } catch (error) {
+                console.error(`❌ 数据迁移失败: ${key}`, error);
+                // 备份后移除无法识别的数据，避免每次启动重复失败
+                const backupKey = this.backupPayload(key, payload);
+                StorageManager.remove(key);
+                report.errors.push({ key, message: error.message, backupKey });
+            }
+        });
         
-        setTimeout(() => {
-            callback();
-            button.disabled = false;
-            button.style.transform = 'scale(1)';
-        }, 300);
+        StorageManager.set(StorageManager.schemaVersionKey, StorageManager.schemaVersion);
+        
+        this.lastReport = report;
+        if (report.changes.length > 0 || report.errors.length > 0) {
+            this.recordReport(report);
+        }
+        return report;
     },
-    
+
     /**
-     * 加载所有祝福语数据
-     * 从数据库中读取并随机打乱顺序
+     * 迁移单个存储键的数据并写回存储
+     * @param {string} key - 存储键名
+     * @param {*} payload - 已保存的数据
+     * @param {Object} context - 迁移上下文
+     * @returns {Object|null} 变更记录，无需迁移时返回null
      */
-    loadAllBlessings() {
-        this.allBlessings = [];
-        for (const category in BLESSING_DATABASE) {
-            BLESSING_DATABASE[category].forEach(blessing => {
-                this.allBlessings.push({ text: blessing, category });
-            });
+    migrateKey(key, payload, context) {
+        const { data, change } = this.upgradePayload(key, payload, context);
+        if (change) {
+            StorageManager.set(key, data);
+            console.log(`🔧 已迁移 ${key}: v${change.from} → v${change.to}`, change.notes);
         }
-        // 随机打乱祝福语顺序，确保每次体验都不同
-        this.shuffleArray(this.allBlessings);
+        return change;
     },
-    
+
     /**
-     * 随机打乱数组顺序
-     * @param {Array} array - 要打乱的数组
+     * 将一份数据升级到最新版本（不写入存储，导入备份时也会用到）
+     * @param {string} key - 存储键名
+     * @param {*} payload - 原始数据
+     * @param {Object} context - 迁移上下文
+     * @returns {{data: Object, change: Object|null}} 升级后的数据和变更记录
      */
-    shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
+    upgradePayload(key, payload, context) {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw new Error('数据格式无效');
+        }
+        
+        const latest = this.getLatestVersion(key);
+        const from = this.detectVersion(payload);
+        
+        if (from > latest) {
+            // 来自更新版本的数据，保持原样，避免降级覆盖
+            console.warn(`⚠️ ${key} 的数据版本(${from})高于当前支持的版本(${latest})，已跳过迁移`);
+            return { data: payload, change: null };
+        }
+        if (from === latest && payload.version === latest) {
+            return { data: payload, change: null };
+        }
+        
+        const notes = [];
+        const stepContext = { ...context, note: message => notes.push(message) };
+        let data = { ...payload };
+        
+        (this.migrations[key] || [])
+            .filter(step => step.version > from)
+            .forEach(step => {
+                notes.push(`v${step.version}: ${step.description}`);
+                data = step.migrate(data, stepContext);
+                data.version = step.version;
+            });
+        
+        if (payload.version === undefined) {
+            notes.unshift('补充数据版本号');
+        }
+        data.version = latest;
+        
+        return { data, change: { key, from, to: latest, notes } };
+    },
+
+    /**
+     * 备份无法处理的数据，供用户或开发者手动恢复
+     * @param {string} key - 存储键名
+     * @param {*} payload - 原始数据
+     * @returns {string} 备份使用的键名
+     */
+    backupPayload(key, payload) {
+        const backupKey = `${key}_backup_${Date.now()}`;
+        StorageManager.set(backupKey, payload);
+        console.warn(`💾 原始数据已备份到 ${StorageManager.fullKey(backupKey)}`);
+        return backupKey;
+    },
+
+    /**
+     * 将迁移报告追加到迁移日志
+     * @param {Object} report - 迁移报告
+     */
+    recordReport(report) {
+        const log = StorageManager.get(this.logKey, []);
+        const entries = Array.isArray(log) ? log : [];
+        entries.push(report);
+        StorageManager.set(this.logKey, entries.slice(-this.maxLogEntries));
+    }
+};
+
+/**
+ * 备份管理器 - 负责用户数据的导出、校验与导入
+ * 备份文件包含收藏、进度、往季记录和各项设置，导入时先按迁移规则升级再合并或覆盖
+ * @namespace BackupManager
+ */
+const BackupManager = {
+    /** @type {string} 备份文件的应用标识 */
+    appId: '1024-blessings',
+    /** @type {number} 备份文件格式版本 */
+    formatVersion: 1,
+    /** @type {Array<string>} 需要备份的存储键 */
+    backupKeys: [
+        'blessing_progress',
+        'blessing_favorites',
+        'favorite_settings',
+        'share_settings',
+        'progress_settings',
+        'progress_archive',
+        'favorites_trash',
+        'search_history'
+    ],
+
+    /**
+     * 合并策略：导入数据与本地数据都存在时如何合并
+     * 未列出的键（各项设置）保留本地数据
+     */
+    mergeStrategies: {
+        blessing_progress(local, incoming) {
+            return {
+                ...local,
+                displayedBlessings: Array.from(new Set([
+                    ...(local.displayedBlessings || []),
+                    ...(incoming.displayedBlessings || [])
+                ])),
+                clickCount: Math.max(local.clickCount || 0, incoming.clickCount || 0),
+                timestamp: Date.now()
+            };
+        },
+        blessing_favorites(local, incoming) {
+            const favorites = [...(local.favorites || [])];
+            (incoming.favorites || []).forEach(entry => {
+                if (!favorites.some(item => item.blessingId === entry.blessingId)) {
+                    favorites.push(entry);
+                }
+            });
+            const collections = [...(local.collections || [])];
+            (incoming.collections || []).forEach(collection => {
+                if (!collections.some(item => item.id === collection.id)) {
+                    collections.push(collection);
+                }
+            });
+            return {
+                ...local,
+                favorites,
+                collections,
+                unresolved: Array.from(new Set([...(local.unresolved || []), ...(incoming.unresolved || [])])),
+                timestamp: Date.now()
+            };
+        },
+        progress_archive(local, incoming) {
+            const seasons = [...(local.seasons || [])];
+            (incoming.seasons || []).forEach(season => {
+                if (!seasons.some(item => item.id === season.id)) {
+                    seasons.push(season);
+                }
+            });
+            return { ...local, seasons, timestamp: Date.now() };
+        },
+        favorites_trash(local, incoming) {
+            const items = [...(local.items || [])];
+            (incoming.items || []).forEach(entry => {
+                if (!items.some(item => item.blessingId === entry.blessingId)) {
+                    items.push(entry);
+                }
+            });
+            return { ...local, items, timestamp: Date.now() };
+        },
+        search_history(local, incoming) {
+            const recent = new Map();
+            [...(local.recent || []), ...(incoming.recent || [])].forEach(entry => {
+                const existing = recent.get(entry.query);
+                if (!existing || entry.searchedAt > existing.searchedAt) {
+                    recent.set(entry.query, entry);
+                }
+            });
+            const saved = [...(local.saved || [])];
+            (incoming.saved || []).forEach(entry => {
+                if (!saved.some(item => item.query === entry.query)) {
+                    saved.push(entry);
+                }
+            });
+            return {
+                ...local,
+                recent: Array.from(recent.values())
+                    .sort((a, b) => b.searchedAt - a.searchedAt)
+                    .slice(0, BlessingManager.maxRecentSearches),
+                saved,
+                timestamp: Date.now()
+            };
+        }
+    },
+
+    /**
+     * 生成包含全部用户数据的备份对象
+     * @returns {Object} 备份数据
+     */
+    createBackup() {
+        const data = {};
+        this.backupKeys.forEach(key => {
+            if (StorageManager.has(key)) {
+                data[key] = StorageManager.get(key);
+            }
+        });
+        
+        return {
+            app: this.appId,
+            formatVersion: this.formatVersion,
+            schemaVersion: StorageManager.schemaVersion,
+            datasetVersion: typeof BLESSING_DATABASE_VERSION !== 'undefined' ? BLESSING_DATABASE_VERSION : null,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    },
+
+    /**
+     * 解析并校验备份文件内容，同时把其中的数据升级到当前版本
+     * @param {string} content - 备份文件文本
+     * @param {Object} context - 迁移上下文（包含 blessings 和 blessingMap）
+     * @returns {Object} 校验通过的备份对象，data中为升级后的数据
+     * @throws {Error} 文件无法识别或数据无效时抛出，message可直接展示给用户
+     */
+    parseBackup(content, context) {
+        let backup;
+        try {
+            backup = JSON.parse(content);
+        } catch (error) {
+            throw new Error('文件不是有效的JSON');
+        }
+        
+        if (!backup || backup.app !== this.appId || !backup.data || typeof backup.data !== 'object') {
+            throw new Error('不是1024祝福语的备份文件');
+        }
+        if (backup.formatVersion > this.formatVersion) {
+            throw new Error('备份文件来自更新的版本，请先升级页面');
+        }
+        
+        const data = {};
+        Object.keys(backup.data).forEach(key => {
+            if (!this.backupKeys.includes(key)) {
+                console.warn(`⚠️ 备份中包含未知数据，已忽略: ${key}`);
+                return;
+            }
+            
+            const payload = backup.data[key];
+            if (payload && MigrationManager.detectVersion(payload) > MigrationManager.getLatestVersion(key)) {
+                throw new Error('备份文件来自更新的版本，请先升级页面');
+            }
+            try {
+                data[key] = MigrationManager.upgradePayload(key, payload, context).data;
+            } catch (error) {
+                throw new Error(`备份中的数据无效: ${key}`);
+            }
+        });
+        
+        return { ...backup, data };
+    },
+
+    /**
+     * 统计备份中的主要内容，用于导入前的确认
+     * @param {Object} backup - 已校验的备份对象
+     * @returns {{favorites: number, displayed: number, seasons: number}}
+     */
+    summarize(backup) {
+        const { data } = backup;
+        return {
+            favorites: ((data.blessing_favorites || {}).favorites || []).length,
+            displayed: ((data.blessing_progress || {}).displayedBlessings || []).length,
+            seasons: ((data.progress_archive || {}).seasons || []).length
+        };
+    },
+
+    /**
+     * 将备份写入存储
+     * @param {Object} backup - 已校验的备份对象
+     * @param {string} mode - 'merge' 合并到本地数据，'replace' 用备份覆盖本地数据
+     */
+    applyBackup(backup, mode) {
+        this.backupKeys.forEach(key => {
+            const local = StorageManager.get(key);
+            let incoming = backup.data[key];
+            // 导入的进度视为刚刚保存，否则较旧的备份在重新加载时会被当作过期进度直接归档
+            if (key === 'blessing_progress' && incoming) {
+                incoming = { ...incoming, timestamp: Date.now() };
+            }
+            
+            if (mode === 'replace') {
+                if (incoming) {
+                    StorageManager.set(key, incoming);
+                } else {
+                    StorageManager.remove(key);
+                }
+                return;
+            }
+            
+            if (!incoming) return;
+            if (!local) {
+                StorageManager.set(key, incoming);
+            } else if (this.mergeStrategies[key]) {
+                StorageManager.set(key, this.mergeStrategies[key](local, incoming));
+            }
+        });
+        
+        console.log(`📥 备份已导入（${mode === 'replace' ? '覆盖' : '合并'}）`);
+    }
+};
+
+/**
+ * 收藏导出器 - 将收藏列表转换为便于粘贴到文档和表格的格式
+ * 每种格式提供名称、文件扩展名、MIME类型和渲染函数
+ * @namespace FavoritesExporter
+ */
+const FavoritesExporter = {
+    formats: {
+        markdown: {
+            label: 'Markdown',
+            extension: 'md',
+            mimeType: 'text/markdown',
+            /**
+             * 按分类分组输出Markdown列表
+             * @param {Array<Object>} entries - 收藏条目 { text, category, addedAt }
+             * @returns {string}
+             */
+            render(entries) {
+                const groups = new Map();
+                entries.forEach(entry => {
+                    if (!groups.has(entry.category)) {
+                        groups.set(entry.category, []);
+                    }
+                    groups.get(entry.category).push(entry);
+                });
+                
+                const lines = [
+                    '# 我的1024祝福语收藏',
+                    '',
+                    `> 共 ${entries.length} 条，导出于 ${FavoritesExporter.formatDate(Date.now())}`
+                ];
+                groups.forEach((items, category) => {
+                    lines.push('', `## ${category}（${items.length}）`, '');
+                    items.forEach(item => {
+                        lines.push(`- ${FavoritesExporter.escapeMarkdown(item.text)}`);
+                    });
+                });
+                return lines.join('\n') + '\n';
+            }
+        },
+        csv: {
+            label: 'CSV',
+            extension: 'csv',
+            mimeType: 'text/csv',
+            /**
+             * 输出包含祝福语、分类和收藏时间三列的CSV
+             * @param {Array<Object>} entries - 收藏条目
+             * @returns {string}
+             */
+            render(entries) {
+                const rows = [['祝福语', '分类', '收藏时间']];
+                entries.forEach(entry => {
+                    rows.push([entry.text, entry.category, entry.addedAt ? FavoritesExporter.formatDate(entry.addedAt) : '']);
+                });
+                return rows.map(row => row.map(cell => FavoritesExporter.escapeCsv(cell)).join(',')).join('\r\n') + '\r\n';
+            }
+        },
+        text: {
+            label: '纯文本',
+            extension: 'txt',
+            mimeType: 'text/plain',
+            /**
+             * 输出带序号的纯文本列表
+             * @param {Array<Object>} entries - 收藏条目
+             * @returns {string}
+             */
+            render(entries) {
+                return entries.map((entry, index) => `${index + 1}. ${entry.text}（${entry.category}）`).join('\n') + '\n';
+            }
+        }
+    },
+
+    /**
+     * 生成指定格式的导出内容
+     * @param {string} format - 格式名称（markdown / csv / text）
+     * @param {Array<Object>} entries - 收藏条目
+     * @returns {string}
+     */
+    render(format, entries) {
+        const exporter = this.formats[format];
+        if (!exporter) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+        return exporter.render(entries);
+    },
+
+    /**
+     * 格式化时间为 YYYY-MM-DD HH:mm
+     * @param {number} timestamp - 时间戳
+     * @returns {string}
+     */
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    },
+
+    /**
+     * 转义CSV单元格
+     * 以 = + - @ 开头的内容前加单引号，防止在Excel中被当作公式执行
+     * @param {string} value - 单元格内容
+     * @returns {string}
+     */
+    escapeCsv(value) {
+        const text = /^[=+\-@]/.test(String(value)) ? `'${value}` : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * 转义会被Markdown解释为格式的字符
+     * @param {string} text - 原始文本
+     * @returns {string}
+     */
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+    }
+};
+
+/**
+ * 二维码编码器 - 在浏览器内生成二维码，不依赖外部服务
+ * 使用字节模式和M级纠错，支持版本1-10（最多213字节，足够容纳祝福语分享链接）
+ * @namespace QRCodeEncoder
+ */
+const QRCodeEncoder = {
+    /**
+     * 各版本M级纠错的分块结构：每块纠错码字数和 [块数, 每块数据码字数] 分组
+     * @type {Array<Object>}
+     */
+    versions: [
+        null,
+        { ecPerBlock: 10, groups: [[1, 16]] },
+        { ecPerBlock: 16, groups: [[1, 28]] },
+        { ecPerBlock: 26, groups: [[1, 44]] },
+        { ecPerBlock: 18, groups: [[2, 32]] },
+        { ecPerBlock: 24, groups: [[2, 43]] },
+        { ecPerBlock: 16, groups: [[4, 27]] },
+        { ecPerBlock: 18, groups: [[4, 31]] },
+        { ecPerBlock: 22, groups: [[2, 38], [2, 39]] },
+        { ecPerBlock: 22, groups: [[3, 36], [2, 37]] },
+        { ecPerBlock: 26, groups: [[4, 43], [1, 44]] }
+    ],
+    /** @type {Array<Array<number>>} 各版本校正图形的中心坐标 */
+    alignmentPositions: [
+        null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+        [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+    ],
+
+    /**
+     * 将文本编码为二维码
+     * @param {string} text - 要编码的文本（按UTF-8编码）
+     * @returns {{size: number, modules: Array<Array<boolean>>}} 模块矩阵，true为深色
+     * @throws {Error} 文本超出版本10的容量时抛出
+     */
+    encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const version = this.versions.findIndex((info, index) => {
+            if (!info) return false;
+            const capacity = this.getDataCapacity(index) * 8;
+            return 4 + (index < 10 ? 8 : 16) + bytes.length * 8 <= capacity;
+        });
+        if (version === -1) {
+            throw new Error('内容过长，无法生成二维码');
+        }
+        
+        const codewords = this.addErrorCorrection(this.createDataCodewords(bytes, version), version);
+        const size = version * 4 + 17;
+        const qr = {
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+        
+        this.drawFunctionPatterns(qr, version);
+        this.drawCodewords(qr, codewords);
+        
+        // 选择惩罚分最低的掩码
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, mask);
+            const penalty = this.getPenalty(qr);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(qr, mask); // 异或两次即还原
+        }
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, bestMask);
+        
+        return { size, modules: qr.modules };
+    },
+
+    /**
+     * 获取版本的数据码字总数
+     * @param {number} version - 版本号
+     * @returns {number}
+     */
+    getDataCapacity(version) {
+        return this.versions[version].groups.reduce((sum, [count, length]) => sum + count * length, 0);
+    },
+
+    /**
+     * 生成数据码字：模式指示、字符数、数据、终止符和填充
+     * @param {Array<number>} bytes - UTF-8字节
+     * @param {number} version - 版本号
+     * @returns {Array<number>}
+     */
+    createDataCodewords(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        
+        append(0b0100, 4); // 字节模式
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+        
+        const capacity = this.getDataCapacity(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    },
+
+    /**
+     * 分块计算Reed-Solomon纠错码并交错排列
+     * @param {Array<number>} data - 数据码字
+     * @param {number} version - 版本号
+     * @returns {Array<number>}
+     */
+    addErrorCorrection(data, version) {
+        const { ecPerBlock, groups } = this.versions[version];
+        const divisor = this.getGeneratorPolynomial(ecPerBlock);
+        const blocks = [];
+        let offset = 0;
+        groups.forEach(([count, length]) => {
+            for (let i = 0; i < count; i++) {
+                const blockData = data.slice(offset, offset + length);
+                blocks.push({ data: blockData, ec: this.getRemainder(blockData, divisor) });
+                offset += length;
+            }
+        });
+        
+        const result = [];
+        const maxLength = Math.max(...blocks.map(block => block.data.length));
+        for (let i = 0; i < maxLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecPerBlock; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    },
+
+    /**
+     * 计算Reed-Solomon生成多项式（去掉最高次项的系数）
+     * @param {number} degree - 纠错码字数
+     * @returns {Array<number>}
+     */
+    getGeneratorPolynomial(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < degree) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    /**
+     * 计算数据除以生成多项式的余数，即纠错码字
+     * @param {Array<number>} data - 数据码字
+     * @param {Array<number>} divisor - 生成多项式
+     * @returns {Array<number>}
+     */
+    getRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    /**
+     * GF(256) 上的乘法，本原多项式为 0x11D
+     * @param {number} x - 因子
+     * @param {number} y - 因子
+     * @returns {number}
+     */
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    /**
+     * 设置功能图形模块
+     * @param {Object} qr - 二维码矩阵
+     * @param {number} x - 列
+     * @param {number} y - 行
+     * @param {boolean} dark - 是否为深色
+     */
+    setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    },
+
+    /**
+     * 绘制定位图形、时序图形、校正图形和版本信息，并为格式信息预留位置
+     * @param {Object} qr - 二维码矩阵
+     * @param {number} version - 版本号
+     */
+    drawFunctionPatterns(qr, version) {
+        const { size } = qr;
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+        
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunctionModule(qr, x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+        
+        const positions = this.alignmentPositions[version];
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                // 与三个定位图形重叠的位置不放校正图形
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+        
+        this.drawFormatBits(qr, 0);
+        
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(qr, a, b, dark);
+                this.setFunctionModule(qr, b, a, dark);
+            }
+        }
+    },
+
+    /**
+     * 绘制两份格式信息（纠错等级和掩码）以及固定的深色模块
+     * @param {Object} qr - 二维码矩阵
+     * @param {number} mask - 掩码编号
+     */
+    drawFormatBits(qr, mask) {
+        const { size } = qr;
+        const data = mask; // M级纠错的格式位为00
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+        
+        for (let i = 0; i <= 5; i++) {
+            this.setFunctionModule(qr, 8, i, bit(i));
+        }
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            this.setFunctionModule(qr, 14 - i, 8, bit(i));
+        }
+        
+        for (let i = 0; i < 8; i++) {
+            this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        }
+        this.setFunctionModule(qr, 8, size - 8, true);
+    },
+
+    /**
+     * 按之字形顺序从右下角开始填入码字
+     * @param {Object} qr - 二维码矩阵
+     * @param {Array<number>} codewords - 码字
+     */
+    drawCodewords(qr, codewords) {
+        const { size } = qr;
+        let index = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // 跳过竖直的时序图形
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = upward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (qr.isFunction[y][x] || index >= codewords.length * 8) continue;
+                    qr.modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                    index++;
+                }
+            }
+        }
+    },
+
+    /**
+     * 对数据区域应用（或撤销）掩码
+     * @param {Object} qr - 二维码矩阵
+     * @param {number} mask - 掩码编号
+     */
+    applyMask(qr, mask) {
+        const conditions = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const condition = conditions[mask];
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && condition(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    },
+
+    /**
+     * 计算掩码惩罚分：连续同色、2x2同色块、类定位图形和深浅比例
+     * @param {Object} qr - 二维码矩阵
+     * @returns {number}
+     */
+    getPenalty(qr) {
+        const { size, modules } = qr;
+        const finderLike = [true, false, true, true, true, false, true];
+        let penalty = 0;
+        let dark = 0;
+        
+        const scanLine = get => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && get(i) === get(i - 1)) {
+                    run++;
+                } else {
+                    if (run >= 5) penalty += run - 2;
+                    run = 1;
+                }
+            }
+            for (let i = 0; i + 7 <= size; i++) {
+                if (!finderLike.every((value, k) => get(i + k) === value)) continue;
+                const lightBefore = [1, 2, 3, 4].every(k => i - k < 0 || !get(i - k));
+                const lightAfter = [0, 1, 2, 3].every(k => i + 7 + k >= size || !get(i + 7 + k));
+                if (lightBefore || lightAfter) penalty += 40;
+            }
+        };
+        
+        for (let i = 0; i < size; i++) {
+            scanLine(x => modules[i][x]);
+            scanLine(y => modules[y][i]);
+        }
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+        
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return penalty;
+    },
+
+    /**
+     * 生成SVG路径，每个深色模块为一个1x1的正方形
+     * @param {{size: number, modules: Array<Array<boolean>>}} qr - 二维码
+     * @param {number} [margin=4] - 四周留白的模块数
+     * @returns {string}
+     */
+    toSvgPath(qr, margin = 4) {
+        const parts = [];
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) parts.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+            });
+        });
+        return parts.join('');
+    },
+
+    /**
+     * 在画布上绘制二维码（含白色背景和留白）
+     * @param {CanvasRenderingContext2D} ctx - 画布上下文
+     * @param {{size: number, modules: Array<Array<boolean>>}} qr - 二维码
+     * @param {number} x - 左上角x
+     * @param {number} y - 左上角y
+     * @param {number} width - 边长
+     * @param {number} [margin=2] - 四周留白的模块数
+     */
+    drawOnCanvas(ctx, qr, x, y, width, margin = 2) {
+        const moduleSize = width / (qr.size + margin * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(x, y, width, width);
+        ctx.fillStyle = '#000000';
+        qr.modules.forEach((row, my) => {
+            row.forEach((dark, mx) => {
+                if (!dark) return;
+                // 取整后相邻模块之间不会出现缝隙
+                const left = Math.floor(x + (mx + margin) * moduleSize);
+                const top = Math.floor(y + (my + margin) * moduleSize);
+                const right = Math.floor(x + (mx + margin + 1) * moduleSize);
+                const bottom = Math.floor(y + (my + margin + 1) * moduleSize);
+                ctx.fillRect(left, top, right - left, bottom - top);
+            });
+        });
+    }
+};
+
+/**
+ * 分享卡片渲染器 - 将祝福语绘制成带分类、日期和1024标识的图片
+ * 不同分类使用不同的配色主题，画布尺寸固定为正方形，便于在社交平台展示
+ * @namespace ShareCardRenderer
+ */
+const ShareCardRenderer = {
+    /** @type {number} 画布边长（像素） */
+    size: 1080,
+    /** @type {number} 内容边距 */
+    padding: 90,
+    /** @type {number} 底部1024标识条高度 */
+    stripHeight: 170,
+    /** @type {string} 卡片使用的字体 */
+    fontFamily: '"PingFang SC", "Microsoft YaHei", "Noto Sans CJK SC", sans-serif',
+    /** @type {string} 标识条和背景数字使用的等宽字体 */
+    monoFontFamily: '"Courier New", Consolas, monospace',
+    /** @type {Object<string, Object>} 分类对应的配色主题，background为从上到下的渐变色 */
+    themes: {
+        '节日祝福': { background: ['#2b0a3d', '#7a1f4b'], accent: '#ffd700', text: '#ffffff' },
+        '工作祝福': { background: ['#04202c', '#0b4f6c'], accent: '#00e5ff', text: '#ffffff' },
+        '哲思祝福': { background: ['#1b1b2f', '#3d2c5c'], accent: '#c3a6ff', text: '#ffffff' },
+        default: { background: ['#000000', '#0a2a0a'], accent: '#00ff00', text: '#ffffff' }
+    },
+
+    /**
+     * 获取分类的配色主题，自定义分类使用默认的黑客绿主题
+     * @param {string} category - 分类名
+     * @returns {Object}
+     */
+    getTheme(category) {
+        return this.themes[category] || this.themes.default;
+    },
+
+    /**
+     * 绘制祝福语卡片
+     * @param {Object} blessing - 祝福语记录
+     * @param {Object} [options] - 绘制选项
+     * @param {Date} [options.date=new Date()] - 卡片上显示的日期
+     * @param {string} [options.url] - 分享链接，提供时在标识条右侧绘制对应的二维码
+     * @returns {HTMLCanvasElement}
+     */
+    render(blessing, { date = new Date(), url } = {}) {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.size;
+        canvas.height = this.size;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('当前浏览器不支持Canvas');
+        }
+        
+        const theme = this.getTheme(blessing.category);
+        this.drawBackground(ctx, theme, blessing.id);
+        this.drawHeader(ctx, theme, blessing.category, date);
+        this.drawBlessingText(ctx, theme, blessing.text);
+        this.drawBrandingStrip(ctx, theme);
+        if (url) {
+            this.drawQRCode(ctx, url);
+        }
+        return canvas;
+    },
+
+    /**
+     * 绘制渐变背景和淡淡的二进制数字纹理
+     * 纹理由祝福语id决定，同一条祝福语每次生成的图片相同
+     * @param {CanvasRenderingContext2D} ctx - 画布上下文
+     * @param {Object} theme - 配色主题
+     * @param {string} seed - 纹理种子
+     */
+    drawBackground(ctx, theme, seed) {
+        const gradient = ctx.createLinearGradient(0, 0, 0, this.size);
+        gradient.addColorStop(0, theme.background[0]);
+        gradient.addColorStop(1, theme.background[1]);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.size, this.size);
+        
+        ctx.save();
+        ctx.globalAlpha = 0.08;
+        ctx.fillStyle = theme.accent;
+        ctx.font = `28px ${this.monoFontFamily}`;
+        ctx.textBaseline = 'top';
+        let bits = RandomSource.hashString(String(seed));
+        for (let y = 0; y < this.size - this.stripHeight; y += 40) {
+            let row = '';
+            for (let x = 0; x < this.size; x += 18) {
+                // xorshift，只用于纹理，不影响全局随机序列
+                bits ^= bits << 13;
+                bits ^= bits >>> 17;
+                bits ^= bits << 5;
+                row += bits & 1 ? '1' : '0';
+            }
+            ctx.fillText(row, 0, y);
+        }
+        ctx.restore();
+    },
+
+    /**
+     * 绘制顶部的分类标签和日期
+     * @param {CanvasRenderingContext2D} ctx - 画布上下文
+     * @param {Object} theme - 配色主题
+     * @param {string} category - 分类名
+     * @param {Date} date - 日期
+     */
+    drawHeader(ctx, theme, category, date) {
+        ctx.font = `34px ${this.fontFamily}`;
+        ctx.textBaseline = 'middle';
+        
+        const labelWidth = ctx.measureText(category).width + 56;
+        ctx.strokeStyle = theme.accent;
+        ctx.lineWidth = 3;
+        this.roundRectPath(ctx, this.padding, this.padding, labelWidth, 64, 32);
+        ctx.stroke();
+        ctx.fillStyle = theme.accent;
+        ctx.textAlign = 'left';
+        ctx.fillText(category, this.padding + 28, this.padding + 33);
+        
+        ctx.fillStyle = theme.text;
+        ctx.globalAlpha = 0.7;
+        ctx.textAlign = 'right';
+        ctx.fillText(
+            `${date.getFullYear()}年${date.getMonth() + 1}月${date.getDate()}日`,
+            this.size - this.padding,
+            this.padding + 33
+        );
+        ctx.globalAlpha = 1;
+    },
+
+    /**
+     * 在卡片中部居中绘制祝福语，文字较长时逐级缩小字号
+     * @param {CanvasRenderingContext2D} ctx - 画布上下文
+     * @param {Object} theme - 配色主题
+     * @param {string} text - 祝福语
+     */
+    drawBlessingText(ctx, theme, text) {
+        const top = this.padding + 140;
+        const bottom = this.size - this.stripHeight - 60;
+        const maxWidth = this.size - this.padding * 2;
+        
+        let fontSize = 64;
+        let lines;
+        for (; fontSize > 32; fontSize -= 4) {
+            ctx.font = `bold ${fontSize}px ${this.fontFamily}`;
+            lines = this.wrapText(ctx, text, maxWidth);
+            if (lines.length * fontSize * 1.6 <= bottom - top) break;
+        }
+        ctx.font = `bold ${fontSize}px ${this.fontFamily}`;
+        lines = this.wrapText(ctx, text, maxWidth);
+        
+        const lineHeight = fontSize * 1.6;
+        const startY = top + (bottom - top - lines.length * lineHeight) / 2 + lineHeight / 2;
+        
+        // 左上角的引号装饰
+        ctx.fillStyle = theme.accent;
+        ctx.globalAlpha = 0.35;
+        ctx.font = `bold 160px ${this.fontFamily}`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText('“', this.padding - 20, top - 70);
+        ctx.globalAlpha = 1;
+        
+        ctx.fillStyle = theme.text;
+        ctx.font = `bold ${fontSize}px ${this.fontFamily}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        lines.forEach((line, index) => {
+            ctx.fillText(line, this.size / 2, startY + index * lineHeight);
+        });
+    },
+
+    /**
+     * 绘制底部的1024标识条
+     * @param {CanvasRenderingContext2D} ctx - 画布上下文
+     * @param {Object} theme - 配色主题
+     */
+    drawBrandingStrip(ctx, theme) {
+        const top = this.size - this.stripHeight;
+        const middle = top + this.stripHeight / 2;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+        ctx.fillRect(0, top, this.size, this.stripHeight);
+        ctx.fillStyle = theme.accent;
+        ctx.fillRect(0, top, this.size, 6);
+        
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold 96px ${this.monoFontFamily}`;
+        ctx.fillText('1024', this.padding, middle);
+        
+        const brandX = this.padding + ctx.measureText('1024').width + 30;
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold 40px ${this.fontFamily}`;
+        ctx.fillText('程序员节快乐', brandX, middle - 24);
+        ctx.globalAlpha = 0.7;
+        ctx.font = `26px ${this.monoFontFamily}`;
+        ctx.fillText('while(alive) { code(); }', brandX, middle + 28);
+        ctx.globalAlpha = 1;
+    },
+
+    /**
+     * 在标识条右侧绘制分享链接的二维码，链接过长无法编码时不绘制
+     * @param {CanvasRenderingContext2D} ctx - 画布上下文
+     * @param {string} url - 分享链接
+     */
+    drawQRCode(ctx, url) {
+        let qr;
+        try {
+            qr = QRCodeEncoder.encode(url);
+        } catch (error) {
+            console.warn('分享图片未包含二维码:', error.message);
+            return;
+        }
+        
+        const width = this.stripHeight - 20;
+        QRCodeEncoder.drawOnCanvas(ctx, qr, this.size - this.padding - width, this.size - this.stripHeight + 13, width);
+    },
+
+    /**
+     * 按宽度拆分文本为多行
+     * 中文逐字换行，连续的英文和数字作为一个词不拆开，标点不放在行首
+     * @param {CanvasRenderingContext2D} ctx - 已设置好字体的画布上下文
+     * @param {string} text - 文本
+     * @param {number} maxWidth - 每行最大宽度
+     * @returns {Array<string>}
+     */
+    wrapText(ctx, text, maxWidth) {
+        const tokens = String(text).match(/[A-Za-z0-9_.()'+-]+|\s+|./gu) || [];
+        const lines = [];
+        let line = '';
+        tokens.forEach(token => {
+            const candidate = line + token;
+            const isPunctuation = /^[，。！？、；：”’）》,.!?;:)]$/.test(token);
+            if (line && ctx.measureText(candidate).width > maxWidth && !isPunctuation) {
+                lines.push(line.trimEnd());
+                line = token.trimStart();
+            } else {
+                line = candidate;
+            }
+        });
+        if (line.trim()) {
+            lines.push(line.trimEnd());
+        }
+        return lines;
+    },
+
+    /**
+     * 创建圆角矩形路径
+     * @param {CanvasRenderingContext2D} ctx - 画布上下文
+     * @param {number} x - 左上角x
+     * @param {number} y - 左上角y
+     * @param {number} width - 宽度
+     * @param {number} height - 高度
+     * @param {number} radius - 圆角半径
+     */
+    roundRectPath(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+    },
+
+    /**
+     * 将画布导出为PNG
+     * @param {HTMLCanvasElement} canvas - 画布
+     * @returns {Promise<Blob>}
+     */
+    toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('图片导出失败'))), 'image/png');
+        });
+    },
+
+    /**
+     * 生成祝福语卡片的PNG文件
+     * @param {Object} blessing - 祝福语记录
+     * @param {string} [url] - 分享链接，用于生成卡片上的二维码
+     * @returns {Promise<File>}
+     */
+    async createFile(blessing, url) {
+        const blob = await this.toBlob(this.render(blessing, { url }));
+        return new File([blob], `1024-blessing-${blessing.id}.png`, { type: 'image/png' });
+    }
+};
+
+/**
+ * 分享目标注册表 - 分享菜单按注册顺序渲染其中可用的目标
+ * 每个目标声明名称、图标、悬停颜色、字数上限和可用性检查，
+ * 并提供 urlTemplate（{title}、{text}、{url} 占位符会被转义后替换）或自定义的 action 二者之一
+ * 提供 defaultTemplate 的目标会分享文字，用户可以在分享选项中为其自定义分享文案模板
+ * @namespace ShareTargets
+ */
+const ShareTargets = {
+    /** @type {Object<string, Object>} 已注册的分享目标 */
+    targets: {},
+    /** @type {string} 通用分享文案模板，用于系统分享面板和没有自定义模板的目标 */
+    defaultTemplate: '{text}\n\n——来自{sender}\n{hashtags}',
+    /** @type {Object<string, string>} 分享文案模板支持的占位符及说明 */
+    placeholders: {
+        text: '祝福语',
+        category: '分类',
+        date: '日期',
+        url: '链接',
+        sender: '署名',
+        hashtags: '话题标签'
+    },
+
+    /**
+     * 注册分享目标，id相同时覆盖原有目标
+     * @param {string} id - 目标id
+     * @param {Object} target - 目标定义
+     * @param {string} target.label - 按钮文字
+     * @param {string} target.icon - 24x24 图标的SVG路径
+     * @param {string} [target.color] - 按钮悬停时的颜色
+     * @param {string} [target.urlTemplate] - 分享页面地址模板
+     * @param {boolean} [target.popup=true] - 是否在弹出窗口中打开分享页面，否则在当前页打开（如 mailto:）
+     * @param {number} [target.maxLength] - 分享文本的字数上限，超出时截断
+     * @param {string} [target.defaultTemplate] - 默认分享文案模板，不提供时该目标不分享文字
+     * @param {string} [target.hashtagFormat='#{tag}'] - 话题标签的格式
+     * @param {Function} [target.isAvailable] - 返回当前环境是否可用
+     * @param {Function} [target.action] - 自定义分享操作，接收目标定义，可返回Promise
+     * @param {boolean} [target.keepOpen=false] - 操作后是否保持分享选项展开
+     */
+    register(id, target) {
+        if (!target.urlTemplate && typeof target.action !== 'function') {
+            throw new Error(`分享目标 ${id} 需要提供 urlTemplate 或 action`);
+        }
+        this.targets[id] = { id, popup: true, keepOpen: false, hashtagFormat: '#{tag}', ...target };
+    },
+
+    /**
+     * 获取分享目标
+     * @param {string} id - 目标id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.targets[id];
+    },
+
+    /**
+     * 获取当前环境可用的分享目标
+     * @returns {Array<Object>}
+     */
+    getAvailable() {
+        return Object.values(this.targets).filter(target => !target.isAvailable || target.isAvailable());
+    },
+
+    /**
+     * 获取分享文字的目标，即可以自定义文案模板的目标
+     * @returns {Array<Object>}
+     */
+    getTemplateTargets() {
+        return this.getAvailable().filter(target => target.defaultTemplate);
+    },
+
+    /**
+     * 获取目标的默认文案模板
+     * @param {string} [id] - 目标id，不提供时为通用模板
+     * @returns {string}
+     */
+    getDefaultTemplate(id) {
+        const target = id && this.targets[id];
+        return (target && target.defaultTemplate) || this.defaultTemplate;
+    },
+
+    /**
+     * 按目标的格式拼接话题标签
+     * @param {Array<string>} tags - 话题标签（不含#）
+     * @param {string} [id] - 目标id
+     * @returns {string}
+     */
+    formatHashtags(tags, id) {
+        const target = id && this.targets[id];
+        const format = target ? target.hashtagFormat : '#{tag}';
+        return tags.map(tag => format.replace('{tag}', tag)).join(' ');
+    },
+
+    /**
+     * 替换文案模板中的占位符
+     * 不认识的占位符原样保留，值为空的占位符留下的多余空行会被合并
+     * @param {string} template - 文案模板
+     * @param {Object<string, string>} values - 占位符的值
+     * @returns {string}
+     */
+    renderTemplate(template, values) {
+        return template
+            .replace(/\{(\w+)\}/g, (match, key) => (key in this.placeholders ? values[key] || '' : match))
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    },
+
+    /**
+     * 按模板生成分享页面地址
+     * @param {Object} target - 目标定义
+     * @param {{title: string, text: string, url: string}} content - 分享内容
+     * @returns {string}
+     */
+    buildUrl(target, content) {
+        const values = { ...content, text: this.truncate(content.text, target.maxLength) };
+        return target.urlTemplate.replace(/\{(\w+)\}/g, (match, key) => encodeURIComponent(values[key] || ''));
+    },
+
+    /**
+     * 截断超出字数上限的文本，按字符而不是UTF-16码元计数
+     * @param {string} text - 文本
+     * @param {number} [maxLength] - 字数上限，不提供时不截断
+     * @returns {string}
+     */
+    truncate(text, maxLength) {
+        const chars = Array.from(text);
+        if (!maxLength || chars.length <= maxLength) {
+            return text;
+        }
+        return chars.slice(0, maxLength - 1).join('') + '…';
+    }
+};
+
+// 系统分享面板也作为一个选项，分享按钮之外还可以从分享选项中调用
+ShareTargets.register('native', {
+    label: '系统分享',
+    icon: 'M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z',
+    color: '#764ba2',
+    isAvailable: () => typeof navigator.share === 'function',
+    action: () => BlessingManager.share()
+});
+
+// 聊天应用没有网页分享接口：在应用内置浏览器中提示使用右上角菜单，否则复制文字并提示扫码
+ShareTargets.register('wechat', {
+    label: '微信',
+    icon: 'M8.5 12c-.83 0-1.5-.67-1.5-1.5S7.67 9 8.5 9s1.5.67 1.5 1.5-.67 1.5-1.5 1.5zm7 0c-.83 0-1.5-.67-1.5-1.5S14.67 9 15.5 9s1.5.67 1.5 1.5-.67 1.5-1.5 1.5zM12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8 0-1.85.63-3.55 1.69-4.9L16.9 18.31C15.55 19.37 13.85 20 12 20z',
+    color: '#07c160',
+    userAgentPattern: /MicroMessenger/i,
+    defaultTemplate: '{text}\n\n——来自{sender}\n{url}',
+    keepOpen: true,
+    action: target => BlessingManager.shareToChatApp(target)
+});
+
+ShareTargets.register('weibo', {
+    label: '微博',
+    icon: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z',
+    color: '#e6162d',
+    urlTemplate: 'https://service.weibo.com/share/share.php?url={url}&title={text}',
+    maxLength: 140,
+    defaultTemplate: '{text} {hashtags}',
+    // 微博话题两端都带#
+    hashtagFormat: '#{tag}#'
+});
+
+ShareTargets.register('qq', {
+    label: 'QQ',
+    icon: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm5 11h-4v4h-2v-4H7v-2h4V7h2v4h4v2z',
+    color: '#12b7f5',
+    urlTemplate: 'https://connect.qq.com/widget/shareqq/index.html?url={url}&title={title}&summary={text}',
+    maxLength: 200,
+    defaultTemplate: '{text}\n——来自{sender}'
+});
+
+ShareTargets.register('x', {
+    label: 'X',
+    icon: 'M18.9 2H22l-7.5 8.6L23 22h-6.9l-5.4-7-6.2 7H1.4l8-9.2L1 2h7l4.9 6.4L18.9 2zm-1.2 18h1.9L7.4 3.9H5.4L17.7 20z',
+    color: '#000000',
+    urlTemplate: 'https://twitter.com/intent/tweet?text={text}&url={url}',
+    // 280字上限中链接固定占23个字符，再留一个空格
+    maxLength: 256,
+    defaultTemplate: '{text}\n\n{hashtags}'
+});
+
+ShareTargets.register('telegram', {
+    label: 'Telegram',
+    icon: 'M9.8 15.5l-.4 5.3c.6 0 .8-.2 1.1-.5l2.6-2.5 5.4 4c1 .5 1.7.3 2-.9l3.6-17c.3-1.5-.5-2.1-1.5-1.7L1.4 9.6c-1.4.6-1.4 1.4-.2 1.7l5.4 1.7L19 5.2c.6-.4 1.1-.2.7.2L9.8 15.5z',
+    color: '#229ed9',
+    urlTemplate: 'https://t.me/share/url?url={url}&text={text}',
+    maxLength: 4096,
+    defaultTemplate: '{text}\n\n——来自{sender}\n{hashtags}'
+});
+
+ShareTargets.register('linkedin', {
+    label: 'LinkedIn',
+    icon: 'M19 3a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h14zM8.3 18.3V10H5.7v8.3h2.6zM7 8.8a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3zm11.3 9.5v-4.6c0-2.4-1.3-3.6-3-3.6-1.4 0-2 .8-2.3 1.3V10h-2.6v8.3H13v-4.4c0-1.2.2-2.3 1.7-2.3 1.4 0 1.4 1.3 1.4 2.4v4.3h2.2z',
+    color: '#0a66c2',
+    urlTemplate: 'https://www.linkedin.com/sharing/share-offsite/?url={url}',
+    // LinkedIn只分享链接并抓取页面内容，本地打开的页面无法被访问
+    isAvailable: () => /^https?:$/.test(window.location.protocol) && !/^(localhost|127\.0\.0\.1)$/.test(window.location.hostname)
+});
+
+ShareTargets.register('email', {
+    label: '邮件',
+    icon: 'M20 4H4c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 4l-8 5-8-5V6l8 5 8-5v2z',
+    color: '#ea4335',
+    urlTemplate: 'mailto:?subject={title}&body={text}',
+    popup: false,
+    defaultTemplate: '{text}\n\n——来自{sender}\n{date}\n\n{url}'
+});
+
+ShareTargets.register('dingtalk', {
+    label: '钉钉',
+    icon: 'M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z',
+    color: '#3296fa',
+    userAgentPattern: /DingTalk/i,
+    defaultTemplate: '{text}\n\n——来自{sender}\n{url}',
+    keepOpen: true,
+    action: target => BlessingManager.shareToChatApp(target)
+});
+
+ShareTargets.register('feishu', {
+    label: '飞书',
+    icon: 'M2.01 21L23 12 2.01 3 2 10l15 2-15 2z',
+    color: '#00d6b9',
+    userAgentPattern: /Lark|Feishu/i,
+    defaultTemplate: '{text}\n\n——来自{sender}\n{url}',
+    keepOpen: true,
+    action: target => BlessingManager.shareToChatApp(target)
+});
+
+ShareTargets.register('copy', {
+    label: '复制',
+    icon: 'M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z',
+    color: '#6c757d',
+    defaultTemplate: '{text}\n\n——来自{sender}\n{hashtags}\n\n链接：{url}',
+    action: () => BlessingManager.copyLink()
+});
+
+ShareTargets.register('image', {
+    label: '图片',
+    icon: 'M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z',
+    color: '#00a86b',
+    isAvailable: () => typeof HTMLCanvasElement !== 'undefined',
+    action: () => BlessingManager.shareCardImage()
+});
+
+ShareTargets.register('copy-image', {
+    label: '复制图片',
+    icon: 'M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm-9 13l2-2.5 1.5 2 2-3 3 3.5H10z',
+    color: '#00a86b',
+    isAvailable: () => typeof HTMLCanvasElement !== 'undefined',
+    action: () => BlessingManager.copyCardImage()
+});
+
+/**
+ * 祝福语搜索 - 倒排索引、模糊匹配、拼音全拼/首字母匹配和相关度排序
+ * 索引在加载祝福语时建立一次，查询时先从索引取候选，再逐条校验并计算匹配位置
+ * @namespace BlessingSearch
+ */
+const BlessingSearch = {
+    /** @type {Object<string, number>} 各种匹配方式的基础得分 */
+    scores: {
+        text: 100,
+        pinyin: 80,
+        initials: 70,
+        homophone: 60,
+        category: 50,
+        fuzzy: 40
+    },
+    /** @type {Map<string, Array<string>>|null} 汉字 -> 读音列表，首次使用时由 PINYIN_TABLE 构建 */
+    pinyinMap: null,
+    /** @type {Map<string, Object>} 祝福语id -> 已索引的搜索字段 */
+    documents: new Map(),
+    /**
+     * 倒排索引：词项 -> 祝福语id集合
+     * grams: 文本的单字和相邻两字（n-gram），用于子串匹配
+     * pinyin: 汉字首字母及相邻两字的首字母组合，用于拼音候选
+     * syllables: 汉字的完整读音，用于单字拼音和同音字候选
+     * words: 文本中的英文单词和数字，用于拼写容错
+     * categories: 分类名
+     * @type {Object<string, Map<string, Set<string>>>}
+     */
+    index: {
+        grams: new Map(),
+        pinyin: new Map(),
+        syllables: new Map(),
+        words: new Map(),
+        categories: new Map()
+    },
+    /** @type {number} 下一个文档的插入序号，相关度相同时按序号排列 */
+    nextOrder: 0,
+
+    /**
+     * 为全部祝福语重建索引
+     * @param {Array<Object>} blessings - 祝福语列表
+     */
+    buildIndex(blessings) {
+        this.documents = new Map();
+        Object.keys(this.index).forEach(field => {
+            this.index[field] = new Map();
+        });
+        this.nextOrder = 0;
+        blessings.forEach(blessing => this.add(blessing));
+    },
+
+    /**
+     * 将一条祝福语加入索引，已存在的同id祝福语会先被移除
+     * @param {Object} blessing - 祝福语记录
+     */
+    add(blessing) {
+        this.remove(blessing.id);
+        
+        const text = blessing.text.toLowerCase();
+        const doc = {
+            blessing,
+            order: this.nextOrder++,
+            text,
+            category: blessing.category.toLowerCase(),
+            // 与字符串下标一一对应，非汉字为空数组
+            readings: Array.from({ length: text.length }, (_, i) => this.getReadings(text[i])),
+            tokens: []
+        };
+        
+        const addToken = (field, token) => {
+            const postings = this.index[field];
+            if (!postings.has(token)) {
+                postings.set(token, new Set());
+            }
+            postings.get(token).add(blessing.id);
+            doc.tokens.push([field, token]);
+        };
+        
+        for (let i = 0; i < text.length; i++) {
+            addToken('grams', text[i]);
+            if (i + 1 < text.length) {
+                addToken('grams', text.slice(i, i + 2));
+            }
+            
+            const readings = doc.readings[i];
+            readings.forEach(syllable => {
+                addToken('syllables', syllable);
+                addToken('pinyin', syllable[0]);
+                (doc.readings[i + 1] || []).forEach(next => addToken('pinyin', syllable[0] + next[0]));
+            });
+        }
+        for (const word of text.matchAll(/[a-z0-9]+/g)) {
+            addToken('words', word[0]);
+        }
+        addToken('categories', doc.category);
+        
+        this.documents.set(blessing.id, doc);
+    },
+
+    /**
+     * 从索引中移除一条祝福语
+     * @param {string} id - 祝福语id
+     * @returns {boolean} 是否移除成功
+     */
+    remove(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return false;
+        
+        doc.tokens.forEach(([field, token]) => {
+            const postings = this.index[field].get(token);
+            if (!postings) return;
+            
+            postings.delete(id);
+            if (postings.size === 0) {
+                this.index[field].delete(token);
+            }
+        });
+        this.documents.delete(id);
+        return true;
+    },
+
+    /**
+     * 搜索祝福语，支持查询语法（见 parseQuery）
+     * @param {string} keyword - 查询语句
+     * @param {{isFavorite: Function, isSeen: Function}} [context] - is: 过滤条件所需的用户数据查询函数
+     * @returns {Array<{blessing: Object, score: number, matches: Array<Array<number>>}>} 按相关度排序的结果
+     */
+    search(keyword, context = {}) {
+        const best = new Map();
+        this.parseQuery(keyword).forEach(group => {
+            this.searchGroup(group, context).forEach(result => {
+                const existing = best.get(result.blessing.id);
+                if (!existing || result.score > existing.score) {
+                    best.set(result.blessing.id, result);
+                }
+            });
+        });
+        
+        return Array.from(best.values())
+            .sort((a, b) => b.score - a.score || a.first - b.first || a.order - b.order)
+            .map(({ blessing, score, matches }) => ({ blessing, score, matches }));
+    },
+
+    /**
+     * 解析查询语句
+     * - 空格分隔的词需要同时匹配，OR（或 |）分隔的几组条件满足任意一组即可
+     * - "短语" 或 “短语” 只做精确匹配
+     * - -词 排除包含该词的祝福语
+     * - category:分类 按分类筛选，可以只写分类名的一部分，-category: 排除分类
+     * - is:favorite / is:seen / is:unseen 按收藏和已读状态筛选，-is: 取反
+     * @param {string} keyword - 查询语句
+     * @returns {Array<Object>} 条件组 { terms, phrases, excludes, categories, excludedCategories, filters }
+     */
+    parseQuery(keyword) {
+        const groups = [this.createQueryGroup()];
+        const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|“([^”]*)”?|(\S+))/giu;
+        
+        for (const [, negate, field, quoted, cnQuoted, plain] of String(keyword || '').matchAll(tokenPattern)) {
+            const group = groups[groups.length - 1];
+            const isPhrase = quoted !== undefined || cnQuoted !== undefined;
+            if (!isPhrase && !negate && !field && (plain === 'OR' || plain === '|')) {
+                groups.push(this.createQueryGroup());
+                continue;
+            }
+            
+            const value = this.normalize(isPhrase ? (quoted !== undefined ? quoted : cnQuoted) : plain);
+            const fieldName = (field || '').toLowerCase();
+            if (!value) continue;
+            
+            if (fieldName === 'category') {
+                (negate ? group.excludedCategories : group.categories).push(value);
+            } else if (fieldName === 'is' && this.queryFilters[value]) {
+                group.filters.push({ name: value, negate: Boolean(negate) });
+            } else if (negate) {
+                group.excludes.push(fieldName ? `${fieldName}:${value}` : value);
+            } else if (isPhrase) {
+                group.phrases.push(value);
+            } else {
+                // 未知的字段按普通词处理，例如 https://
+                group.terms.push(fieldName ? `${fieldName}:${value}` : value);
+            }
+        }
+        
+        return groups.filter(group => Object.values(group).some(conditions => conditions.length > 0));
+    },
+
+    /**
+     * 创建空的查询条件组
+     * @returns {Object}
+     */
+    createQueryGroup() {
+        return { terms: [], phrases: [], excludes: [], categories: [], excludedCategories: [], filters: [] };
+    },
+
+    /**
+     * is: 过滤条件，context 由调用方提供
+     * @type {Object<string, Function>}
+     */
+    queryFilters: {
+        favorite: (id, context) => Boolean(context.isFavorite && context.isFavorite(id)),
+        seen: (id, context) => Boolean(context.isSeen && context.isSeen(id)),
+        unseen: (id, context) => !(context.isSeen && context.isSeen(id))
+    },
+
+    /**
+     * 搜索一组条件
+     * @param {Object} group - 条件组
+     * @param {Object} context - is: 过滤条件所需的查询函数
+     * @returns {Array<Object>} 未排序的匹配结果
+     */
+    searchGroup(group, context) {
+        // "cheng xu yuan" 这样带空格的拼音先按一个词匹配，没有结果再逐词匹配
+        if (group.terms.length > 1 && group.terms.every(term => /^[a-z']+$/.test(term))) {
+            const joined = { ...group, terms: [group.terms.join('').replace(/'/g, '')] };
+            const results = this.matchAll(joined, context);
+            if (results.length > 0) return results;
+        }
+        return this.matchAll(group, context);
+    },
+
+    /**
+     * 找出满足一组条件的祝福语：先用索引求候选集合的交集，再逐条校验
+     * @param {Object} group - 条件组
+     * @param {Object} context - is: 过滤条件所需的查询函数
+     * @returns {Array<Object>} 未排序的匹配结果
+     */
+    matchAll(group, context) {
+        const candidateSets = [
+            ...group.terms.map(term => this.getCandidates(term)),
+            ...group.phrases.map(phrase => this.getSubstringCandidates(phrase))
+        ];
+        // 只有筛选条件时从全部祝福语中筛选
+        const candidates = candidateSets.length > 0
+            ? this.intersect(candidateSets)
+            : new Set(this.documents.keys());
+        
+        const results = [];
+        candidates.forEach(id => {
+            const doc = this.documents.get(id);
+            if (!this.passesFilters(doc, group, context)) return;
+            
+            const match = this.matchTerms(doc, group.terms, group.phrases);
+            if (match) {
+                results.push({ blessing: doc.blessing, order: doc.order, ...match });
+            }
+        });
+        return results;
+    },
+
+    /**
+     * 检查分类、排除词和 is: 条件
+     * @param {Object} doc - 搜索字段
+     * @param {Object} group - 条件组
+     * @param {Object} context - is: 过滤条件所需的查询函数
+     * @returns {boolean}
+     */
+    passesFilters(doc, group, context) {
+        const { categories, excludedCategories, excludes, filters } = group;
+        if (categories.length > 0 && !categories.some(category => doc.category.includes(category))) {
+            return false;
+        }
+        if (excludedCategories.some(category => doc.category.includes(category))) {
+            return false;
+        }
+        // 排除词只做精确匹配，避免误伤拼音或容错匹配到的结果
+        if (excludes.some(term => doc.text.includes(term))) {
+            return false;
+        }
+        return filters.every(({ name, negate }) => this.queryFilters[name](doc.blessing.id, context) !== negate);
+    },
+
+    /**
+     * 从索引中取出包含某段文本的祝福语id（由相邻两字的交集得出，需再校验）
+     * @param {string} text - 文本
+     * @returns {Set<string>}
+     */
+    getSubstringCandidates(text) {
+        const gramKeys = text.length === 1
+            ? [text]
+            : Array.from({ length: text.length - 1 }, (_, i) => text.slice(i, i + 2));
+        return this.intersect(gramKeys.map(key => this.index.grams.get(key)));
+    },
+
+    /**
+     * 从索引中取出可能匹配某个词的祝福语id（只会多不会少，由matchTerm校验）
+     * @param {string} term - 单个关键词
+     * @returns {Set<string>}
+     */
+    getCandidates(term) {
+        const candidates = new Set();
+        const addAll = ids => ids && ids.forEach(id => candidates.add(id));
+        const { grams, pinyin, syllables, words, categories } = this.index;
+        
+        addAll(this.getSubstringCandidates(term));
+        
+        // 拼音：第一个字消耗的字母可能是完整读音、声母或首字母，第二个字的首字母随之确定
+        if (/^[a-z']+$/.test(term) && term.replace(/'/g, '').length >= 2) {
+            const letters = term.replace(/'/g, '');
+            for (let length = 1; length <= Math.min(6, letters.length); length++) {
+                const head = letters.slice(0, length);
+                const isHead = length === 1 || /^[zcs]h$/.test(head) || syllables.has(head);
+                if (!isHead) continue;
+                
+                if (length < letters.length) {
+                    addAll(pinyin.get(letters[0] + letters[length]));
+                }
+            }
+            // 整个关键词落在一个字上，例如完整读音或输入到一半的读音
+            syllables.forEach((ids, syllable) => {
+                if (syllable.startsWith(letters)) addAll(ids);
+            });
+        }
+        
+        // 同音字：每个字的任一读音都要出现
+        if (term.length >= 2 && /\p{Script=Han}/u.test(term)) {
+            addAll(this.intersect(Array.from(term, char => {
+                const readings = this.getReadings(char);
+                if (readings.length === 0) return grams.get(char);
+                
+                const ids = new Set();
+                readings.forEach(syllable => (syllables.get(syllable) || []).forEach(id => ids.add(id)));
+                return ids;
+            })));
+        }
+        
+        categories.forEach((ids, category) => {
+            if (category.includes(term)) addAll(ids);
+        });
+        
+        // 容错：相近的英文单词，或四个字以上的中文最多错一个字（三个字错一个字时几乎能匹配所有祝福语）
+        if (/^[a-z0-9]+$/.test(term)) {
+            if (term.length >= 4) {
+                const maxDistance = term.length >= 8 ? 2 : 1;
+                words.forEach((ids, word) => {
+                    if (this.editDistance(term, word, maxDistance) <= maxDistance) addAll(ids);
+                });
+            }
+        } else if (term.length >= 4) {
+            const counts = new Map();
+            new Set(term).forEach(char => {
+                (grams.get(char) || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+            });
+            counts.forEach((count, id) => {
+                if (count >= new Set(term).size - 1) candidates.add(id);
+            });
+        }
+        
+        return candidates;
+    },
+
+    /**
+     * 求多个id集合的交集
+     * @param {Array<Set<string>|undefined>} sets - id集合，缺失的集合视为空集
+     * @returns {Set<string>}
+     */
+    intersect(sets) {
+        if (sets.length === 0 || sets.some(set => !set)) return new Set();
+        
+        const [smallest, ...rest] = sets.slice().sort((a, b) => a.size - b.size);
+        return new Set([...smallest].filter(id => rest.every(set => set.has(id))));
+    },
+
+    /**
+     * 统一关键词格式：小写、去掉首尾空白、合并连续空白
+     * @param {string} keyword - 原始关键词
+     * @returns {string}
+     */
+    normalize(keyword) {
+        return String(keyword || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    },
+
+    /**
+     * 获取汉字的全部读音
+     * @param {string} char - 单个字符
+     * @returns {Array<string>} 不带声调的读音，非汉字或未收录时为空数组
+     */
+    getReadings(char) {
+        if (!this.pinyinMap) {
+            this.pinyinMap = new Map();
+            if (typeof PINYIN_TABLE !== 'undefined') {
+                Object.entries(PINYIN_TABLE).forEach(([syllable, chars]) => {
+                    for (const han of chars) {
+                        if (!this.pinyinMap.has(han)) {
+                            this.pinyinMap.set(han, []);
+                        }
+                        this.pinyinMap.get(han).push(syllable);
+                    }
+                });
+            } else {
+                console.warn('⚠️ 拼音表未加载，拼音搜索不可用');
+            }
+        }
+        return this.pinyinMap.get(char) || [];
+    },
+
+    /**
+     * 匹配全部关键词和短语，得分取平均值，匹配位置合并
+     * @param {Object} doc - 搜索字段
+     * @param {Array<string>} terms - 关键词列表
+     * @param {Array<string>} [phrases] - 只做精确匹配的短语
+     * @returns {{score: number, first: number, matches: Array<Array<number>>}|null}
+     */
+    matchTerms(doc, terms, phrases = []) {
+        let total = 0;
+        const matches = [];
+        for (const term of terms) {
+            const result = this.matchTerm(doc, term);
+            if (!result) return null;
+            
+            total += result.score;
+            matches.push(...result.matches);
+        }
+        for (const phrase of phrases) {
+            const index = doc.text.indexOf(phrase);
+            if (index === -1) return null;
+            
+            const result = this.scored('text', index, [[index, index + phrase.length]]);
+            total += result.score;
+            matches.push(...result.matches);
+        }
+        
+        const spans = this.mergeSpans(matches);
+        const count = terms.length + phrases.length;
+        return {
+            score: count > 0 ? total / count : 0,
+            first: spans.length ? spans[0][0] : Infinity,
+            matches: spans
+        };
+    },
+
+    /**
+     * 按得分从高到低尝试各种匹配方式，返回第一个成功的
+     * @param {Object} doc - 搜索字段
+     * @param {string} term - 单个关键词
+     * @returns {{score: number, matches: Array<Array<number>>}|null}
+     */
+    matchTerm(doc, term) {
+        const index = doc.text.indexOf(term);
+        if (index !== -1) {
+            return this.scored('text', index, [[index, index + term.length]]);
+        }
+        
+        if (/^[a-z']+$/.test(term)) {
+            const pinyin = this.matchPinyin(doc.readings, term.replace(/'/g, ''));
+            if (pinyin) {
+                return this.scored(pinyin.abbreviated ? 'initials' : 'pinyin', pinyin.start, [[pinyin.start, pinyin.end]]);
+            }
+        }
+        
+        const homophone = this.matchHomophone(doc, term);
+        if (homophone) {
+            return this.scored('homophone', homophone[0], [homophone]);
+        }
+        
+        if (doc.category.includes(term)) {
+            return { score: this.scores.category, matches: [] };
+        }
+        
+        const fuzzy = this.matchFuzzy(doc, term);
+        if (fuzzy) {
+            return this.scored('fuzzy', fuzzy.span[0], [fuzzy.span], fuzzy.distance);
+        }
+        
+        return null;
+    },
+
+    /**
+     * 计算得分：越靠前、编辑距离越小得分越高
+     * @param {string} type - 匹配方式
+     * @param {number} position - 匹配起始位置
+     * @param {Array<Array<number>>} matches - 匹配位置
+     * @param {number} [distance=0] - 编辑距离
+     * @returns {{score: number, matches: Array<Array<number>>}}
+     */
+    scored(type, position, matches, distance = 0) {
+        return {
+            score: this.scores[type] - Math.min(position, 20) * 0.5 - distance * 10,
+            matches
+        };
+    },
+
+    /**
+     * 拼音匹配：每个汉字可以用全拼或声母/首字母，最后一个字允许只输入部分拼音
+     * @param {Array<Array<string>>} readings - 每个字符的读音
+     * @param {string} letters - 纯字母关键词
+     * @returns {{start: number, end: number, abbreviated: boolean}|null} 优先返回全拼匹配
+     */
+    matchPinyin(readings, letters) {
+        if (letters.length < 2) return null;
+        
+        let abbreviatedMatch = null;
+        for (let start = 0; start < readings.length; start++) {
+            if (readings[start].length === 0) continue;
+            
+            const result = this.matchPinyinFrom(readings, letters, start, 0);
+            if (!result) continue;
+            
+            const match = { start, end: result.end, abbreviated: result.abbreviated };
+            if (!match.abbreviated) {
+                return match;
+            }
+            abbreviatedMatch = abbreviatedMatch || match;
+        }
+        return abbreviatedMatch;
+    },
+
+    /**
+     * 从指定字符开始递归匹配剩余字母
+     * @param {Array<Array<string>>} readings - 每个字符的读音
+     * @param {string} letters - 纯字母关键词
+     * @param {number} index - 当前字符下标
+     * @param {number} offset - 已匹配的字母数
+     * @returns {{end: number, abbreviated: boolean}|null}
+     */
+    matchPinyinFrom(readings, letters, index, offset) {
+        if (offset === letters.length) {
+            return { end: index, abbreviated: false };
+        }
+        if (index >= readings.length || readings[index].length === 0) {
+            return null;
+        }
+        
+        const rest = letters.slice(offset);
+        let abbreviated = null;
+        for (const syllable of readings[index]) {
+            if (rest.startsWith(syllable)) {
+                const result = this.matchPinyinFrom(readings, letters, index + 1, offset + syllable.length);
+                if (result && !result.abbreviated) return result;
+                abbreviated = abbreviated || result;
+            }
+            
+            // 最后一个字只输入了部分拼音
+            if (syllable.startsWith(rest) && rest.length < syllable.length) {
+                abbreviated = abbreviated || { end: index + 1, abbreviated: rest.length === 1 };
+            }
+            
+            // 声母（zh/ch/sh）或首字母
+            const initials = new Set([syllable[0], syllable.match(/^[zcs]h/) ? syllable.slice(0, 2) : syllable[0]]);
+            for (const initial of initials) {
+                if (initial !== syllable && rest.startsWith(initial)) {
+                    const result = this.matchPinyinFrom(readings, letters, index + 1, offset + initial.length);
+                    if (result) {
+                        abbreviated = abbreviated || { end: result.end, abbreviated: true };
+                    }
+                }
+            }
+        }
+        return abbreviated;
+    },
+
+    /**
+     * 同音字匹配，例如"递规"可以找到"递归"
+     * @param {Object} doc - 搜索字段
+     * @param {string} term - 含汉字的关键词
+     * @returns {Array<number>|null} 匹配位置 [start, end]
+     */
+    matchHomophone(doc, term) {
+        if (term.length < 2 || !/\p{Script=Han}/u.test(term)) return null;
+        
+        const termReadings = Array.from(term, char => this.getReadings(char));
+        for (let start = 0; start + term.length <= doc.text.length; start++) {
+            const matched = termReadings.every((readings, i) => {
+                const char = doc.text[start + i];
+                return char === term[i] || readings.some(syllable => doc.readings[start + i].includes(syllable));
+            });
+            if (matched) {
+                return [start, start + term.length];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * 容错匹配：英文单词允许少量拼写错误，四个字以上的中文允许错一个字
+     * @param {Object} doc - 搜索字段
+     * @param {string} term - 关键词
+     * @returns {{span: Array<number>, distance: number}|null}
+     */
+    matchFuzzy(doc, term) {
+        if (/^[a-z0-9]+$/.test(term)) {
+            if (term.length < 4) return null;
+            
+            const maxDistance = term.length >= 8 ? 2 : 1;
+            let best = null;
+            for (const word of doc.text.matchAll(/[a-z0-9]+/g)) {
+                const distance = this.editDistance(term, word[0], maxDistance);
+                if (distance <= maxDistance && (!best || distance < best.distance)) {
+                    best = { span: [word.index, word.index + word[0].length], distance };
+                }
+            }
+            return best;
+        }
+        
+        if (term.length < 4) return null;
+        
+        for (let start = 0; start + term.length <= doc.text.length; start++) {
+            let mismatches = 0;
+            for (let i = 0; i < term.length && mismatches <= 1; i++) {
+                if (doc.text[start + i] !== term[i]) mismatches++;
+            }
+            if (mismatches <= 1) {
+                return { span: [start, start + term.length], distance: mismatches };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * 计算编辑距离，超过上限时提前返回
+     * @param {string} a - 字符串a
+     * @param {string} b - 字符串b
+     * @param {number} max - 距离上限
+     * @returns {number} 编辑距离，超过上限时返回 max + 1
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    /**
+     * 合并重叠或相邻的匹配位置
+     * @param {Array<Array<number>>} spans - 匹配位置列表
+     * @returns {Array<Array<number>>} 按起点排序的不重叠区间
+     */
+    mergeSpans(spans) {
+        const sorted = spans.slice().sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        sorted.forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+        return merged;
+    }
+};
+
+/**
+ * 随机数来源 - 未设置种子时使用 Math.random，设置种子后使用可复现的 mulberry32 序列
+ * 相同的种子从相同的进度开始，会抽到相同顺序的祝福语
+ * @namespace RandomSource
+ */
+const RandomSource = {
+    /** @type {string|null} 当前种子，null表示不可复现的随机 */
+    seed: null,
+    /** @type {number} mulberry32 的内部状态 */
+    state: 0,
+
+    /**
+     * 设置种子并重置序列
+     * @param {string|null} seed - 种子，空字符串或null恢复为 Math.random
+     */
+    setSeed(seed) {
+        this.seed = seed === null || seed === undefined || String(seed).trim() === '' ? null : String(seed).trim();
+        this.state = this.seed === null ? 0 : this.hashString(this.seed);
+    },
+
+    /**
+     * 返回 [0, 1) 之间的随机数
+     * @returns {number}
+     */
+    next() {
+        if (this.seed === null) {
+            return Math.random();
+        }
+        
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * 返回 [0, max) 之间的随机整数
+     * @param {number} max - 上限（不含）
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    },
+
+    /**
+     * 按权重随机选取一项，权重均不大于0时等概率选取
+     * @param {Array} items - 候选项
+     * @param {Function} getWeight - 返回每一项的权重
+     * @returns {*} 选中的项，候选为空时返回null
+     */
+    pickWeighted(items, getWeight) {
+        if (items.length === 0) return null;
+        
+        const weights = items.map(item => Math.max(0, getWeight(item)));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) {
+            return items[this.nextInt(items.length)];
+        }
+        
+        let remaining = this.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            remaining -= weights[i];
+            if (remaining < 0 && weights[i] > 0) {
+                return items[i];
+            }
+        }
+        // 浮点误差时返回最后一个权重大于0的项
+        return items[weights.map(weight => weight > 0).lastIndexOf(true)];
+    },
+
+    /**
+     * 把字符串种子转换为32位整数（FNV-1a）
+     * @param {string} text - 种子
+     * @returns {number}
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+};
+
+/**
+ * Hash路由 - 负责地址栏hash与页面视图之间的转换
+ * 支持 #/b/<id>（指定祝福语）、#/c/<分类>（分类视图）和 #/s/<关键词>（搜索视图），其余都视为首页
+ * @namespace HashRouter
+ */
+const HashRouter = {
+    /** @type {Object<string, string>} 路由类型对应的路径前缀 */
+    prefixes: {
+        blessing: 'b',
+        category: 'c',
+        search: 's'
+    },
+
+    /**
+     * 解析hash
+     * @param {string} hash - 形如 #/b/festival-0001 的hash
+     * @returns {{type: string, value?: string}} 路由，无法识别时为首页
+     */
+    parse(hash) {
+        const match = /^#\/([a-z])\/(.+)$/.exec(hash || '');
+        const type = match && Object.keys(this.prefixes).find(key => this.prefixes[key] === match[1]);
+        if (!type) {
+            return { type: 'home' };
+        }
+        
+        try {
+            return { type, value: decodeURIComponent(match[2]) };
+        } catch (error) {
+            // 手工修改的链接可能带有不完整的转义序列
+            return { type: 'home' };
+        }
+    },
+
+    /**
+     * 生成hash
+     * @param {{type: string, value?: string}} route - 路由
+     * @returns {string} hash，首页为 #/
+     */
+    format(route) {
+        const prefix = this.prefixes[route.type];
+        return prefix && route.value ? `#/${prefix}/${encodeURIComponent(route.value)}` : '#/';
+    },
+
+    /**
+     * 生成指向某个路由的完整链接
+     * @param {{type: string, value?: string}} route - 路由
+     * @returns {string} 链接
+     */
+    buildUrl(route) {
+        return window.location.href.split('#')[0] + this.format(route);
+    }
+};
+
+/**
+ * 祝福语管理器 - 负责管理祝福语的显示、搜索、存储等功能
+ * @namespace BlessingManager
+ */
+const BlessingManager = {
+    /** @type {Set<string>} 已显示的祝福语id集合 */
+    displayedBlessings: new Set(),
+    /** @type {Object|null} 当前显示的祝福语对象 */
+    currentBlessing: null,
+    /** @type {Array<Object>} 缓存所有祝福语记录 */
+    allBlessings: [],
+    /** @type {Map<string, Object>} 祝福语id到记录的索引 */
+    blessingMap: new Map(),
+    /** @type {Array<Object>} 当前已加载的祝福语 */
+    loadedBlessings: [],
+    /** @type {number} 每页加载数量 */
+    pageSize: 50,
+    /** @type {number} 当前页数 */
+    currentPage: 0,
+    /** @type {string} 进度存储键名 */
+    storageKey: 'blessing_progress',
+    /** @type {Map<string, Object>} 收藏条目，键为祝福语id，值为 { blessingId, addedAt, note, tags, collectionIds } */
+    favorites: new Map(),
+    /** @type {Array<Object>} 收藏夹列表 { id, name, createdAt } */
+    favoriteCollections: [],
+    /** @type {{collectionId: string, tag: string, category: string, query: string}} 收藏列表的筛选条件 */
+    favoriteFilter: { collectionId: '', tag: '', category: '', query: '' },
+    /** @type {string} 收藏列表排序方式 */
+    favoriteSort: 'added-desc',
+    /** @type {number} 收藏列表每次渲染的条数 */
+    favoritesPageSize: 100,
+    /** @type {number} 收藏列表当前渲染的条数 */
+    favoritesVisibleCount: 100,
+    /** @type {Array<string>} 迁移时无法匹配祝福语的旧收藏，原样保留 */
+    unresolvedFavorites: [],
+    /** @type {string} 收藏存储键名 */
+    favoritesStorageKey: 'blessing_favorites',
+    /** @type {boolean} 收藏功能是否启用 */
+    favoriteEnabled: true,
+    /** @type {string} 收藏设置存储键名 */
+    favoriteSettingsKey: 'favorite_settings',
+    /** @type {boolean} 分享功能是否启用 */
+    shareEnabled: true,
+    /** @type {string} 分享设置存储键名 */
+    shareSettingsKey: 'share_settings',
+    /** @type {string} 分享时使用的标题（系统分享面板、邮件主题等） */
+    shareTitle: '1024程序员节祝福',
+    /** @type {Object<string, string>} 用户自定义的分享文案模板，键为分享目标id，default为通用模板 */
+    shareTemplates: {},
+    /** @type {string} 分享文案中的署名，为空时使用默认署名 */
+    shareSenderName: '',
+    /** @type {string} 默认署名 */
+    defaultShareSenderName: '1024程序员节',
+    /** @type {Array<string>} 分享文案中的话题标签（不含#） */
+    shareHashtags: ['1024程序员节', '程序员祝福'],
+    /** @type {string} 进度设置存储键名 */
+    progressSettingsKey: 'progress_settings',
+    /** @type {string} 往季进度存档存储键名 */
+    progressArchiveKey: 'progress_archive',
+    /** @type {number} 进度过期天数，0表示永不过期 */
+    progressExpiryDays: 7,
+    /** @type {Array<number>} 可选的进度过期天数 */
+    progressExpiryOptions: [7, 30, 90, 365, 0],
+    /** @type {Set<string>} 随机抽取时限定的分类，为空表示全部分类 */
+    selectedCategories: new Set(),
+    /** @type {Set<string>|null} 通过分类链接临时切换分类时，保存的原有分类选择；null表示没有临时切换 */
+    savedCategories: null,
+    /** @type {string} 抽取方式：uniform 均匀随机，favor-unseen 优先未看完的分类 */
+    selectionMode: 'uniform',
+    /** @type {Array<string>} 可选的抽取方式 */
+    selectionModes: ['uniform', 'favor-unseen'],
+    /** @type {Object<string, number>} 分类权重，未设置的分类为1 */
+    categoryWeights: {},
+    /** @type {Array<number>} 可选的分类权重 */
+    categoryWeightOptions: [0.5, 1, 2, 3],
+    /** @type {string} 随机种子，空字符串表示不可复现的随机 */
+    randomSeed: '',
+    /** @type {string|null} 通过URL参数临时使用种子时，保存的原有种子；null表示没有临时种子 */
+    savedSeed: null,
+    /** @type {string} 每日祝福卡片当前显示的日期（YYYY-MM-DD） */
+    dailyBlessingDate: '',
+    /** @type {string} 1024程序员节特别祝福池使用的标签 */
+    specialDayTag: '1024',
+    /** @type {string} 当前视图对应的hash，用于忽略由自身改动触发的hashchange */
+    currentRouteHash: '#/',
+    /** @type {Object|null} 等待用户确认导入方式的备份 */
+    pendingImport: null,
+    /** @type {string} 收藏回收站存储键名 */
+    favoritesTrashKey: 'favorites_trash',
+    /** @type {Array<Object>} 回收站中的收藏，比收藏条目多一个 deletedAt 字段 */
+    favoritesTrash: [],
+    /** @type {number} 回收站保留天数 */
+    trashRetentionDays: 30,
+    /** @type {Array<number>} 可选的回收站保留天数 */
+    trashRetentionOptions: [1, 7, 30, 90],
+    /** @type {number} 撤销提示的显示时长（毫秒） */
+    undoMessageDuration: 6000,
+    /** @type {string} 搜索历史存储键名 */
+    searchHistoryKey: 'search_history',
+    /** @type {Array<{query: string, searchedAt: number}>} 最近搜索，最新的在前 */
+    recentSearches: [],
+    /** @type {Array<{query: string, savedAt: number}>} 固定保存的搜索 */
+    savedSearches: [],
+    /** @type {number} 最多保留的最近搜索条数 */
+    maxRecentSearches: 10,
+    /** @type {number} 搜索结果每次渲染的条数 */
+    searchResultsPageSize: 30,
+    /** @type {{results: Array<Object>, keyword: string, rendered: number}} 当前搜索结果及已渲染条数 */
+    searchResultsState: { results: [], keyword: '', rendered: 0 },
+    
+    /**
+     * 初始化祝福语管理器
+     * 加载数据、设置事件监听器、恢复用户进度
+     */
+    /**
+     * 初始化页面管理器
+     * 设置时间显示、粒子效果等
+     */
+    async init() {
+        StorageManager.onError((errorType, error) => this.handleStorageError(errorType, error));
+        await StorageManager.init();
+        this.loadAllBlessings();
+        this.runMigrations(); // 升级旧版本数据
+        this.loadProgressSettings(); // 加载进度设置
+        this.initializeRandomSource(); // 应用随机种子
+        this.loadProgress(); // 加载进度
+        this.loadFavorites(); // 加载收藏数据
+        this.loadFavoriteSettings(); // 加载收藏设置
+        this.loadFavoritesTrash(); // 加载收藏回收站
+        this.loadShareSettings(); // 加载分享设置
+        this.loadSearchHistory(); // 加载搜索历史
+        this.loadNextPage();
+        this.updateCounter();
+        this.setupEventListeners();
+        this.setupSearchResultsNavigation();
+        this.initializeShareControl(); // 初始化分享控制
+        this.initializeShareTemplateEditor(); // 初始化分享文案模板
+        this.initializeFavoriteFeature(); // 初始化收藏功能
+        this.initializeFavoriteControl(); // 初始化收藏控制
+        this.initializeSeasonArchive(); // 初始化往季记录
+        this.initializeFavoritesTrash(); // 初始化收藏回收站
+        this.initializeSearchHistory(); // 初始化搜索历史
+        this.initializeCategoryPicker(); // 初始化分类选择器
+        this.initializeDrawSettings(); // 初始化抽取设置
+        this.initializeDailyBlessing(); // 初始化每日祝福
+        this.initializeBackupFeature(); // 初始化数据备份
+        this.initializeRouter(); // 按链接中的hash打开对应视图
+        this.checkUserGuideVisibility(); // 检查用户指引显示状态
+        this.showFirstTimeGuide(); // 显示首次使用引导
+        PageManager.init();
+        console.log('BlessingManager initialized with accessibility, favorite features and user guide');
+    },
+    
+    /**
+     * 保存用户进度
+     * 包括已显示的祝福语、当前页数、点击次数等，写入失败由StorageManager上报
+     */
+    saveProgress() {
+        StorageManager.set(this.storageKey, this.getProgressSnapshot());
+        console.log('💾 进度已保存');
+    },
+
+    /**
+     * 获取当前进度的快照
+     * @returns {Object} 可直接保存的进度数据
+     */
+    getProgressSnapshot() {
+        return {
+            version: MigrationManager.getLatestVersion(this.storageKey),
+            displayedBlessings: Array.from(this.displayedBlessings),
+            currentPage: this.currentPage,
+            clickCount: PageManager.clickCount,
+            timestamp: Date.now()
+        };
+    },
+    
+    /**
+     * 加载用户进度
+     * 恢复已显示的祝福语、当前页数、点击次数等
+     */
+    loadProgress() {
+        try {
+            const progress = StorageManager.get(this.storageKey);
+            if (progress) {
+                // 验证数据格式
+                if (typeof progress !== 'object') {
+                    throw new Error('进度数据格式无效');
+                }
+                
+                // 过期的进度存入往季记录，而不是直接删除
+                if (this.isProgressExpired(progress)) {
+                    const season = this.archiveProgress(progress);
+                    this.clearProgress();
+                    console.log('📅 保存的进度已过期，已存入往季记录，开始新的旅程');
+                    if (season) {
+                        this.showTemporaryMessage(`上次的进度已存入往季记录：${season.label}`, 'info');
+                    }
+                    return;
+                }
+                
+                // 恢复进度（忽略已不存在的祝福语）
+                this.displayedBlessings = new Set(
+                    (progress.displayedBlessings || []).filter(id => this.blessingMap.has(id))
+                );
+                this.currentPage = progress.currentPage || 0;
+                PageManager.clickCount = progress.clickCount || 0;
+                
+                console.log(`🔄 已恢复进度: ${this.displayedBlessings.size} 条祝福语已收集`);
+            }
+        } catch (error) {
+            console.warn('⚠️ 加载进度失败:', error);
+            this.handleStorageError('LOAD_FAILED', error);
+            // 保留一份备份再重新开始，避免用户数据被直接丢弃
+            MigrationManager.backupPayload(this.storageKey, StorageManager.get(this.storageKey));
+            this.clearProgress();
+        }
+    },
+
+    /**
+     * 执行数据迁移，并在有数据被升级或备份时提示用户
+     */
+    runMigrations() {
+        const report = MigrationManager.run({
+            blessings: this.allBlessings,
+            blessingMap: this.blessingMap
+        });
+        
+        if (report.errors.length > 0) {
+            this.showTemporaryMessage(`有 ${report.errors.length} 项数据无法升级，已保留备份`, 'warning');
+        } else if (report.changes.length > 0) {
+            console.log(`🔧 已升级 ${report.changes.length} 项本地数据到新版本`);
+        }
+    },
+
+    /**
+     * 加载进度设置
+     */
+    loadProgressSettings() {
+        const settings = StorageManager.get(this.progressSettingsKey);
+        if (settings && Number.isFinite(settings.expiryDays) && settings.expiryDays >= 0) {
+            this.progressExpiryDays = settings.expiryDays;
+        }
+        
+        // 忽略数据集中已不存在的分类
+        const categories = new Set(this.getCategoryStats().map(stat => stat.category));
+        this.savedCategories = null;
+        this.selectedCategories = new Set(
+            (settings && Array.isArray(settings.categories) ? settings.categories : [])
+                .filter(category => categories.has(category))
+        );
+        
+        this.selectionMode = settings && this.selectionModes.includes(settings.selectionMode)
+            ? settings.selectionMode
+            : 'uniform';
+        this.categoryWeights = {};
+        Object.entries((settings && settings.categoryWeights) || {}).forEach(([category, weight]) => {
+            if (categories.has(category) && this.categoryWeightOptions.includes(weight)) {
+                this.categoryWeights[category] = weight;
+            }
+        });
+        this.savedSeed = null;
+        this.randomSeed = settings && typeof settings.seed === 'string' ? settings.seed : '';
+    },
+
+    /**
+     * 保存进度设置
+     */
+    saveProgressSettings() {
+        const settings = {
+            version: MigrationManager.getLatestVersion(this.progressSettingsKey),
+            expiryDays: this.progressExpiryDays,
+            // 分类链接只在本次访问中生效，不覆盖用户保存的选择
+            categories: Array.from(this.savedCategories || this.selectedCategories),
+            selectionMode: this.selectionMode,
+            categoryWeights: this.categoryWeights,
+            // URL参数中的种子同样只在本次访问中生效
+            seed: this.savedSeed !== null ? this.savedSeed : this.randomSeed,
+            timestamp: Date.now()
+        };
+        StorageManager.set(this.progressSettingsKey, settings);
+        console.log('💾 进度设置已保存');
+    },
+
+    /**
+     * 判断进度是否已过期
+     * @param {Object} progress - 已保存的进度
+     * @returns {boolean} 是否过期（过期天数为0时永不过期）
+     */
+    isProgressExpired(progress) {
+        if (!this.progressExpiryDays || !progress.timestamp) {
+            return false;
+        }
+        const daysPassed = (Date.now() - progress.timestamp) / (1000 * 60 * 60 * 24);
+        return daysPassed > this.progressExpiryDays;
+    },
+
+    /**
+     * 获取往季进度存档
+     * @returns {Array<Object>} 按存档时间从新到旧排列的赛季列表
+     */
+    getArchivedSeasons() {
+        const archive = StorageManager.get(this.progressArchiveKey);
+        const seasons = archive && Array.isArray(archive.seasons) ? archive.seasons : [];
+        return seasons.slice().sort((a, b) => b.archivedAt - a.archivedAt);
+    },
+
+    /**
+     * 保存往季进度存档
+     * @param {Array<Object>} seasons - 赛季列表
+     */
+    saveArchivedSeasons(seasons) {
+        StorageManager.set(this.progressArchiveKey, {
+            version: MigrationManager.getLatestVersion(this.progressArchiveKey),
+            seasons,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * 将一份进度存为往季记录
+     * @param {Object} progress - 进度数据
+     * @returns {Object|null} 新建的赛季记录，进度为空时返回null
+     */
+    archiveProgress(progress) {
+        const displayed = Array.isArray(progress.displayedBlessings) ? progress.displayedBlessings : [];
+        if (displayed.length === 0) {
+            return null;
+        }
+        
+        const lastActiveAt = progress.timestamp || Date.now();
+        const lastActiveDate = new Date(lastActiveAt);
+        const season = {
+            id: `season-${Date.now().toString(36)}`,
+            label: `${lastActiveDate.getFullYear()}年${lastActiveDate.getMonth() + 1}月的进度`,
+            displayedBlessings: displayed,
+            clickCount: progress.clickCount || 0,
+            lastActiveAt,
+            archivedAt: Date.now()
+        };
+        
+        this.saveArchivedSeasons([...this.getArchivedSeasons(), season]);
+        console.log(`🗄️ 进度已存档: ${season.label}，共 ${displayed.length} 条`);
+        return season;
+    },
+
+    /**
+     * 恢复一个往季进度
+     * 当前进度不为空时会先存入往季记录，确保不会丢失
+     * @param {string} seasonId - 赛季id
+     */
+    restoreSeason(seasonId) {
+        const seasons = this.getArchivedSeasons();
+        const season = seasons.find(item => item.id === seasonId);
+        if (!season) return;
+        
+        if (!confirm(`确定要恢复"${season.label}"吗？当前进度将存入往季记录。`)) {
+            return;
+        }
+        
+        this.saveArchivedSeasons(seasons.filter(item => item.id !== seasonId));
+        this.archiveProgress(this.getProgressSnapshot());
+        
+        this.displayedBlessings = new Set(
+            season.displayedBlessings.filter(id => this.blessingMap.has(id))
+        );
+        PageManager.clickCount = season.clickCount || 0;
+        document.getElementById('clickCount').textContent = PageManager.clickCount;
+        
+        this.saveProgress();
+        this.updateCounter();
+        this.updateSeasonsList();
+        
+        const message = `已恢复"${season.label}"，共 ${this.displayedBlessings.size} 条祝福语`;
+        this.showTemporaryMessage(message, 'success');
+        this.announceToScreenReader(message);
+    },
+
+    /**
+     * 初始化往季记录面板
+     */
+    initializeSeasonArchive() {
+        const viewSeasonsBtn = document.getElementById('viewSeasonsBtn');
+        const expirySelect = document.getElementById('progressExpirySelect');
+        const seasonsList = document.getElementById('seasonsList');
+        
+        if (viewSeasonsBtn) {
+            viewSeasonsBtn.addEventListener('click', () => {
+                this.toggleSeasonsView();
+            });
+        }
+        
+        if (expirySelect) {
+            expirySelect.value = String(this.progressExpiryDays);
+            expirySelect.addEventListener('change', (e) => {
+                this.progressExpiryDays = Number(e.target.value);
+                this.saveProgressSettings();
+                
+                const message = this.progressExpiryDays
+                    ? `进度将在 ${this.progressExpiryDays} 天未访问后存入往季记录`
+                    : '进度已设为永不过期';
+                this.showTemporaryMessage(message, 'info');
+            });
+        }
+        
+        if (seasonsList) {
+            seasonsList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (!button) return;
+                
+                const item = button.closest('[data-season-id]');
+                if (button.dataset.action === 'restore') {
+                    this.restoreSeason(item.dataset.seasonId);
+                } else if (button.dataset.action === 'browse') {
+                    this.toggleSeasonDetails(item);
+                }
+            });
+        }
+    },
+
+    /**
+     * 切换往季记录面板的显示/隐藏
+     */
+    toggleSeasonsView() {
+        const seasonsSection = document.getElementById('seasonsSection');
+        if (!seasonsSection) return;
+        
+        const isVisible = seasonsSection.style.display !== 'none';
+        seasonsSection.style.display = isVisible ? 'none' : 'block';
+        if (!isVisible) {
+            this.updateSeasonsList();
+        }
+        this.announceToScreenReader(isVisible ? '往季记录已关闭' : '往季记录已打开');
+    },
+
+    /**
+     * 更新往季记录列表
+     */
+    updateSeasonsList() {
+        const seasonsList = document.getElementById('seasonsList');
+        if (!seasonsList) return;
+        
+        const seasons = this.getArchivedSeasons();
+        seasonsList.textContent = '';
+        
+        if (seasons.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-favorites';
+            empty.textContent = '还没有往季记录，过期的进度会自动保存在这里';
+            seasonsList.appendChild(empty);
+            return;
+        }
+        
+        seasons.forEach(season => {
+            const item = document.createElement('div');
+            item.className = 'favorite-item season-item';
+            item.setAttribute('role', 'listitem');
+            item.dataset.seasonId = season.id;
+            
+            const content = document.createElement('div');
+            content.className = 'favorite-content';
+            
+            const title = document.createElement('div');
+            title.className = 'favorite-text';
+            title.textContent = season.label;
+            
+            const meta = document.createElement('div');
+            meta.className = 'favorite-category';
+            meta.textContent = `已收集 ${season.displayedBlessings.length} 条 · 点击 ${season.clickCount} 次 · 存档于 ${new Date(season.archivedAt).toLocaleDateString('zh-CN')}`;
+            
+            const details = document.createElement('ul');
+            details.className = 'season-details';
+            details.hidden = true;
+            
+            content.append(title, meta, details);
+            
+            const actions = document.createElement('div');
+            actions.className = 'favorite-actions';
+            actions.append(
+                this.createListActionButton('browse', '查看', `查看${season.label}收集的祝福语`),
+                this.createListActionButton('restore', '恢复', `恢复${season.label}`)
+            );
+            
+            item.append(content, actions);
+            seasonsList.appendChild(item);
+        });
+    },
+
+    /**
+     * 创建往季记录、回收站等列表的操作按钮
+     * @param {string} action - 操作类型
+     * @param {string} text - 按钮文字
+     * @param {string} label - 无障碍标签
+     * @returns {HTMLButtonElement}
+     */
+    createListActionButton(action, text, label) {
+        const button = document.createElement('button');
+        button.className = 'favorite-action-btn list-action-btn';
+        button.dataset.action = action;
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        return button;
+    },
+
+    /**
+     * 展开或收起某个往季记录收集的祝福语
+     * @param {HTMLElement} item - 往季记录列表项
+     */
+    toggleSeasonDetails(item) {
+        const season = this.getArchivedSeasons().find(entry => entry.id === item.dataset.seasonId);
+        if (!season) return;
+        
+        const details = item.querySelector('.season-details');
+        if (!details.hidden) {
+            details.hidden = true;
+            return;
+        }
+        
+        details.textContent = '';
+        season.displayedBlessings.forEach(id => {
+            const blessing = this.getBlessingById(id);
+            if (!blessing) return;
+            
+            const entry = document.createElement('li');
+            entry.textContent = `${blessing.text}（${blessing.category}）`;
+            details.appendChild(entry);
+        });
+        details.hidden = false;
+    },
+
+    /**
+     * 清除保存的用户进度
+     */
+    clearProgress() {
+        StorageManager.remove(this.storageKey);
+        console.log('🗑️ 进度已清除');
+    },
+
+    /**
+     * 加载收藏数据
+     */
+    loadFavorites() {
+        try {
+            const favoritesData = StorageManager.get(this.favoritesStorageKey);
+            if (favoritesData) {
+                this.favorites = new Map(
+                    (favoritesData.favorites || [])
+                        .filter(entry => entry && typeof entry.blessingId === 'string')
+                        .map(entry => [entry.blessingId, {
+                            blessingId: entry.blessingId,
+                            addedAt: entry.addedAt || null,
+                            note: entry.note || '',
+                            tags: entry.tags || [],
+                            collectionIds: entry.collectionIds || []
+                        }])
+                );
+                this.favoriteCollections = favoritesData.collections || [];
+                this.unresolvedFavorites = favoritesData.unresolved || [];
+                console.log(`❤️ 已加载 ${this.favorites.size} 条收藏`);
+            }
+        } catch (error) {
+            console.warn('⚠️ 加载收藏失败:', error);
+            this.favorites = new Map();
+            this.favoriteCollections = [];
+        }
+    },
+
+    /**
+     * 保存收藏数据
+     */
+    saveFavorites() {
+        const favoritesData = {
+            version: MigrationManager.getLatestVersion(this.favoritesStorageKey),
+            favorites: Array.from(this.favorites.values()),
+            collections: this.favoriteCollections,
+            unresolved: this.unresolvedFavorites,
+            timestamp: Date.now()
+        };
+        StorageManager.set(this.favoritesStorageKey, favoritesData);
+        console.log('💾 收藏已保存');
+    },
+
+    /**
+     * 加载收藏设置
+     */
+    loadFavoriteSettings() {
+        try {
+            const settings = StorageManager.get(this.favoriteSettingsKey);
+            if (settings) {
+                this.favoriteEnabled = settings.enabled !== false; // 默认启用
+                this.trashRetentionDays = this.trashRetentionOptions.includes(settings.trashRetentionDays)
+                    ? settings.trashRetentionDays
+                    : 30;
+            } else {
+                this.favoriteEnabled = true;
+                this.trashRetentionDays = 30;
+            }
+        } catch (error) {
+            console.warn('⚠️ 加载收藏设置失败:', error);
+            this.favoriteEnabled = true;
+            this.trashRetentionDays = 30;
+        }
+    },
+
+    /**
+     * 保存收藏设置
+     */
+    saveFavoriteSettings() {
+        const settings = {
+            version: MigrationManager.getLatestVersion(this.favoriteSettingsKey),
+            enabled: this.favoriteEnabled,
+            trashRetentionDays: this.trashRetentionDays,
+            timestamp: Date.now()
+        };
+        StorageManager.set(this.favoriteSettingsKey, settings);
+        console.log('💾 收藏设置已保存');
+    },
+
+    /**
+     * 加载收藏回收站，并清理超过保留天数的条目
+     */
+    loadFavoritesTrash() {
+        const trash = StorageManager.get(this.favoritesTrashKey);
+        this.favoritesTrash = trash && Array.isArray(trash.items) ? trash.items : [];
+        
+        const expireBefore = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const kept = this.favoritesTrash.filter(entry => entry.deletedAt > expireBefore);
+        if (kept.length !== this.favoritesTrash.length) {
+            console.log(`🗑️ 已永久删除 ${this.favoritesTrash.length - kept.length} 条过期的回收站收藏`);
+            this.favoritesTrash = kept;
+            this.saveFavoritesTrash();
+        }
+    },
+
+    /**
+     * 保存收藏回收站
+     */
+    saveFavoritesTrash() {
+        StorageManager.set(this.favoritesTrashKey, {
+            version: MigrationManager.getLatestVersion(this.favoritesTrashKey),
+            items: this.favoritesTrash,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * 加载分享设置
+     */
+    loadShareSettings() {
+        try {
+            const settings = StorageManager.get(this.shareSettingsKey);
+            this.shareEnabled = !settings || settings.enabled !== false; // 默认启用
+            this.shareTemplates = {};
+            Object.entries((settings && settings.templates) || {}).forEach(([targetId, template]) => {
+                if (typeof template === 'string' && template.trim()) {
+                    this.shareTemplates[targetId] = template;
+                }
+            });
+            this.shareSenderName = settings && typeof settings.senderName === 'string' ? settings.senderName : '';
+            this.shareHashtags = settings && Array.isArray(settings.hashtags)
+                ? settings.hashtags.filter(tag => typeof tag === 'string' && tag)
+                : ['1024程序员节', '程序员祝福'];
+        } catch (error) {
+            console.warn('⚠️ 加载分享设置失败:', error);
+            this.shareEnabled = true;
+        }
+    },
+
+    /**
+     * 保存分享设置
+     */
+    saveShareSettings() {
+        const settings = {
+            version: MigrationManager.getLatestVersion(this.shareSettingsKey),
+            enabled: this.shareEnabled,
+            templates: this.shareTemplates,
+            senderName: this.shareSenderName,
+            hashtags: this.shareHashtags,
+            timestamp: Date.now()
+        };
+        StorageManager.set(this.shareSettingsKey, settings);
+        console.log('💾 分享设置已保存');
+    },
+    
+    /**
+     * 处理存储相关错误
+     * 由StorageManager的错误监听器统一调用
+     * @param {string} errorType - 错误类型
+     * @param {Error} error - 错误对象
+     */
+    handleStorageError(errorType, error) {
+        const errorMessages = {
+            'SAVE_FAILED': '无法保存数据，可能是存储空间不足',
+            'LOAD_FAILED': '无法加载游戏进度，将重新开始',
+            'CLEAR_FAILED': '无法清除已保存的数据',
+            'INIT_FAILED': '本地存储不可用，数据将只保存在本次访问中',
+            'NOT_READY': '存储尚未就绪，请稍后重试'
+        };
+        
+        const message = errorMessages[errorType] || '存储操作失败';
+        this.showTemporaryMessage(message, 'warning');
+    },
+
+    /**
+     * 显示临时消息给用户
+     * @param {string} message - 要显示的消息内容
+     * @param {string} type - 消息类型 ('info', 'warning', 'error')
+     * @param {Object} [options] - 可选配置
+     * @param {number} [options.duration=3000] - 显示时长（毫秒）
+     * @param {{label: string, onClick: Function}} [options.action] - 消息中的操作按钮，如"撤销"
+     */
+    showTemporaryMessage(message, type = 'info', options = {}) {
+        const { duration = 3000, action } = options;
+        const messageEl = document.createElement('div');
+        messageEl.className = `temporary-message ${type}`;
+        messageEl.textContent = message;
+        messageEl.setAttribute('role', 'alert');
+        messageEl.setAttribute('aria-live', 'polite');
+        
+        const removeMessage = () => {
+            messageEl.classList.remove('show');
+            setTimeout(() => {
+                if (messageEl.parentNode) {
+                    messageEl.parentNode.removeChild(messageEl);
+                }
+            }, 300);
+        };
+        
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'temporary-message-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                clearTimeout(hideTimeout);
+                removeMessage();
+                action.onClick();
+            }, { once: true });
+            messageEl.appendChild(actionBtn);
+        }
+        
+        document.body.appendChild(messageEl);
+        requestAnimationFrame(() => messageEl.classList.add('show'));
+        
+        const hideTimeout = setTimeout(removeMessage, duration);
+    },
+    
+    /**
+     * 处理按钮点击事件，防止重复点击
+     * @param {HTMLElement} button - 按钮元素
+     * @param {Function} callback - 点击后执行的回调函数
+     */
+    handleButtonClick(button, callback) {
+        // 防止重复点击
+        if (button.disabled) return;
+        
+        button.disabled = true;
+        button.style.transform = 'scale(0.95)';
+        
+        setTimeout(() => {
+            callback();
+            button.disabled = false;
+            button.style.transform = 'scale(1)';
+        }, 300);
+    },
+    
+    /**
+     * 加载所有祝福语数据
+     * 从数据库中读取记录（兼容旧的字符串数组格式）并随机打乱顺序
+     */
+    loadAllBlessings() {
+        this.allBlessings = [];
+        this.blessingMap = new Map();
+        for (const category in BLESSING_DATABASE) {
+            BLESSING_DATABASE[category].forEach(entry => {
+                const blessing = this.normalizeBlessing(entry, category);
+                if (!blessing) return;
+                
+                if (this.blessingMap.has(blessing.id)) {
+                    console.warn(`⚠️ 祝福语id重复，已跳过: ${blessing.id}`);
+                    return;
+                }
+                
+                this.blessingMap.set(blessing.id, blessing);
+                this.allBlessings.push(blessing);
+            });
+        }
+        // 随机打乱祝福语顺序，确保每次体验都不同
+        this.shuffleArray(this.allBlessings);
+        BlessingSearch.buildIndex(this.allBlessings);
+    },
+
+    /**
+     * 添加一条祝福语（例如自定义祝福语），同时更新搜索索引
+     * @param {string|Object} entry - 与数据库条目格式相同
+     * @param {string} category - 所属分类
+     * @returns {Object|null} 添加的祝福语记录，条目无效或id重复时返回null
+     */
+    addBlessing(entry, category) {
+        const blessing = this.normalizeBlessing(entry, category);
+        if (!blessing) return null;
+        
+        if (this.blessingMap.has(blessing.id)) {
+            console.warn(`⚠️ 祝福语id重复，已跳过: ${blessing.id}`);
+            return null;
+        }
+        
+        this.blessingMap.set(blessing.id, blessing);
+        this.allBlessings.push(blessing);
+        BlessingSearch.add(blessing);
+        this.updateCounter();
+        return blessing;
+    },
+
+    /**
+     * 移除一条祝福语，同时更新搜索索引
+     * 收藏和进度中的id会保留，找不到对应祝福语时自动跳过
+     * @param {string} id - 祝福语id
+     * @returns {boolean} 是否移除成功
+     */
+    removeBlessing(id) {
+        if (!this.blessingMap.has(id)) return false;
+        
+        this.blessingMap.delete(id);
+        this.allBlessings = this.allBlessings.filter(blessing => blessing.id !== id);
+        this.loadedBlessings = this.loadedBlessings.filter(blessing => blessing.id !== id);
+        BlessingSearch.remove(id);
+        this.updateCounter();
+        return true;
+    },
+
+    /**
+     * 将数据库条目规范化为祝福语记录
+     * 旧格式的纯字符串条目会根据分类和文本生成id
+     * @param {string|Object} entry - 数据库中的条目
+     * @param {string} category - 所属分类
+     * @returns {Object|null} 祝福语记录，条目无效时返回null
+     */
+    normalizeBlessing(entry, category) {
+        const record = typeof entry === 'string' ? { text: entry } : entry;
+        
+        if (!record || typeof record.text !== 'string' || record.text.trim() === '') {
+            console.warn(`⚠️ 分类"${category}"中存在无效的祝福语条目:`, entry);
+            return null;
+        }
+        
+        return {
+            id: record.id ? String(record.id) : this.generateLegacyBlessingId(category, record.text),
+            text: record.text,
+            category,
+            tags: Array.isArray(record.tags) ? record.tags : [],
+            author: record.author || '',
+            source: record.source || (typeof entry === 'string' ? 'legacy' : ''),
+            lang: record.lang || 'zh-CN',
+            addedAt: record.addedAt || null
+        };
+    },
+
+    /**
+     * 为旧格式条目生成id（基于分类和文本的FNV-1a哈希）
+     * @param {string} category - 所属分类
+     * @param {string} text - 祝福语文本
+     * @returns {string} 形如 legacy-1a2b3c4d 的id
+     */
+    generateLegacyBlessingId(category, text) {
+        let hash = 0x811c9dc5;
+        const input = `${category}\u0000${text}`;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `legacy-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+    },
+
+    /**
+     * 根据id获取祝福语记录
+     * @param {string} id - 祝福语id
+     * @returns {Object|null} 祝福语记录
+     */
+    getBlessingById(id) {
+        return this.blessingMap.get(id) || null;
+    },
+    
+    /**
+     * 随机打乱数组顺序
+     * @param {Array} array - 要打乱的数组
+     */
+    shuffleArray(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = RandomSource.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+    },
+    
+    /**
+     * 加载下一页祝福语数据
+     * 实现分页加载以提高性能
+     */
+    loadNextPage() {
+        const startIndex = this.currentPage * this.pageSize;
+        const endIndex = Math.min(startIndex + this.pageSize, this.allBlessings.length);
+        
+        for (let i = startIndex; i < endIndex; i++) {
+            this.loadedBlessings.push(this.allBlessings[i]);
+        }
+        
+        this.currentPage++;
+        console.log(`📖 已加载第 ${this.currentPage} 页祝福语，当前可用: ${this.loadedBlessings.length}/${this.allBlessings.length}`);
+    },
+    
+    /**
+     * 获取所有祝福语数据
+     * @returns {Array<Object>} 所有祝福语数组
+     */
+    getAllBlessings() {
+        return this.allBlessings;
+    },
+    
+    /**
+     * 获取已加载的祝福语数据
+     * @returns {Array<Object>} 已加载的祝福语数组
+     */
+    getLoadedBlessings() {
+        return this.loadedBlessings;
+    },
+
+    /**
+     * 搜索祝福语
+     * @param {string} keyword - 搜索关键词，支持拼音、首字母、少量错别字和查询语法（见 BlessingSearch.parseQuery）
+     * @returns {Array<Object>} 按相关度排序的搜索结果，matches为文本中的匹配位置
+     */
+    searchBlessings(keyword) {
+        try {
+            if (!keyword || keyword.trim() === '') {
+                return [];
+            }
+            
+            // 验证搜索关键词长度
+            if (keyword.length > 100) {
+                this.showTemporaryMessage('搜索关键词过长，请输入较短的关键词', 'warning');
+                return [];
+            }
+            
+            // 验证数据完整性
+            if (!this.allBlessings || !Array.isArray(this.allBlessings)) {
+                throw new Error('祝福语数据不可用');
+            }
+            
+            // 模糊、拼音和首字母匹配，结果按相关度排序
+            const context = {
+                isFavorite: id => this.favorites.has(id),
+                isSeen: id => this.displayedBlessings.has(id)
+            };
+            return BlessingSearch.search(keyword, context).map(({ blessing, score, matches }) => ({
+                ...blessing,
+                score,
+                matches,
+                displayed: this.displayedBlessings.has(blessing.id)
+            }));
+        } catch (error) {
+            console.error('搜索功能出错:', error);
+            this.showTemporaryMessage('搜索功能暂时不可用，请稍后重试', 'error');
+            return [];
+        }
+    },
+
+    /**
+     * 显示搜索结果
+     * @param {Array<Object>} results - 搜索结果数组
+     * @param {string} keyword - 搜索关键词
+     */
+    showSearchResults(results, keyword) {
+        this.searchResultsState = { results, keyword, rendered: 0 };
+        const searchResults = document.getElementById('searchResults');
+        const searchResultsList = document.getElementById('searchResultsList');
+        const searchResultsTitle = searchResults.querySelector('h3');
+        
+        if (results.length === 0) {
+            searchResultsTitle.textContent = `未找到包含"${keyword}"的祝福语`;
+            searchResultsList.innerHTML = '<div class="search-result-item"><div class="search-result-text">没有找到相关祝福语，请尝试其他关键词</div></div>';
+        } else {
+            searchResultsTitle.textContent = `找到 ${results.length} 条与"${keyword}"相关的祝福语`;
+            searchResultsList.innerHTML = '';
+            this.renderMoreSearchResults();
+        }
+        
+        searchResults.style.display = 'block';
+        searchResults.scrollIntoView({ behavior: 'smooth' });
+    },
+
+    /**
+     * 渲染下一页搜索结果，还有剩余时在末尾显示"加载更多"
+     * @returns {HTMLElement|null} 本次渲染的第一条结果
+     */
+    renderMoreSearchResults() {
+        const searchResultsList = document.getElementById('searchResultsList');
+        const { results, rendered } = this.searchResultsState;
+        
+        searchResultsList.querySelector('.search-load-more')?.remove();
+        
+        const fragment = document.createDocumentFragment();
+        const page = results.slice(rendered, rendered + this.searchResultsPageSize);
+        page.forEach((result, offset) => {
+            fragment.appendChild(this.createSearchResultItem(result, rendered + offset, results.length));
+        });
+        this.searchResultsState.rendered += page.length;
+        
+        const remaining = results.length - this.searchResultsState.rendered;
+        if (remaining > 0) {
+            const loadMore = document.createElement('button');
+            loadMore.className = 'search-load-more';
+            loadMore.dataset.action = 'load-more';
+            loadMore.textContent = `加载更多（还有 ${remaining} 条）`;
+            fragment.appendChild(loadMore);
+        }
+        
+        const firstItem = fragment.firstElementChild;
+        searchResultsList.appendChild(fragment);
+        return page.length > 0 ? firstItem : null;
+    },
+
+    /**
+     * 创建一条搜索结果
+     * @param {Object} result - 搜索结果
+     * @param {number} index - 在全部结果中的位置
+     * @param {number} total - 结果总数
+     * @returns {HTMLElement}
+     */
+    createSearchResultItem(result, index, total) {
+        const item = document.createElement('div');
+        item.className = `search-result-item ${result.displayed ? 'displayed' : ''}`;
+        item.setAttribute('role', 'listitem');
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('aria-label', `祝福语：${result.text}，${result.displayed ? '，已显示过' : ''}`);
+        // 只渲染了部分结果，告诉屏幕阅读器实际位置和总数
+        item.setAttribute('aria-posinset', String(index + 1));
+        item.setAttribute('aria-setsize', String(total));
+        item.dataset.resultIndex = String(index);
+        
+        const text = document.createElement('div');
+        text.className = 'search-result-text';
+        text.appendChild(this.createHighlightedText(result.text, result.matches));
+        item.appendChild(text);
+        
+        if (result.displayed) {
+            const status = document.createElement('div');
+            status.className = 'search-result-status';
+            status.textContent = '✓ 已显示过';
+            item.appendChild(status);
+        }
+        
+        return item;
+    },
+
+    /**
+     * 选择一条搜索结果并显示该祝福语
+     * @param {number} index - 在全部结果中的位置
+     */
+    selectSearchResult(index) {
+        const { results, keyword } = this.searchResultsState;
+        const result = results[index];
+        if (!result) return;
+        
+        // 实时搜索不记录历史，选中结果说明这次搜索有用
+        this.recordSearch(keyword);
+        this.showSpecificBlessing(result.id);
+        this.hideSearchResults();
+        this.announceToScreenReader(`已选择祝福语：${result.text}`);
+    },
+
+    /**
+     * 生成带高亮的文本片段
+     * @param {string} text - 原文
+     * @param {Array<Array<number>>} matches - 不重叠的匹配位置 [start, end]
+     * @returns {DocumentFragment}
+     */
+    createHighlightedText(text, matches = []) {
+        const fragment = document.createDocumentFragment();
+        let cursor = 0;
+        matches.forEach(([start, end]) => {
+            fragment.append(text.slice(cursor, start));
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            cursor = end;
+        });
+        fragment.append(text.slice(cursor));
+        return fragment;
+    },
+
+    /**
+     * 显示指定id的祝福语
+     * showBlessing会将其标记为已显示并保存进度
+     * @param {string} id - 祝福语id
+     */
+    showSpecificBlessing(id) {
+        const blessing = this.getBlessingById(id);
+        if (!blessing) return;
+        
+        // 确保该祝福语已加载
+        if (!this.loadedBlessings.some(b => b.id === blessing.id)) {
+            this.loadedBlessings.push(blessing);
+        }
+        
+        this.showBlessing(blessing);
+    },
+
+    /**
+     * 初始化hash路由：打开链接时定位到对应视图，浏览器前进后退时切换视图
+     */
+    initializeRouter() {
+        window.addEventListener('hashchange', () => {
+            const route = HashRouter.parse(window.location.hash);
+            if (HashRouter.format(route) !== this.currentRouteHash) {
+                this.applyRoute(route);
+            }
+        });
+        
+        if (window.location.hash) {
+            this.applyRoute(HashRouter.parse(window.location.hash));
+        }
+    },
+
+    /**
+     * 切换到路由对应的视图
+     * @param {{type: string, value?: string}} route - 路由
+     */
+    applyRoute(route) {
+        this.currentRouteHash = HashRouter.format(route);
+        
+        // 通过前进后退离开分类视图时，恢复访问者自己保存的分类选择
+        if (route.type !== 'category' && this.savedCategories) {
+            this.selectedCategories = this.savedCategories;
+            this.savedCategories = null;
+            this.updateCategoryPicker();
+        }
+        
+        if (route.type === 'search') {
+            document.getElementById('searchInput').value = route.value;
+            this.showSearchResults(this.searchBlessings(route.value), route.value);
+            return;
+        }
+        
+        this.hideSearchResults();
+        
+        if (route.type === 'blessing') {
+            if (!this.getBlessingById(route.value)) {
+                this.showTemporaryMessage('链接中的祝福语不存在，可能已被删除', 'warning');
+                this.updateRoute(this.getCurrentBlessingRoute(), true);
+            } else if (!this.currentBlessing || this.currentBlessing.id !== route.value) {
+                this.showSpecificBlessing(route.value);
+            }
+        } else if (route.type === 'category') {
+            if (!this.getCategoryStats().some(stat => stat.category === route.value)) {
+                this.showTemporaryMessage(`分类"${route.value}"不存在`, 'warning');
+                this.updateRoute(this.getCurrentBlessingRoute(), true);
+                return;
+            }
+            // 别人分享的分类链接只临时限定本次访问的分类，不保存到访问者的抽取设置
+            if (!this.savedCategories) {
+                this.savedCategories = new Set(this.selectedCategories);
+            }
+            this.selectedCategories = new Set([route.value]);
+            this.updateCategoryPicker();
+            this.showTemporaryMessage(`本次访问只抽取"${route.value}"，点击分类可以更改`, 'info');
+        }
+    },
+
+    /**
+     * 把当前视图写入地址栏
+     * @param {{type: string, value?: string}} route - 路由
+     * @param {boolean} [replace=false] - 是否替换当前历史记录，否则新增一条供后退使用
+     */
+    updateRoute(route, replace = false) {
+        const hash = HashRouter.format(route);
+        if (hash === this.currentRouteHash) return;
+        
+        this.currentRouteHash = hash;
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            window.location.hash = hash;
+        }
+    },
+
+    /**
+     * 获取指向当前祝福语的路由，尚未显示祝福语时为首页
+     * @returns {{type: string, value?: string}}
+     */
+    getCurrentBlessingRoute() {
+        return this.currentBlessing ? { type: 'blessing', value: this.currentBlessing.id } : { type: 'home' };
+    },
+
+    /**
+     * 当前是否处于某类路由
+     * @param {string} type - 路由类型
+     * @returns {boolean}
+     */
+    isRouteType(type) {
+        return HashRouter.parse(this.currentRouteHash).type === type;
+    },
+
+    /**
+     * 隐藏搜索结果面板
+     */
+    hideSearchResults() {
+        document.getElementById('searchResults').style.display = 'none';
+        
+        // 关闭搜索视图后地址栏回到当前祝福语
+        if (this.isRouteType('search')) {
+            this.updateRoute(this.getCurrentBlessingRoute(), true);
+        }
+    },
+
+    /**
+     * 清除搜索输入和结果
+     */
+    clearSearch() {
+        document.getElementById('searchInput').value = '';
+        this.hideSearchResults();
+    },
+
+    /**
+     * 加载搜索历史和保存的搜索
+     */
+    loadSearchHistory() {
+        const history = StorageManager.get(this.searchHistoryKey);
+        this.recentSearches = history && Array.isArray(history.recent) ? history.recent : [];
+        this.savedSearches = history && Array.isArray(history.saved) ? history.saved : [];
+    },
+
+    /**
+     * 保存搜索历史和保存的搜索
+     */
+    saveSearchHistory() {
+        StorageManager.set(this.searchHistoryKey, {
+            version: MigrationManager.getLatestVersion(this.searchHistoryKey),
+            recent: this.recentSearches,
+            saved: this.savedSearches,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * 记录一次搜索，重复的查询移到最前
+     * @param {string} keyword - 查询语句
+     */
+    recordSearch(keyword) {
+        const query = keyword.trim();
+        if (!query) return;
+        
+        this.recentSearches = [
+            { query, searchedAt: Date.now() },
+            ...this.recentSearches.filter(entry => entry.query !== query)
+        ].slice(0, this.maxRecentSearches);
+        this.saveSearchHistory();
+        this.updateSearchHistory();
+    },
+
+    /**
+     * 保存（固定）或取消保存一条搜索
+     * @param {string} query - 查询语句
+     */
+    toggleSavedSearch(query) {
+        if (this.savedSearches.some(entry => entry.query === query)) {
+            this.savedSearches = this.savedSearches.filter(entry => entry.query !== query);
+            this.announceToScreenReader(`已取消保存搜索：${query}`);
+        } else {
+            this.savedSearches.push({ query, savedAt: Date.now() });
+            this.announceToScreenReader(`已保存搜索：${query}`);
+        }
+        this.saveSearchHistory();
+        this.updateSearchHistory();
+    },
+
+    /**
+     * 清除最近搜索，保存的搜索不受影响
+     */
+    clearSearchHistory() {
+        this.recentSearches = [];
+        this.saveSearchHistory();
+        this.updateSearchHistory();
+        this.announceToScreenReader('已清除搜索历史');
+    },
+
+    /**
+     * 执行历史中的一条搜索
+     * @param {string} query - 查询语句
+     */
+    runSavedQuery(query) {
+        const searchInput = document.getElementById('searchInput');
+        searchInput.value = query;
+        this.hideSearchHistory();
+        this.showSearchResults(this.searchBlessings(query), query);
+        this.recordSearch(query);
+        this.updateRoute({ type: 'search', value: query });
+    },
+
+    /**
+     * 初始化搜索历史下拉列表
+     */
+    initializeSearchHistory() {
+        const searchInput = document.getElementById('searchInput');
+        const searchHistory = document.getElementById('searchHistory');
+        if (!searchInput || !searchHistory) return;
+        
+        searchInput.addEventListener('focus', () => {
+            if (!searchInput.value.trim()) {
+                this.showSearchHistory();
+            }
+        });
+        
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' && !searchHistory.hidden) {
+                e.preventDefault();
+                searchHistory.querySelector('button')?.focus();
+            } else if (e.key === 'Escape') {
+                this.hideSearchHistory();
+            }
+        });
+        
+        searchHistory.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            
+            const { action, query } = button.dataset;
+            if (action === 'run') {
+                this.runSavedQuery(query);
+                return;
+            }
+            
+            if (action === 'toggle-saved') {
+                this.toggleSavedSearch(query);
+            } else if (action === 'remove') {
+                this.recentSearches = this.recentSearches.filter(entry => entry.query !== query);
+                this.saveSearchHistory();
+            } else if (action === 'clear-history') {
+                this.clearSearchHistory();
+            }
+            // 重新渲染后原按钮已移除，保持列表展开并把焦点还给输入框
+            this.showSearchHistory();
+            searchInput.focus();
+        });
+        
+        // 上下方向键在历史条目间移动，Esc返回输入框
+        searchHistory.addEventListener('keydown', (e) => {
+            const buttons = Array.from(searchHistory.querySelectorAll('[data-action="run"]'));
+            const currentIndex = buttons.indexOf(document.activeElement);
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const offset = e.key === 'ArrowDown' ? 1 : -1;
+                const next = buttons[currentIndex + offset];
+                (next || (offset < 0 ? searchInput : null))?.focus();
+            } else if (e.key === 'Escape') {
+                this.hideSearchHistory();
+                searchInput.focus();
+            }
+        });
+        
+        // 焦点离开搜索区域时收起
+        searchInput.parentElement.addEventListener('focusout', (e) => {
+            if (!e.relatedTarget || !searchInput.parentElement.contains(e.relatedTarget)) {
+                this.hideSearchHistory();
+            }
+        });
+    },
+
+    /**
+     * 显示搜索历史下拉列表（没有记录时不显示）
+     */
+    showSearchHistory() {
+        const searchHistory = document.getElementById('searchHistory');
+        if (!searchHistory) return;
+        
+        this.updateSearchHistory();
+        searchHistory.hidden = this.recentSearches.length === 0 && this.savedSearches.length === 0;
+        document.getElementById('searchInput').setAttribute('aria-expanded', String(!searchHistory.hidden));
+    },
+
+    /**
+     * 隐藏搜索历史下拉列表
+     */
+    hideSearchHistory() {
+        const searchHistory = document.getElementById('searchHistory');
+        if (!searchHistory) return;
+        
+        searchHistory.hidden = true;
+        document.getElementById('searchInput').setAttribute('aria-expanded', 'false');
+    },
+
+    /**
+     * 重新渲染搜索历史：保存的搜索在前，最近搜索在后
+     */
+    updateSearchHistory() {
+        const searchHistory = document.getElementById('searchHistory');
+        if (!searchHistory) return;
+        
+        searchHistory.textContent = '';
+        const savedQueries = new Set(this.savedSearches.map(entry => entry.query));
+        const recent = this.recentSearches.filter(entry => !savedQueries.has(entry.query));
+        
+        if (this.savedSearches.length > 0) {
+            searchHistory.appendChild(this.createSearchHistoryGroup('已保存的搜索',
+                this.savedSearches.map(entry => entry.query), true));
+        }
+        if (recent.length > 0) {
+            searchHistory.appendChild(this.createSearchHistoryGroup('最近搜索',
+                recent.map(entry => entry.query), false));
+            
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'search-history-clear';
+            clearBtn.dataset.action = 'clear-history';
+            clearBtn.textContent = '清除历史';
+            searchHistory.appendChild(clearBtn);
+        }
+        
+        if (this.savedSearches.length === 0 && recent.length === 0) {
+            this.hideSearchHistory();
+        }
+    },
+
+    /**
+     * 创建一组搜索历史条目
+     * @param {string} title - 分组标题
+     * @param {Array<string>} queries - 查询语句
+     * @param {boolean} saved - 是否为保存的搜索
+     * @returns {HTMLElement}
+     */
+    createSearchHistoryGroup(title, queries, saved) {
+        const group = document.createElement('div');
+        group.className = 'search-history-group';
+        
+        const heading = document.createElement('div');
+        heading.className = 'search-history-title';
+        heading.textContent = title;
+        
+        const list = document.createElement('ul');
+        list.className = 'search-history-list';
+        queries.forEach(query => {
+            const item = document.createElement('li');
+            item.className = 'search-history-item';
+            
+            const runBtn = document.createElement('button');
+            runBtn.className = 'search-history-query';
+            runBtn.dataset.action = 'run';
+            runBtn.dataset.query = query;
+            runBtn.textContent = query;
+            runBtn.setAttribute('aria-label', `搜索：${query}`);
+            
+            const pinBtn = document.createElement('button');
+            pinBtn.className = `search-history-action ${saved ? 'saved' : ''}`;
+            pinBtn.dataset.action = 'toggle-saved';
+            pinBtn.dataset.query = query;
+            pinBtn.textContent = saved ? '★' : '☆';
+            pinBtn.title = saved ? '取消保存' : '保存这条搜索';
+            pinBtn.setAttribute('aria-label', `${saved ? '取消保存' : '保存'}搜索：${query}`);
+            
+            item.append(runBtn, pinBtn);
+            
+            if (!saved) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'search-history-action';
+                removeBtn.dataset.action = 'remove';
+                removeBtn.dataset.query = query;
+                removeBtn.textContent = '×';
+                removeBtn.title = '从历史中删除';
+                removeBtn.setAttribute('aria-label', `从历史中删除：${query}`);
+                item.appendChild(removeBtn);
+            }
+            
+            list.appendChild(item);
+        });
+        
+        group.append(heading, list);
+        return group;
+    },
+
+    /**
+     * 处理模态框中的Tab键导航
+     * @param {KeyboardEvent} e - 键盘事件对象
+     */
+    handleModalTabNavigation(e) {
+        const modal = document.getElementById('completionModal');
+        const focusableElements = modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        if (e.shiftKey) {
+            if (document.activeElement === firstElement) {
+                e.preventDefault();
+                lastElement.focus();
+            }
+        } else {
+            if (document.activeElement === lastElement) {
+                e.preventDefault();
+                firstElement.focus();
+            }
+        }
+    },
+
+    /**
+     * 设置搜索结果的点击和键盘导航功能
+     * 支持方向键、Home/End 和回车键操作，向下越过已渲染的最后一条时自动加载下一页
+     */
+    setupSearchResultsNavigation() {
+        const searchResultsList = document.getElementById('searchResultsList');
+        
+        // 点击搜索结果直接显示该祝福语
+        searchResultsList.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="load-more"]')) {
+                this.renderMoreSearchResults()?.focus();
+                return;
+            }
+            
+            const item = e.target.closest('[data-result-index]');
+            if (item) {
+                this.selectSearchResult(Number(item.dataset.resultIndex));
+            }
+        });
+        
+        searchResultsList.addEventListener('keydown', (e) => {
+            const items = Array.from(searchResultsList.querySelectorAll('[data-result-index]'));
+            const currentIndex = items.indexOf(document.activeElement);
+            
+            switch (e.code) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    if (currentIndex === items.length - 1 || document.activeElement.dataset.action === 'load-more') {
+                        // 到达已渲染的最后一条时加载下一页，全部加载完后回到第一条
+                        const nextItem = this.renderMoreSearchResults();
+                        (nextItem || items[0])?.focus();
+                    } else {
+                        items[currentIndex + 1]?.focus();
+                    }
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    const prevIndex = currentIndex <= 0 ? items.length - 1 : currentIndex - 1;
+                    items[prevIndex]?.focus();
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    items[0]?.focus();
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    items[items.length - 1]?.focus();
+                    break;
+                case 'Enter':
+                case 'Space':
+                    e.preventDefault();
+                    document.activeElement.click();
+                    break;
+            }
+        });
+    },
+
+    /**
+     * 向屏幕阅读器宣布状态变化
+     * @param {string} message - 要宣布的消息内容
+     */
+    announceToScreenReader(message) {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.setAttribute('aria-atomic', 'true');
+        announcement.className = 'sr-only';
+        announcement.textContent = message;
+        
+        document.body.appendChild(announcement);
+        
+        setTimeout(() => {
+            document.body.removeChild(announcement);
+        }, 1000);
+    },
+
+    /**
+     * 生成分享文本
+     * @param {Object} blessing - 祝福语对象
+     * @param {string} [targetId] - 分享目标id，使用该目标的文案模板，不提供时使用通用模板
+     * @param {string} [template] - 直接指定文案模板（用于编辑时的预览）
+     * @returns {string} 格式化的分享文本
+     */
+    generateShareText(blessing, targetId, template = this.getShareTemplate(targetId)) {
+        if (!blessing) {
+            blessing = this.currentBlessing;
+        }
+        
+        if (!blessing) {
+            return '1024程序员节快乐！愿所有程序员都能收获满满的祝福！';
+        }
+        
+        return ShareTargets.renderTemplate(template, {
+            text: blessing.text,
+            category: blessing.category,
+            date: this.getDateKey(new Date()),
+            url: this.generateShareUrl(blessing),
+            sender: this.shareSenderName || this.defaultShareSenderName,
+            hashtags: ShareTargets.formatHashtags(this.shareHashtags, targetId)
+        });
+    },
+
+    /**
+     * 获取分享目标当前使用的文案模板（自定义优先）
+     * @param {string} [targetId] - 分享目标id，不提供时为通用模板
+     * @returns {string}
+     */
+    getShareTemplate(targetId) {
+        return this.shareTemplates[targetId || 'default'] || ShareTargets.getDefaultTemplate(targetId);
+    },
+
+    /**
+     * 初始化分享文案模板编辑器
+     */
+    initializeShareTemplateEditor() {
+        const editor = document.getElementById('shareTemplateEditor');
+        if (!editor) return;
+        
+        const targetSelect = document.getElementById('shareTemplateTarget');
+        const templateInput = document.getElementById('shareTemplateInput');
+        const senderInput = document.getElementById('shareSenderInput');
+        const hashtagsInput = document.getElementById('shareHashtagsInput');
+        
+        this.fillSelectOptions(
+            targetSelect,
+            '通用（系统分享）',
+            ShareTargets.getTemplateTargets().map(target => [target.id, target.label]),
+            ''
+        );
+        document.getElementById('shareTemplatePlaceholders').textContent = Object.entries(ShareTargets.placeholders)
+            .map(([key, label]) => `{${key}} ${label}`)
+            .join('　');
+        
+        targetSelect.addEventListener('change', () => this.updateShareTemplateEditor());
+        templateInput.addEventListener('input', () => this.updateShareTemplatePreview());
+        senderInput.addEventListener('input', () => {
+            this.shareSenderName = senderInput.value.trim();
+            this.updateShareTemplatePreview();
+        });
+        hashtagsInput.addEventListener('input', () => {
+            this.shareHashtags = this.parseTags(hashtagsInput.value.replace(/#/g, ' '));
+            this.updateShareTemplatePreview();
+        });
+        
+        // 输入时只更新预览，完成编辑后再保存
+        editor.addEventListener('change', (e) => {
+            if (e.target === templateInput) {
+                const targetId = targetSelect.value || 'default';
+                const template = templateInput.value;
+                if (template.trim() && template !== ShareTargets.getDefaultTemplate(targetSelect.value)) {
+                    this.shareTemplates[targetId] = template;
+                } else {
+                    delete this.shareTemplates[targetId];
+                }
+            }
+            if (e.target !== targetSelect) {
+                this.saveShareSettings();
+            }
+        });
+        
+        document.getElementById('resetShareTemplateBtn').addEventListener('click', () => {
+            delete this.shareTemplates[targetSelect.value || 'default'];
+            this.saveShareSettings();
+            this.updateShareTemplateEditor();
+            this.showTemporaryMessage('已恢复默认模板', 'info');
+        });
+        
+        this.updateShareTemplateEditor();
+    },
+
+    /**
+     * 按当前选择的平台填充模板编辑器
+     */
+    updateShareTemplateEditor() {
+        const targetSelect = document.getElementById('shareTemplateTarget');
+        if (!targetSelect) return;
+        
+        document.getElementById('shareTemplateInput').value = this.getShareTemplate(targetSelect.value);
+        document.getElementById('shareSenderInput').value = this.shareSenderName;
+        document.getElementById('shareHashtagsInput').value = this.shareHashtags.join(' ');
+        this.updateShareTemplatePreview();
+    },
+
+    /**
+     * 用编辑中的模板和当前祝福语刷新预览，超出平台字数上限时提示会被截断
+     */
+    updateShareTemplatePreview() {
+        const preview = document.getElementById('shareTemplatePreview');
+        if (!preview) return;
+        
+        const targetId = document.getElementById('shareTemplateTarget').value;
+        const text = this.generateShareText(this.currentBlessing, targetId, document.getElementById('shareTemplateInput').value);
+        preview.textContent = text;
+        
+        const target = ShareTargets.get(targetId);
+        const length = Array.from(text).length;
+        const counter = document.getElementById('shareTemplateCounter');
+        counter.textContent = target && target.maxLength
+            ? `${length} / ${target.maxLength} 字${length > target.maxLength ? '，超出部分会被截断' : ''}`
+            : `${length} 字`;
+        counter.classList.toggle('over-limit', Boolean(target && target.maxLength && length > target.maxLength));
+    },
+
+    /**
+     * 生成分享链接
+     * @param {Object} [blessing] - 祝福语对象，默认为当前显示的祝福语
+     * @returns {string} 直接打开该祝福语的链接，没有祝福语时为首页链接
+     */
+    generateShareUrl(blessing = this.currentBlessing) {
+        return HashRouter.buildUrl(blessing ? { type: 'blessing', value: blessing.id } : { type: 'home' });
+    },
+
+    /**
+     * 是否支持系统原生分享（Web Share API）
+     * @returns {boolean}
+     */
+    canShareNatively() {
+        return typeof navigator.share === 'function';
+    },
+
+    /**
+     * 分享祝福语：优先调用系统分享面板，不支持时展开各平台的分享选项
+     * @param {File} [file] - 随分享附带的图片文件，系统不支持分享文件时忽略
+     * @param {Object} [blessing] - 祝福语对象，默认为当前显示的祝福语
+     * @returns {Promise<string>} 分享结果：completed（完成）、cancelled（取消）、fallback（已改用分享选项）或 failed（失败）
+     */
+    async share(file, blessing = this.currentBlessing) {
+        if (!this.canShareNatively()) {
+            this.toggleShareOptions();
+            return 'fallback';
+        }
+        
+        const data = {
+            title: this.shareTitle,
+            text: this.generateShareText(blessing),
+            url: this.generateShareUrl(blessing)
+        };
+        if (file && typeof navigator.canShare === 'function' && navigator.canShare({ files: [file] })) {
+            data.files = [file];
+        }
+        
+        try {
+            await navigator.share(data);
+            this.showShareSuccess('分享成功');
+            this.announceToScreenReader('分享已完成');
+            return 'completed';
+        } catch (error) {
+            // 用户关闭分享面板时浏览器以 AbortError 拒绝
+            if (error && error.name === 'AbortError') {
+                this.showTemporaryMessage('已取消分享', 'info');
+                this.announceToScreenReader('分享已取消');
+                return 'cancelled';
+            }
+            
+            console.error('系统分享失败:', error);
+            this.showTemporaryMessage('系统分享不可用，请选择分享方式', 'warning');
+            const shareOptions = document.getElementById('shareOptions');
+            if (shareOptions && shareOptions.style.display === 'none') {
+                this.toggleShareOptions();
+            }
+            return 'failed';
+        }
+    },
+
+    /**
+     * 生成祝福语卡片图片并分享，系统不支持分享图片时保存到本地
+     * @param {Object} [blessing] - 祝福语对象，默认为当前显示的祝福语
+     */
+    async shareCardImage(blessing = this.currentBlessing) {
+        if (!blessing) return;
+        
+        try {
+            const file = await ShareCardRenderer.createFile(blessing, this.generateShareUrl(blessing));
+            if (this.canShareNatively() && typeof navigator.canShare === 'function' && navigator.canShare({ files: [file] })) {
+                await this.share(file, blessing);
+            } else {
+                this.downloadFile(file.name, file);
+                this.showShareSuccess('分享图片已保存');
+            }
+        } catch (error) {
+            console.error('生成分享图片失败:', error);
+            this.showTemporaryMessage('生成分享图片失败，请重试', 'error');
+        }
+    },
+
+    /**
+     * 复制祝福语卡片图片到剪贴板，浏览器不支持写入图片时保存到本地
+     * @param {Object} [blessing] - 祝福语对象，默认为当前显示的祝福语
+     */
+    async copyCardImage(blessing = this.currentBlessing) {
+        if (!blessing) return;
+        
+        try {
+            if (navigator.clipboard && typeof navigator.clipboard.write === 'function' && typeof ClipboardItem === 'function') {
+                // Safari要求在点击事件中同步创建ClipboardItem，所以传入图片的Promise而不是等待生成完成
+                const canvas = ShareCardRenderer.render(blessing, { url: this.generateShareUrl(blessing) });
+                const blob = ShareCardRenderer.toBlob(canvas);
+                await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
+                this.showShareSuccess('分享图片已复制到剪贴板');
+            } else {
+                const file = await ShareCardRenderer.createFile(blessing, this.generateShareUrl(blessing));
+                this.downloadFile(file.name, file);
+                this.showShareSuccess('浏览器不支持复制图片，已保存到本地');
+            }
+        } catch (error) {
+            console.error('复制分享图片失败:', error);
+            this.showTemporaryMessage('复制图片失败，请重试', 'error');
+        }
+    },
+
+    /**
+     * 分享菜单中的目标被点击：打开分享页面或执行目标的自定义操作
+     * @param {string} targetId - 分享目标id
+     */
+    async shareTo(targetId) {
+        const target = ShareTargets.get(targetId);
+        if (!target) return;
+        
+        if (!target.keepOpen) {
+            this.toggleShareOptions();
+        }
+        
+        if (target.action) {
+            await target.action(target);
+            return;
+        }
+        
+        try {
+            const url = ShareTargets.buildUrl(target, {
+                title: this.shareTitle,
+                text: this.generateShareText(this.currentBlessing, target.id),
+                url: this.generateShareUrl()
+            });
+            if (target.popup) {
+                window.open(url, '_blank', 'width=600,height=400');
+                this.showShareSuccess(`正在跳转到${target.label}分享页面`);
+            } else {
+                window.location.href = url;
+            }
+        } catch (error) {
+            console.error(`${target.label}分享失败:`, error);
+            this.showTemporaryMessage('分享失败，请重试', 'error');
+        }
+    },
+
+    /**
+     * 分享到没有网页分享接口的聊天应用（微信、钉钉、飞书）
+     * 在应用内置浏览器中提示使用右上角菜单，否则复制祝福语和链接，也可以扫描分享选项中的二维码
+     * @param {Object} target - 分享目标，userAgentPattern 用于识别应用内置浏览器
+     */
+    async shareToChatApp(target) {
+        try {
+            if (target.userAgentPattern && target.userAgentPattern.test(navigator.userAgent)) {
+                this.showShareTip('请点击右上角"..."按钮分享给朋友');
+                return;
+            }
+            
+            await this.copyToClipboard(this.generateShareText(this.currentBlessing, target.id));
+            this.showShareSuccess(`祝福语已复制，可以粘贴到${target.label}，也可以用${target.label}扫描二维码`);
+        } catch (error) {
+            console.error(`${target.label}分享失败:`, error);
+            this.showTemporaryMessage('分享失败，请重试', 'error');
+        }
+    },
+
+    /**
+     * 按分享目标注册表渲染分享选项，二维码保留在最后
+     */
+    renderShareOptions() {
+        const shareOptions = document.getElementById('shareOptions');
+        if (!shareOptions) return;
+        
+        shareOptions.querySelectorAll('[data-share-target]').forEach(button => button.remove());
+        const fragment = document.createDocumentFragment();
+        ShareTargets.getAvailable().forEach(target => {
+            const button = document.createElement('button');
+            button.className = 'share-option';
+            button.dataset.shareTarget = target.id;
+            button.setAttribute('aria-label', target.popup && target.urlTemplate ? `分享到${target.label}` : target.label);
+            if (target.color) {
+                button.style.setProperty('--share-color', target.color);
+            }
+            
+            const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            icon.setAttribute('width', '16');
+            icon.setAttribute('height', '16');
+            icon.setAttribute('viewBox', '0 0 24 24');
+            icon.setAttribute('fill', 'currentColor');
+            icon.setAttribute('aria-hidden', 'true');
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', target.icon);
+            icon.appendChild(path);
+            
+            button.append(icon, target.label);
+            fragment.appendChild(button);
+        });
+        shareOptions.insertBefore(fragment, shareOptions.firstChild);
+    },
+
+    /**
+     * 复制链接到剪贴板
+     */
+    async copyLink() {
+        try {
+            await this.copyToClipboard(this.generateShareText(this.currentBlessing, 'copy'));
+            this.showShareSuccess('祝福语和链接已复制到剪贴板');
+        } catch (error) {
+            console.error('复制链接失败:', error);
+            this.showTemporaryMessage('复制失败，请重试', 'error');
+        }
+    },
+
+    /**
+     * 复制文本到剪贴板
+     * @param {string} text - 要复制的文本
+     */
+    async copyToClipboard(text) {
+        try {
+            if (navigator.clipboard && window.isSecureContext) {
+                // 使用现代 Clipboard API
+                await navigator.clipboard.writeText(text);
+            } else {
+                // 降级方案：使用传统方法
+                const textArea = document.createElement('textarea');
+                textArea.value = text;
+                textArea.style.position = 'fixed';
+                textArea.style.left = '-999999px';
+                textArea.style.top = '-999999px';
+                document.body.appendChild(textArea);
+                textArea.focus();
+                textArea.select();
+                
+                const successful = document.execCommand('copy');
+                document.body.removeChild(textArea);
+                
+                if (!successful) {
+                    throw new Error('复制命令执行失败');
+                }
+            }
+        } catch (error) {
+            console.error('复制到剪贴板失败:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * 显示分享成功提示
+     * @param {string} message - 成功消息
+     */
+    showShareSuccess(message) {
+        const successElement = document.createElement('div');
+        successElement.className = 'share-success';
+        successElement.textContent = message;
+        successElement.setAttribute('role', 'alert');
+        successElement.setAttribute('aria-live', 'polite');
+        
+        document.body.appendChild(successElement);
+        
+        setTimeout(() => {
+            if (successElement.parentNode) {
+                document.body.removeChild(successElement);
+            }
+        }, 2000);
+    },
+
+    /**
+     * 显示分享提示
+     * @param {string} message - 提示消息
+     */
+    showShareTip(message) {
+        this.showTemporaryMessage(message, 'info', { duration: 4000 });
+    },
+
+    /**
+     * 切换分享选项显示
+     */
+    toggleShareOptions() {
+        const shareOptions = document.getElementById('shareOptions');
+        if (shareOptions) {
+            const isVisible = shareOptions.style.display !== 'none';
+            shareOptions.style.display = isVisible ? 'none' : 'flex';
+            document.getElementById('shareMoreBtn')?.setAttribute('aria-expanded', String(!isVisible));
+            if (!isVisible) {
+                this.updateShareQRCode();
+                this.updateShareTemplatePreview();
+            }
+            
+            // 为屏幕阅读器宣布状态
+            this.announceToScreenReader(isVisible ? '分享选项已隐藏' : '分享选项已显示');
+        }
+    },
+
+    /**
+     * 在分享选项中显示当前祝福语链接的二维码，方便微信扫码打开
+     */
+    updateShareQRCode() {
+        const qrCode = document.getElementById('shareQrCode');
+        const caption = document.getElementById('shareQrCaption');
+        if (!qrCode || !caption) return;
+        
+        try {
+            const qr = QRCodeEncoder.encode(this.generateShareUrl());
+            const viewBoxSize = qr.size + 8;
+            qrCode.setAttribute('viewBox', `0 0 ${viewBoxSize} ${viewBoxSize}`);
+            qrCode.querySelector('path').setAttribute('d', QRCodeEncoder.toSvgPath(qr));
+            qrCode.style.display = '';
+            caption.textContent = '微信扫一扫，打开这条祝福';
+        } catch (error) {
+            qrCode.style.display = 'none';
+            caption.textContent = '链接过长，无法生成二维码';
+        }
+    },
+
+    /**
+     * 初始化分享控制功能
+     */
+    initializeShareControl() {
+        const shareToggle = document.getElementById('shareToggle');
+        const shareButtons = document.getElementById('shareButtons');
+        
+        if (shareToggle && shareButtons) {
+            // 设置初始状态
+            shareToggle.checked = this.shareEnabled;
+            shareButtons.style.display = this.shareEnabled ? 'block' : 'none';
+            
+            // 监听开关变化
+            shareToggle.addEventListener('change', (e) => {
+                this.shareEnabled = e.target.checked;
+                shareButtons.style.display = this.shareEnabled ? 'block' : 'none';
+                this.saveShareSettings();
+                
+                // 更新页面布局
+                this.updatePageLayout();
+                
+                const message = this.shareEnabled ? '分享功能已启用' : '分享功能已禁用';
+                this.showTemporaryMessage(message, 'info');
+                this.announceToScreenReader(message);
+            });
+        }
+    },
+
+    /**
+     * 初始化收藏功能
+     */
+    initializeFavoriteFeature() {
+        const favoriteBtn = document.getElementById('favoriteBtn');
+        const viewFavoritesBtn = document.getElementById('viewFavoritesBtn');
+        const clearFavorites = document.getElementById('clearFavorites');
+        
+        if (favoriteBtn) {
+            favoriteBtn.addEventListener('click', () => {
+                this.toggleFavorite();
+            });
+        }
+        
+        if (viewFavoritesBtn) {
+            viewFavoritesBtn.addEventListener('click', () => {
+                this.toggleFavoritesView();
+            });
+        }
+        
+        if (clearFavorites) {
+            clearFavorites.addEventListener('click', () => {
+                this.clearAllFavorites();
+            });
+        }
+        
+        // 收藏列表项的操作按钮统一在列表上处理
+        const favoritesList = document.getElementById('favoritesList');
+        if (favoritesList) {
+            favoritesList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (button && button.dataset.action === 'load-more') {
+                    this.loadMoreFavorites();
+                    return;
+                }
+                
+                const item = e.target.closest('[data-blessing-id]');
+                if (!button || !item) return;
+                
+                this.handleFavoriteAction(button.dataset.action, item, button);
+            });
+            
+            favoritesList.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const item = e.target.closest('[data-blessing-id]');
+                if (item) {
+                    this.saveFavoriteDetails(item.dataset.blessingId, e.target);
+                }
+            });
+        }
+        
+        // 收藏列表的搜索、排序和筛选
+        const favoritesSearchInput = document.getElementById('favoritesSearchInput');
+        const sortSelect = document.getElementById('favoritesSortSelect');
+        const categoryFilter = document.getElementById('favoritesCategoryFilter');
+        const collectionFilter = document.getElementById('favoritesCollectionFilter');
+        const tagFilter = document.getElementById('favoritesTagFilter');
+        const createCollectionBtn = document.getElementById('createCollectionBtn');
+        const deleteCollectionBtn = document.getElementById('deleteCollectionBtn');
+        
+        if (favoritesSearchInput) {
+            let favoritesSearchTimeout;
+            favoritesSearchInput.addEventListener('input', (e) => {
+                clearTimeout(favoritesSearchTimeout);
+                favoritesSearchTimeout = setTimeout(() => {
+                    this.setFavoriteFilter('query', e.target.value.trim());
+                }, 200);
+            });
+        }
+        
+        if (sortSelect) {
+            sortSelect.value = this.favoriteSort;
+            sortSelect.addEventListener('change', (e) => {
+                this.favoriteSort = e.target.value;
+                this.favoritesVisibleCount = this.favoritesPageSize;
+                this.updateFavoritesList();
+            });
+        }
+        
+        if (categoryFilter) {
+            categoryFilter.addEventListener('change', (e) => {
+                this.setFavoriteFilter('category', e.target.value);
+            });
+        }
+        
+        if (collectionFilter) {
+            collectionFilter.addEventListener('change', (e) => {
+                this.setFavoriteFilter('collectionId', e.target.value);
+            });
+        }
+        
+        if (tagFilter) {
+            tagFilter.addEventListener('change', (e) => {
+                this.setFavoriteFilter('tag', e.target.value);
+            });
+        }
+        
+        if (createCollectionBtn) {
+            createCollectionBtn.addEventListener('click', () => {
+                const name = prompt('请输入收藏夹名称，例如"给组长的祝福"');
+                if (name !== null) {
+                    this.createCollection(name);
+                }
+            });
+        }
+        
+        if (deleteCollectionBtn) {
+            deleteCollectionBtn.addEventListener('click', () => {
+                this.deleteCollection(this.favoriteFilter.collectionId);
+            });
+        }
+        
+        const exportFormat = document.getElementById('favoritesExportFormat');
+        const downloadFavoritesBtn = document.getElementById('downloadFavoritesBtn');
+        const copyFavoritesBtn = document.getElementById('copyFavoritesBtn');
+        
+        if (exportFormat && downloadFavoritesBtn) {
+            downloadFavoritesBtn.addEventListener('click', () => {
+                this.downloadFavorites(exportFormat.value);
+            });
+        }
+        
+        if (exportFormat && copyFavoritesBtn) {
+            copyFavoritesBtn.addEventListener('click', () => {
+                this.copyFavorites(exportFormat.value);
+            });
+        }
+        
+        this.updateFavoritesCount();
+    },
+
+    /**
+     * 初始化收藏控制功能
+     */
+    initializeFavoriteControl() {
+        const favoriteToggle = document.getElementById('favoriteToggle');
+        const favoriteButtons = document.querySelectorAll('#favoriteBtn, #viewFavoritesBtn');
+        
+        if (favoriteToggle) {
+            // 设置初始状态
+            favoriteToggle.checked = this.favoriteEnabled;
+            
+            // 监听开关变化
+            favoriteToggle.addEventListener('change', (e) => {
+                this.favoriteEnabled = e.target.checked;
+                this.saveFavoriteSettings();
+                
+                // 更新收藏按钮显示状态
+                favoriteButtons.forEach(btn => {
+                    if (btn) {
+                        btn.style.display = this.favoriteEnabled ? 'block' : 'none';
+                    }
+                });
+                
+                // 更新页面布局
+                this.updatePageLayout();
+                
+                // 显示提示信息
+                const message = this.favoriteEnabled ? '收藏功能已启用' : '收藏功能已禁用';
+                this.showTemporaryMessage(message, 'info');
+                
+                console.log(`📝 收藏功能${this.favoriteEnabled ? '启用' : '禁用'}`);
+            });
+            
+            // 初始化按钮显示状态
+            favoriteButtons.forEach(btn => {
+                if (btn) {
+                    btn.style.display = this.favoriteEnabled ? 'block' : 'none';
+                }
+            });
+            
+            // 初始化页面布局
+            this.updatePageLayout();
+        }
+        
+        console.log('✅ 收藏控制功能已初始化');
+    },
+
+    /**
+     * 更新页面布局
+     */
+    updatePageLayout() {
+        const container = document.querySelector('.container');
+        const blessingDisplay = document.querySelector('.blessing-display');
+        
+        if (container && blessingDisplay) {
+            // 检查收藏和分享功能是否都关闭
+            const bothDisabled = !this.favoriteEnabled && !this.shareEnabled;
+            
+            if (bothDisabled) {
+                // 当两个功能都关闭时，使内容垂直水平居中
+                container.style.justifyContent = 'center';
+                container.style.alignItems = 'center';
+                blessingDisplay.style.textAlign = 'center';
+            } else {
+                // 恢复默认布局
+                container.style.justifyContent = '';
+                container.style.alignItems = '';
+                blessingDisplay.style.textAlign = '';
+            }
+        }
+    },
+
+    /**
+     * 切换当前祝福语的收藏状态
+     */
+    toggleFavorite() {
+        if (!this.currentBlessing) {
+            this.showTemporaryMessage('请先生成一条祝福语', 'warning');
+            return;
+        }
+        
+        const blessingId = this.currentBlessing.id;
+        const favoriteBtn = document.getElementById('favoriteBtn');
+        const favoriteText = favoriteBtn.querySelector('.favorite-text');
+        const favoriteIcon = favoriteBtn.querySelector('.favorite-icon');
+        
+        if (this.favorites.has(blessingId)) {
+            // 取消收藏：移入回收站并提供撤销，保留备注、标签和收藏夹
+            this.moveFavoritesToTrash([blessingId]);
+            this.showUndoMessage('已取消收藏', [blessingId]);
+            this.announceToScreenReader('已取消收藏这条祝福语，可以撤销');
+        } else {
+            // 添加收藏
+            this.favorites.set(blessingId, { blessingId, addedAt: Date.now(), note: '', tags: [], collectionIds: [] });
+            favoriteBtn.classList.add('favorited');
+            favoriteText.textContent = '已收藏';
+            favoriteIcon.setAttribute('fill', 'currentColor');
+            favoriteIcon.setAttribute('stroke', 'none');
+            this.showTemporaryMessage('已添加到收藏', 'success');
+            this.announceToScreenReader('已收藏这条祝福语');
+        }
+        
+        this.saveFavorites();
+        this.updateFavoritesCount();
+        this.updateFavoritesList();
+    },
+
+    /**
+     * 更新收藏按钮状态
+     */
+    updateFavoriteButton() {
+        if (!this.currentBlessing) return;
+        
+        const favoriteBtn = document.getElementById('favoriteBtn');
+        const favoriteText = favoriteBtn.querySelector('.favorite-text');
+        const favoriteIcon = favoriteBtn.querySelector('.favorite-icon');
+        
+        if (this.favorites.has(this.currentBlessing.id)) {
+            favoriteBtn.classList.add('favorited');
+            favoriteText.textContent = '已收藏';
+            favoriteIcon.setAttribute('fill', 'currentColor');
+            favoriteIcon.setAttribute('stroke', 'none');
+        } else {
+            favoriteBtn.classList.remove('favorited');
+            favoriteText.textContent = '收藏';
+            favoriteIcon.setAttribute('fill', 'none');
+            favoriteIcon.setAttribute('stroke', 'currentColor');
         }
     },
-    
+
     /**
-     * 加载下一页祝福语数据
-     * 实现分页加载以提高性能
+     * 切换收藏列表的显示/隐藏
      */
-    loadNextPage() {
-        const startIndex = this.currentPage * this.pageSize;
-        const endIndex = Math.min(startIndex + this.pageSize, this.allBlessings.length);
+    toggleFavoritesView() {
+        const favoritesSection = document.getElementById('favoritesSection');
+        const isVisible = favoritesSection.style.display !== 'none';
         
-        for (let i = startIndex; i < endIndex; i++) {
-            this.loadedBlessings.push(this.allBlessings[i]);
+        if (isVisible) {
+            favoritesSection.style.display = 'none';
+            this.announceToScreenReader('收藏列表已关闭');
+        } else {
+            favoritesSection.style.display = 'block';
+            this.updateFavoritesList();
+            this.announceToScreenReader('收藏列表已打开');
         }
-        
-        this.currentPage++;
-        console.log(`📖 已加载第 ${this.currentPage} 页祝福语，当前可用: ${this.loadedBlessings.length}/${this.allBlessings.length}`);
-    },
-    
-    /**
-     * 获取所有祝福语数据
-     * @returns {Array<Object>} 所有祝福语数组
-     */
-    getAllBlessings() {
-        return this.allBlessings;
     },
-    
+
     /**
-     * 获取已加载的祝福语数据
-     * @returns {Array<Object>} 已加载的祝福语数组
+     * 更新收藏数量显示
      */
-    getLoadedBlessings() {
-        return this.loadedBlessings;
+    updateFavoritesCount() {
+        const favoritesCount = document.getElementById('favoritesCount');
+        if (favoritesCount) {
+            favoritesCount.textContent = `(${this.favorites.size})`;
+        }
     },
 
     /**
-     * 搜索祝福语
-     * @param {string} keyword - 搜索关键词
-     * @returns {Array<Object>} 搜索结果数组
+     * 更新收藏列表显示
+     * 使用模板克隆节点并通过textContent填充，避免祝福语内容被当作HTML解析
      */
-    searchBlessings(keyword) {
-        try {
-            if (!keyword || keyword.trim() === '') {
-                return [];
+    updateFavoritesList() {
+        const favoritesList = document.getElementById('favoritesList');
+        if (!favoritesList) return;
+        
+        this.updateFavoriteFilters();
+        const entries = this.sortFavoriteEntries(this.filterFavoriteEntries(this.getFavoriteEntries()));
+        favoritesList.textContent = '';
+        this.updateFavoritesSummary(entries.length);
+        
+        if (entries.length === 0) {
+            const emptyTemplate = document.getElementById('emptyFavoritesTemplate');
+            const empty = emptyTemplate.content.cloneNode(true);
+            if (this.favorites.size > 0) {
+                // 有收藏但被筛选条件过滤掉
+                empty.querySelector('p').textContent = '没有符合筛选条件的收藏';
+                empty.querySelector('.empty-tip').textContent = '试试换个关键词，或切换分类、收藏夹和标签';
             }
+            favoritesList.appendChild(empty);
+            return;
+        }
+        
+        const itemTemplate = document.getElementById('favoriteItemTemplate');
+        const fragment = document.createDocumentFragment();
+        // 收藏较多时分批渲染，避免一次创建过多节点
+        entries.slice(0, this.favoritesVisibleCount).forEach(entry => {
+            const item = itemTemplate.content.firstElementChild.cloneNode(true);
+            item.dataset.blessingId = entry.blessingId;
+            item.querySelector('.favorite-text').textContent = entry.text;
+            item.querySelector('.favorite-category').textContent = entry.category;
             
-            // 验证搜索关键词长度
-            if (keyword.length > 100) {
-                this.showTemporaryMessage('搜索关键词过长，请输入较短的关键词', 'warning');
-                return [];
+            const collectionNames = entry.collectionIds
+                .map(id => this.favoriteCollections.find(collection => collection.id === id))
+                .filter(Boolean)
+                .map(collection => collection.name);
+            if (collectionNames.length > 0) {
+                const collections = item.querySelector('.favorite-collections');
+                collections.textContent = `📁 ${collectionNames.join('、')}`;
+                collections.hidden = false;
             }
             
-            const searchTerm = keyword.toLowerCase().trim();
-            const results = [];
-            
-            // 验证数据完整性
-            if (!this.allBlessings || !Array.isArray(this.allBlessings)) {
-                throw new Error('祝福语数据不可用');
+            if (entry.tags.length > 0) {
+                const tags = item.querySelector('.favorite-tags');
+                entry.tags.forEach(tag => {
+                    const chip = document.createElement('button');
+                    chip.className = 'favorite-tag';
+                    chip.dataset.action = 'filter-tag';
+                    chip.dataset.tag = tag;
+                    chip.textContent = `#${tag}`;
+                    chip.setAttribute('aria-label', `筛选标签：${tag}`);
+                    tags.appendChild(chip);
+                });
+                tags.hidden = false;
             }
             
-            // 搜索所有祝福语
-            this.allBlessings.forEach((blessing, index) => {
-                try {
-                    if (blessing && blessing.text && blessing.category) {
-                        if (blessing.text.toLowerCase().includes(searchTerm) || 
-                            blessing.category.toLowerCase().includes(searchTerm)) {
-                            results.push({
-                                ...blessing,
-                                index: index,
-                                displayed: this.displayedBlessings.has(index)
-                            });
-                        }
-                    }
-                } catch (itemError) {
-                    console.warn(`搜索第${index}条祝福语时出错:`, itemError);
-                }
-            });
+            if (entry.note) {
+                const note = item.querySelector('.favorite-note');
+                note.textContent = entry.note;
+                note.hidden = false;
+            }
             
-            return results;
-        } catch (error) {
-            console.error('搜索功能出错:', error);
-            this.showTemporaryMessage('搜索功能暂时不可用，请稍后重试', 'error');
-            return [];
+            fragment.appendChild(item);
+        });
+        
+        const remaining = entries.length - this.favoritesVisibleCount;
+        if (remaining > 0) {
+            const loadMore = document.createElement('button');
+            loadMore.className = 'favorites-load-more';
+            loadMore.dataset.action = 'load-more';
+            loadMore.textContent = `加载更多（还有 ${remaining} 条）`;
+            fragment.appendChild(loadMore);
         }
+        
+        favoritesList.appendChild(fragment);
     },
 
     /**
-     * 显示搜索结果
-     * @param {Array<Object>} results - 搜索结果数组
-     * @param {string} keyword - 搜索关键词
+     * 加载下一批收藏
      */
-    showSearchResults(results, keyword) {
-        const searchResults = document.getElementById('searchResults');
-        const searchResultsList = document.getElementById('searchResultsList');
-        const searchResultsTitle = searchResults.querySelector('h3');
+    loadMoreFavorites() {
+        const favoritesList = document.getElementById('favoritesList');
+        const previousCount = this.favoritesVisibleCount;
+        this.favoritesVisibleCount += this.favoritesPageSize;
+        this.updateFavoritesList();
         
-        if (results.length === 0) {
-            searchResultsTitle.textContent = `未找到包含"${keyword}"的祝福语`;
-            searchResultsList.innerHTML = '<div class="search-result-item"><div class="search-result-text">没有找到相关祝福语，请尝试其他关键词</div></div>';
-        } else {
-            searchResultsTitle.textContent = `找到 ${results.length} 条包含"${keyword}"的祝福语`;
-            searchResultsList.innerHTML = '';
-            
-            results.forEach((result, index) => {
-                const item = document.createElement('div');
-                item.className = `search-result-item ${result.displayed ? 'displayed' : ''}`;
-                item.setAttribute('role', 'listitem');
-                item.setAttribute('tabindex', '0');
-                item.setAttribute('aria-label', `祝福语：${result.text}，${result.displayed ? '，已显示过' : ''}`);
-                
-                item.innerHTML = `
-                    <div class="search-result-text">${result.text}</div>
-                    ${result.displayed ? '<div class="search-result-status">✓ 已显示过</div>' : ''}
-                `;
-                
-                // 点击搜索结果直接显示该祝福语
-                const selectResult = () => {
-                    this.showSpecificBlessing(result.index);
-                    this.hideSearchResults();
-                    this.announceToScreenReader(`已选择祝福语：${result.text}`);
-                };
-                
-                item.addEventListener('click', selectResult);
-                item.addEventListener('keydown', (e) => {
-                    if (e.code === 'Enter' || e.code === 'Space') {
-                        e.preventDefault();
-                        selectResult();
-                    }
-                });
-                
-                searchResultsList.appendChild(item);
-            });
+        // 焦点移到新加载的第一条，方便键盘用户继续浏览
+        const firstNewItem = favoritesList.querySelectorAll('.favorite-item')[previousCount];
+        if (firstNewItem) {
+            firstNewItem.setAttribute('tabindex', '-1');
+            firstNewItem.focus();
         }
+    },
+
+    /**
+     * 更新收藏筛选条件，并从第一页重新渲染
+     * @param {string} field - 筛选字段（query / category / collectionId / tag）
+     * @param {string} value - 筛选值
+     */
+    setFavoriteFilter(field, value) {
+        this.favoriteFilter[field] = value;
+        this.favoritesVisibleCount = this.favoritesPageSize;
+        this.updateFavoritesList();
+    },
+
+    /**
+     * 更新收藏筛选结果摘要
+     * @param {number} matchedCount - 符合条件的收藏数量
+     */
+    updateFavoritesSummary(matchedCount) {
+        const summary = document.getElementById('favoritesSummary');
+        if (!summary) return;
         
-        searchResults.style.display = 'block';
-        searchResults.scrollIntoView({ behavior: 'smooth' });
+        const { collectionId, tag, category, query } = this.favoriteFilter;
+        const isFiltered = collectionId || tag || category || query;
+        summary.textContent = isFiltered && this.favorites.size > 0
+            ? `显示 ${matchedCount} / ${this.favorites.size} 条收藏`
+            : '';
     },
 
     /**
-     * 显示特定索引的祝福语
-     * @param {number} index - 祝福语在数组中的索引
+     * 处理收藏列表项上的操作
+     * @param {string} action - 操作类型（copy / share-card / remove / edit / cancel-edit / filter-tag）
+     * @param {HTMLElement} item - 收藏列表项
+     * @param {HTMLElement} button - 触发操作的按钮
      */
-    showSpecificBlessing(index) {
-        const blessing = this.allBlessings[index];
-        if (!blessing) return;
+    handleFavoriteAction(action, item, button) {
+        const blessingId = item.dataset.blessingId;
+        const blessing = this.getBlessingById(blessingId);
         
-        // 确保该祝福语已加载
-        if (!this.loadedBlessings.some(b => b.text === blessing.text)) {
-            this.loadedBlessings.push(blessing);
+        switch (action) {
+            case 'copy':
+                if (blessing) {
+                    this.copyFavoriteText(blessing.text);
+                }
+                break;
+            case 'share-card':
+                if (blessing) {
+                    this.shareCardImage(blessing);
+                }
+                break;
+            case 'remove':
+                this.removeFavorite(blessingId);
+                break;
+            case 'edit':
+                this.toggleFavoriteEditor(item);
+                break;
+            case 'cancel-edit':
+                this.toggleFavoriteEditor(item);
+                break;
+            case 'filter-tag':
+                this.setFavoriteFilter('tag', button.dataset.tag);
+                this.announceToScreenReader(`已筛选标签：${button.dataset.tag}`);
+                break;
         }
-        
-        this.showBlessing(blessing);
-        
-        // 标记为已显示
-        this.displayedBlessings.add(index);
-        this.saveProgress();
     },
 
     /**
-     * 隐藏搜索结果面板
+     * 按当前收藏夹和标签筛选收藏条目
+     * @param {Array<Object>} entries - 收藏条目
+     * @returns {Array<Object>} 筛选后的条目
      */
-    hideSearchResults() {
-        document.getElementById('searchResults').style.display = 'none';
+    filterFavoriteEntries(entries) {
+        const { collectionId, tag, category, query } = this.favoriteFilter;
+        const searchTerm = query.toLowerCase();
+        return entries.filter(entry =>
+            (!collectionId || entry.collectionIds.includes(collectionId)) &&
+            (!tag || entry.tags.includes(tag)) &&
+            (!category || entry.category === category) &&
+            (!searchTerm || [entry.text, entry.category, entry.note, ...entry.tags]
+                .some(value => value.toLowerCase().includes(searchTerm)))
+        );
     },
 
     /**
-     * 清除搜索输入和结果
+     * 按当前排序方式排列收藏条目
+     * @param {Array<Object>} entries - 收藏条目（按收藏顺序）
+     * @returns {Array<Object>} 排序后的新数组
      */
-    clearSearch() {
-        document.getElementById('searchInput').value = '';
-        this.hideSearchResults();
+    sortFavoriteEntries(entries) {
+        // 旧收藏没有收藏时间，按原有顺序视为最早
+        const addedAt = entry => entry.addedAt || 0;
+        const comparators = {
+            'added-desc': (a, b) => addedAt(b) - addedAt(a),
+            'added-asc': (a, b) => addedAt(a) - addedAt(b),
+            'category': (a, b) => a.category.localeCompare(b.category, 'zh-CN') || addedAt(b) - addedAt(a),
+            'length-asc': (a, b) => a.text.length - b.text.length,
+            'length-desc': (a, b) => b.text.length - a.text.length
+        };
+        const comparator = comparators[this.favoriteSort] || comparators['added-desc'];
+        // Array.prototype.sort 是稳定排序，相同值保持收藏顺序
+        return entries.slice().sort(comparator);
     },
 
     /**
-     * 处理模态框中的Tab键导航
-     * @param {KeyboardEvent} e - 键盘事件对象
+     * 获取所有收藏中使用过的标签（按使用次数从多到少）
+     * @returns {Array<string>}
      */
-    handleModalTabNavigation(e) {
-        const modal = document.getElementById('completionModal');
-        const focusableElements = modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+    getFavoriteTags() {
+        const counts = new Map();
+        this.favorites.forEach(favorite => {
+            favorite.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b, 'zh-CN'));
+    },
 
-        if (e.shiftKey) {
-            if (document.activeElement === firstElement) {
-                e.preventDefault();
-                lastElement.focus();
-            }
-        } else {
-            if (document.activeElement === lastElement) {
-                e.preventDefault();
-                firstElement.focus();
-            }
+    /**
+     * 刷新分类、收藏夹和标签筛选下拉框，已失效的筛选条件会被重置
+     */
+    updateFavoriteFilters() {
+        const categoryFilter = document.getElementById('favoritesCategoryFilter');
+        const collectionFilter = document.getElementById('favoritesCollectionFilter');
+        const tagFilter = document.getElementById('favoritesTagFilter');
+        const deleteCollectionBtn = document.getElementById('deleteCollectionBtn');
+        
+        const categories = Array.from(new Set(this.getFavoriteEntries().map(entry => entry.category)));
+        if (!categories.includes(this.favoriteFilter.category)) {
+            this.favoriteFilter.category = '';
+        }
+        
+        if (!this.favoriteCollections.some(collection => collection.id === this.favoriteFilter.collectionId)) {
+            this.favoriteFilter.collectionId = '';
+        }
+        const tags = this.getFavoriteTags();
+        if (!tags.includes(this.favoriteFilter.tag)) {
+            this.favoriteFilter.tag = '';
+        }
+        
+        if (categoryFilter) {
+            this.fillSelectOptions(categoryFilter, '全部分类',
+                categories.map(category => [category, category]), this.favoriteFilter.category);
+        }
+        if (collectionFilter) {
+            this.fillSelectOptions(collectionFilter, '全部收藏',
+                this.favoriteCollections.map(collection => [collection.id, collection.name]),
+                this.favoriteFilter.collectionId);
+        }
+        if (tagFilter) {
+            this.fillSelectOptions(tagFilter, '全部标签', tags.map(tag => [tag, `#${tag}`]), this.favoriteFilter.tag);
+        }
+        if (deleteCollectionBtn) {
+            deleteCollectionBtn.hidden = !this.favoriteFilter.collectionId;
         }
     },
 
     /**
-     * 设置搜索结果的键盘导航功能
-     * 支持方向键和回车键操作
+     * 重新填充下拉框选项
+     * @param {HTMLSelectElement} select - 下拉框
+     * @param {string} allLabel - "全部"选项的文字
+     * @param {Array<Array<string>>} options - [值, 文字] 列表
+     * @param {string} selected - 选中的值
      */
-    setupSearchResultsNavigation() {
-        const searchResultsList = document.getElementById('searchResultsList');
-        
-        searchResultsList.addEventListener('keydown', (e) => {
-            const items = searchResultsList.querySelectorAll('.search-result-item');
-            const currentIndex = Array.from(items).indexOf(document.activeElement);
-            
-            switch (e.code) {
-                case 'ArrowDown':
-                    e.preventDefault();
-                    const nextIndex = (currentIndex + 1) % items.length;
-                    items[nextIndex]?.focus();
-                    break;
-                case 'ArrowUp':
-                    e.preventDefault();
-                    const prevIndex = currentIndex === 0 ? items.length - 1 : currentIndex - 1;
-                    items[prevIndex]?.focus();
-                    break;
-                case 'Enter':
-                case 'Space':
-                    e.preventDefault();
-                    document.activeElement.click();
-                    break;
-            }
+    fillSelectOptions(select, allLabel, options, selected) {
+        select.textContent = '';
+        select.appendChild(new Option(allLabel, ''));
+        options.forEach(([value, label]) => {
+            select.appendChild(new Option(label, value));
         });
+        select.value = selected;
     },
 
     /**
-     * 向屏幕阅读器宣布状态变化
-     * @param {string} message - 要宣布的消息内容
+     * 新建收藏夹
+     * @param {string} name - 收藏夹名称
+     * @returns {Object|null} 新建的收藏夹
      */
-    announceToScreenReader(message) {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.className = 'sr-only';
-        announcement.textContent = message;
+    createCollection(name) {
+        const trimmed = String(name).trim().slice(0, 30);
+        if (!trimmed) {
+            this.showTemporaryMessage('收藏夹名称不能为空', 'warning');
+            return null;
+        }
+        if (this.favoriteCollections.some(collection => collection.name === trimmed)) {
+            this.showTemporaryMessage(`收藏夹"${trimmed}"已存在`, 'warning');
+            return null;
+        }
         
-        document.body.appendChild(announcement);
+        const collection = { id: `collection-${Date.now().toString(36)}`, name: trimmed, createdAt: Date.now() };
+        this.favoriteCollections.push(collection);
+        this.saveFavorites();
+        this.updateFavoritesList();
+        this.showTemporaryMessage(`已新建收藏夹"${trimmed}"，可在收藏的编辑中加入`, 'success');
+        return collection;
+    },
+
+    /**
+     * 删除收藏夹（收藏本身保留，只移除归属关系）
+     * @param {string} collectionId - 收藏夹id
+     */
+    deleteCollection(collectionId) {
+        const collection = this.favoriteCollections.find(item => item.id === collectionId);
+        if (!collection) return;
         
-        setTimeout(() => {
-            document.body.removeChild(announcement);
-        }, 1000);
+        if (!confirm(`确定要删除收藏夹"${collection.name}"吗？其中的收藏不会被删除。`)) {
+            return;
+        }
+        
+        this.favoriteCollections = this.favoriteCollections.filter(item => item.id !== collectionId);
+        this.favorites.forEach(favorite => {
+            favorite.collectionIds = favorite.collectionIds.filter(id => id !== collectionId);
+        });
+        this.favoriteFilter.collectionId = '';
+        this.saveFavorites();
+        this.updateFavoritesList();
+        this.showTemporaryMessage(`已删除收藏夹"${collection.name}"`, 'info');
     },
 
     /**
-     * 生成分享文本
-     * @param {Object} blessing - 祝福语对象
-     * @returns {string} 格式化的分享文本
+     * 展开或收起收藏项的编辑表单（备注、标签、收藏夹）
+     * @param {HTMLElement} item - 收藏列表项
      */
-    generateShareText(blessing) {
-        if (!blessing) {
-            blessing = this.currentBlessing;
+    toggleFavoriteEditor(item) {
+        const existing = item.querySelector('.favorite-editor');
+        if (existing) {
+            existing.remove();
+            return;
         }
         
-        if (!blessing) {
-            return '1024程序员节快乐！愿所有程序员都能收获满满的祝福！';
+        const favorite = this.favorites.get(item.dataset.blessingId);
+        if (!favorite) return;
+        
+        const editor = document.createElement('form');
+        editor.className = 'favorite-editor';
+        
+        const note = document.createElement('textarea');
+        note.name = 'note';
+        note.rows = 2;
+        note.maxLength = 200;
+        note.placeholder = '写点备注，比如打算送给谁';
+        note.value = favorite.note;
+        note.setAttribute('aria-label', '备注');
+        
+        const tags = document.createElement('input');
+        tags.type = 'text';
+        tags.name = 'tags';
+        tags.placeholder = '标签，用逗号或空格分隔';
+        tags.value = favorite.tags.join(', ');
+        tags.setAttribute('aria-label', '标签');
+        
+        const collections = document.createElement('fieldset');
+        collections.className = 'favorite-editor-collections';
+        this.favoriteCollections.forEach(collection => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'collections';
+            checkbox.value = collection.id;
+            checkbox.checked = favorite.collectionIds.includes(collection.id);
+            label.append(checkbox, ` ${collection.name}`);
+            collections.appendChild(label);
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'favorite-editor-actions';
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.className = 'favorites-export-btn';
+        saveButton.textContent = '保存';
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'favorites-export-btn';
+        cancelButton.dataset.action = 'cancel-edit';
+        cancelButton.textContent = '取消';
+        actions.append(saveButton, cancelButton);
+        
+        editor.append(note, tags);
+        if (this.favoriteCollections.length > 0) {
+            editor.appendChild(collections);
         }
+        editor.appendChild(actions);
+        item.querySelector('.favorite-content').appendChild(editor);
+        note.focus();
+    },
+
+    /**
+     * 保存收藏项的备注、标签和收藏夹
+     * @param {string} blessingId - 祝福语id
+     * @param {HTMLFormElement} form - 编辑表单
+     */
+    saveFavoriteDetails(blessingId, form) {
+        const favorite = this.favorites.get(blessingId);
+        if (!favorite) return;
         
-        return `${blessing.text}\n\n——来自1024程序员节\n#1024程序员节 #程序员祝福`;
+        favorite.note = form.elements.note.value.trim();
+        favorite.tags = this.parseTags(form.elements.tags.value);
+        favorite.collectionIds = Array.from(form.querySelectorAll('input[name="collections"]:checked'))
+            .map(checkbox => checkbox.value);
+        
+        this.saveFavorites();
+        this.updateFavoritesList();
+        this.showTemporaryMessage('收藏信息已保存', 'success');
     },
 
     /**
-     * 生成分享链接
-     * @returns {string} 当前页面链接
+     * 解析用户输入的标签
+     * @param {string} input - 以逗号或空格分隔的标签
+     * @returns {Array<string>} 去重后的标签
      */
-    generateShareUrl() {
-        return window.location.href;
+    parseTags(input) {
+        const tags = String(input)
+            .split(/[,，、\s]+/)
+            .map(tag => tag.replace(/^#/, '').trim().slice(0, 20))
+            .filter(Boolean);
+        return Array.from(new Set(tags));
     },
 
     /**
-     * 分享到微信
+     * 获取收藏条目列表（按收藏顺序，跳过已从祝福语库移除的祝福语）
+     * @returns {Array<Object>} 收藏条目 { blessingId, text, category, addedAt, note }
      */
-    shareToWeChat() {
-        try {
-            const text = this.generateShareText();
-            const url = this.generateShareUrl();
+    getFavoriteEntries() {
+        const entries = [];
+        this.favorites.forEach(favorite => {
+            const blessing = this.getBlessingById(favorite.blessingId);
+            if (!blessing) return;
             
-            // 检测是否在微信环境
-            if (/MicroMessenger/i.test(navigator.userAgent)) {
-                // 在微信中，提示用户使用右上角分享
-                this.showShareTip('请点击右上角"..."按钮分享给朋友');
-            } else {
-                // 在其他环境中，复制文本到剪贴板
-                this.copyToClipboard(text + '\n' + url);
-                this.showShareSuccess('祝福语已复制，可以粘贴到微信分享');
+            entries.push({
+                ...favorite,
+                text: blessing.text,
+                category: blessing.category
+            });
+        });
+        return entries;
+    },
+
+    /**
+     * 以指定格式下载收藏列表
+     * @param {string} format - 导出格式（markdown / csv / text）
+     */
+    downloadFavorites(format) {
+        if (this.favorites.size === 0) {
+            this.showTemporaryMessage('收藏列表是空的，没有可导出的内容', 'info');
+            return;
+        }
+        
+        try {
+            const exporter = FavoritesExporter.formats[format];
+            let content = FavoritesExporter.render(format, this.getFavoriteEntries());
+            if (format === 'csv') {
+                // 添加BOM，避免Excel打开中文CSV时乱码
+                content = '\ufeff' + content;
             }
+            const date = FavoritesExporter.formatDate(Date.now()).slice(0, 10).replace(/-/g, '');
+            this.downloadFile(`1024-favorites-${date}.${exporter.extension}`, content, exporter.mimeType);
+            this.showTemporaryMessage(`收藏已导出为${exporter.label}`, 'success');
         } catch (error) {
-            console.error('微信分享失败:', error);
-            this.showTemporaryMessage('分享失败，请重试', 'error');
+            console.error('导出收藏失败:', error);
+            this.showTemporaryMessage('导出收藏失败，请重试', 'error');
         }
     },
 
     /**
-     * 分享到微博
+     * 以指定格式复制收藏列表到剪贴板
+     * @param {string} format - 导出格式（markdown / csv / text）
      */
-    shareToWeibo() {
+    async copyFavorites(format) {
+        if (this.favorites.size === 0) {
+            this.showTemporaryMessage('收藏列表是空的，没有可复制的内容', 'info');
+            return;
+        }
+        
         try {
-            const text = this.generateShareText();
-            const url = this.generateShareUrl();
-            const weiboUrl = `https://service.weibo.com/share/share.php?url=${encodeURIComponent(url)}&title=${encodeURIComponent(text)}`;
-            
-            window.open(weiboUrl, '_blank', 'width=600,height=400');
-            this.showShareSuccess('正在跳转到微博分享页面');
+            const content = FavoritesExporter.render(format, this.getFavoriteEntries());
+            await this.copyToClipboard(content);
+            this.showTemporaryMessage(`已复制${FavoritesExporter.formats[format].label}格式的收藏列表`, 'success');
         } catch (error) {
-            console.error('微博分享失败:', error);
-            this.showTemporaryMessage('分享失败，请重试', 'error');
+            this.showTemporaryMessage('复制失败', 'error');
         }
     },
 
     /**
-     * 分享到QQ
+     * 复制收藏的祝福语文本
      */
-    shareToQQ() {
+    async copyFavoriteText(text) {
         try {
-            const text = this.generateShareText();
-            const url = this.generateShareUrl();
-            const qqUrl = `https://connect.qq.com/widget/shareqq/index.html?url=${encodeURIComponent(url)}&title=${encodeURIComponent(text)}`;
-            
-            window.open(qqUrl, '_blank', 'width=600,height=400');
-            this.showShareSuccess('正在跳转到QQ分享页面');
+            await this.copyToClipboard(text);
+            this.showTemporaryMessage('祝福语已复制到剪贴板', 'success');
         } catch (error) {
-            console.error('QQ分享失败:', error);
-            this.showTemporaryMessage('分享失败，请重试', 'error');
+            this.showTemporaryMessage('复制失败', 'error');
         }
     },
 
     /**
-     * 复制链接到剪贴板
+     * 删除单个收藏
+     * @param {string} blessingId - 祝福语id
      */
-    async copyLink() {
-        try {
-            const text = this.generateShareText();
-            const url = this.generateShareUrl();
-            const shareContent = `${text}\n\n链接：${url}`;
-            
-            await this.copyToClipboard(shareContent);
-            this.showShareSuccess('祝福语和链接已复制到剪贴板');
-        } catch (error) {
-            console.error('复制链接失败:', error);
-            this.showTemporaryMessage('复制失败，请重试', 'error');
-        }
+    removeFavorite(blessingId) {
+        this.moveFavoritesToTrash([blessingId]);
+        this.showUndoMessage('已删除收藏', [blessingId]);
+        this.announceToScreenReader('已删除一条收藏，可以撤销');
     },
 
     /**
-     * 复制文本到剪贴板
-     * @param {string} text - 要复制的文本
+     * 清空所有收藏
      */
-    async copyToClipboard(text) {
-        try {
-            if (navigator.clipboard && window.isSecureContext) {
-                // 使用现代 Clipboard API
-                await navigator.clipboard.writeText(text);
-            } else {
-                // 降级方案：使用传统方法
-                const textArea = document.createElement('textarea');
-                textArea.value = text;
-                textArea.style.position = 'fixed';
-                textArea.style.left = '-999999px';
-                textArea.style.top = '-999999px';
-                document.body.appendChild(textArea);
-                textArea.focus();
-                textArea.select();
-                
-                const successful = document.execCommand('copy');
-                document.body.removeChild(textArea);
-                
-                if (!successful) {
-                    throw new Error('复制命令执行失败');
-                }
-            }
-        } catch (error) {
-            console.error('复制到剪贴板失败:', error);
-            throw error;
+    clearAllFavorites() {
+        if (this.favorites.size === 0) {
+            this.showTemporaryMessage('收藏列表已经是空的', 'info');
+            return;
+        }
+        
+        if (confirm(`确定要清空所有 ${this.favorites.size} 条收藏吗？清空的收藏会在回收站保留 ${this.trashRetentionDays} 天。`)) {
+            const blessingIds = Array.from(this.favorites.keys());
+            this.moveFavoritesToTrash(blessingIds);
+            this.showUndoMessage(`已清空 ${blessingIds.length} 条收藏`, blessingIds);
+            this.announceToScreenReader('已清空所有收藏，可以撤销');
         }
     },
 
     /**
-     * 显示分享成功提示
-     * @param {string} message - 成功消息
+     * 把收藏移入回收站
+     * @param {Array<string>} blessingIds - 祝福语id列表
      */
-    showShareSuccess(message) {
-        const successElement = document.createElement('div');
-        successElement.className = 'share-success';
-        successElement.textContent = message;
-        successElement.setAttribute('role', 'alert');
-        successElement.setAttribute('aria-live', 'polite');
+    moveFavoritesToTrash(blessingIds) {
+        const deletedAt = Date.now();
+        const removed = blessingIds
+            .filter(blessingId => this.favorites.has(blessingId))
+            .map(blessingId => ({ ...this.favorites.get(blessingId), deletedAt }));
         
-        document.body.appendChild(successElement);
+        removed.forEach(entry => this.favorites.delete(entry.blessingId));
+        // 同一条祝福语只保留最近一次删除的记录
+        this.favoritesTrash = this.favoritesTrash
+            .filter(entry => !blessingIds.includes(entry.blessingId))
+            .concat(removed);
         
-        setTimeout(() => {
-            if (successElement.parentNode) {
-                document.body.removeChild(successElement);
-            }
-        }, 2000);
+        this.saveFavorites();
+        this.saveFavoritesTrash();
+        this.refreshFavoriteViews();
     },
 
     /**
-     * 显示分享提示
-     * @param {string} message - 提示消息
+     * 从回收站恢复收藏，保留原来的收藏时间、备注、标签和收藏夹
+     * @param {Array<string>} blessingIds - 祝福语id列表
+     * @returns {number} 实际恢复的条数
      */
-    showShareTip(message) {
-        this.showTemporaryMessage(message, 'info', 4000);
+    restoreFavorites(blessingIds) {
+        const collectionIds = new Set(this.favoriteCollections.map(collection => collection.id));
+        let restored = 0;
+        
+        this.favoritesTrash
+            .filter(entry => blessingIds.includes(entry.blessingId))
+            .forEach(({ deletedAt, ...entry }) => {
+                // 删除后又重新收藏的，以当前收藏为准
+                if (this.favorites.has(entry.blessingId)) return;
+                
+                this.favorites.set(entry.blessingId, {
+                    ...entry,
+                    collectionIds: entry.collectionIds.filter(id => collectionIds.has(id))
+                });
+                restored++;
+            });
+        this.favoritesTrash = this.favoritesTrash.filter(entry => !blessingIds.includes(entry.blessingId));
+        
+        this.saveFavorites();
+        this.saveFavoritesTrash();
+        this.refreshFavoriteViews();
+        return restored;
     },
 
     /**
-     * 切换分享选项显示
+     * 从回收站永久删除收藏
+     * @param {Array<string>} blessingIds - 祝福语id列表
      */
-    toggleShareOptions() {
-        const shareOptions = document.getElementById('shareOptions');
-        if (shareOptions) {
-            const isVisible = shareOptions.style.display !== 'none';
-            shareOptions.style.display = isVisible ? 'none' : 'flex';
-            
-            // 为屏幕阅读器宣布状态
-            this.announceToScreenReader(isVisible ? '分享选项已隐藏' : '分享选项已显示');
-        }
+    purgeFavorites(blessingIds) {
+        this.favoritesTrash = this.favoritesTrash.filter(entry => !blessingIds.includes(entry.blessingId));
+        this.saveFavoritesTrash();
+        this.updateTrashList();
     },
 
     /**
-     * 初始化分享控制功能
+     * 显示带"撤销"按钮的删除提示
+     * @param {string} message - 提示内容
+     * @param {Array<string>} blessingIds - 可撤销删除的祝福语id列表
      */
-    initializeShareControl() {
-        const shareToggle = document.getElementById('shareToggle');
-        const shareButtons = document.getElementById('shareButtons');
-        
-        if (shareToggle && shareButtons) {
-            // 设置初始状态
-            shareToggle.checked = this.shareEnabled;
-            shareButtons.style.display = this.shareEnabled ? 'block' : 'none';
-            
-            // 监听开关变化
-            shareToggle.addEventListener('change', (e) => {
-                this.shareEnabled = e.target.checked;
-                shareButtons.style.display = this.shareEnabled ? 'block' : 'none';
-                this.saveShareSettings();
-                
-                // 更新页面布局
-                this.updatePageLayout();
-                
-                const message = this.shareEnabled ? '分享功能已启用' : '分享功能已禁用';
-                this.showTemporaryMessage(message, 'info');
-                this.announceToScreenReader(message);
-            });
-        }
+    showUndoMessage(message, blessingIds) {
+        this.showTemporaryMessage(message, 'info', {
+            duration: this.undoMessageDuration,
+            action: {
+                label: '撤销',
+                onClick: () => {
+                    const restored = this.restoreFavorites(blessingIds);
+                    this.showTemporaryMessage(`已恢复 ${restored} 条收藏`, 'success');
+                    this.announceToScreenReader(`已恢复 ${restored} 条收藏`);
+                }
+            }
+        });
     },
 
     /**
-     * 初始化收藏功能
+     * 刷新收藏相关的计数、列表、按钮和回收站
      */
-    initializeFavoriteFeature() {
-        const favoriteBtn = document.getElementById('favoriteBtn');
-        const viewFavoritesBtn = document.getElementById('viewFavoritesBtn');
-        const clearFavorites = document.getElementById('clearFavorites');
+    refreshFavoriteViews() {
+        this.updateFavoritesCount();
+        this.updateFavoritesList();
+        this.updateFavoriteButton();
+        this.updateTrashList();
+    },
+
+    /**
+     * 初始化收藏回收站
+     */
+    initializeFavoritesTrash() {
+        const viewTrashBtn = document.getElementById('viewTrashBtn');
+        const retentionSelect = document.getElementById('trashRetentionSelect');
+        const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+        const trashList = document.getElementById('trashList');
         
-        if (favoriteBtn) {
-            favoriteBtn.addEventListener('click', () => {
-                this.toggleFavorite();
+        if (viewTrashBtn) {
+            viewTrashBtn.addEventListener('click', () => {
+                this.toggleTrashView();
             });
         }
         
-        if (viewFavoritesBtn) {
-            viewFavoritesBtn.addEventListener('click', () => {
-                this.toggleFavoritesView();
+        if (retentionSelect) {
+            retentionSelect.value = String(this.trashRetentionDays);
+            retentionSelect.addEventListener('change', (e) => {
+                this.trashRetentionDays = Number(e.target.value);
+                this.saveFavoriteSettings();
+                this.loadFavoritesTrash(); // 缩短保留天数后立即清理过期条目
+                this.updateTrashList();
+                this.showTemporaryMessage(`删除的收藏将在回收站保留 ${this.trashRetentionDays} 天`, 'info');
             });
         }
         
-        if (clearFavorites) {
-            clearFavorites.addEventListener('click', () => {
-                this.clearAllFavorites();
+        if (emptyTrashBtn) {
+            emptyTrashBtn.addEventListener('click', () => {
+                if (this.favoritesTrash.length === 0) {
+                    this.showTemporaryMessage('回收站已经是空的', 'info');
+                    return;
+                }
+                if (confirm(`确定要永久删除回收站中的 ${this.favoritesTrash.length} 条收藏吗？此操作不可撤销。`)) {
+                    this.purgeFavorites(this.favoritesTrash.map(entry => entry.blessingId));
+                    this.showTemporaryMessage('回收站已清空', 'info');
+                }
             });
         }
         
-        this.updateFavoritesCount();
-    },
-
-    /**
-     * 初始化收藏控制功能
-     */
-    initializeFavoriteControl() {
-        const favoriteToggle = document.getElementById('favoriteToggle');
-        const favoriteButtons = document.querySelectorAll('#favoriteBtn, #viewFavoritesBtn');
-        
-        if (favoriteToggle) {
-            // 设置初始状态
-            favoriteToggle.checked = this.favoriteEnabled;
-            
-            // 监听开关变化
-            favoriteToggle.addEventListener('change', (e) => {
-                this.favoriteEnabled = e.target.checked;
-                this.saveFavoriteSettings();
-                
-                // 更新收藏按钮显示状态
-                favoriteButtons.forEach(btn => {
-                    if (btn) {
-                        btn.style.display = this.favoriteEnabled ? 'block' : 'none';
-                    }
-                });
-                
-                // 更新页面布局
-                this.updatePageLayout();
+        if (trashList) {
+            trashList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (!button) return;
                 
-                // 显示提示信息
-                const message = this.favoriteEnabled ? '收藏功能已启用' : '收藏功能已禁用';
-                this.showTemporaryMessage(message, 'info');
-                
-                console.log(`📝 收藏功能${this.favoriteEnabled ? '启用' : '禁用'}`);
-            });
-            
-            // 初始化按钮显示状态
-            favoriteButtons.forEach(btn => {
-                if (btn) {
-                    btn.style.display = this.favoriteEnabled ? 'block' : 'none';
+                const blessingId = button.closest('[data-blessing-id]').dataset.blessingId;
+                if (button.dataset.action === 'restore') {
+                    this.restoreFavorites([blessingId]);
+                    this.showTemporaryMessage('已恢复收藏', 'success');
+                    this.announceToScreenReader('已恢复一条收藏');
+                } else if (button.dataset.action === 'purge') {
+                    this.purgeFavorites([blessingId]);
+                    this.announceToScreenReader('已永久删除一条收藏');
                 }
             });
-            
-            // 初始化页面布局
-            this.updatePageLayout();
         }
         
-        console.log('✅ 收藏控制功能已初始化');
+        this.updateTrashList();
     },
 
     /**
-     * 更新页面布局
+     * 切换回收站面板的显示/隐藏
      */
-    updatePageLayout() {
-        const container = document.querySelector('.container');
-        const blessingDisplay = document.querySelector('.blessing-display');
+    toggleTrashView() {
+        const trashSection = document.getElementById('trashSection');
+        if (!trashSection) return;
         
-        if (container && blessingDisplay) {
-            // 检查收藏和分享功能是否都关闭
-            const bothDisabled = !this.favoriteEnabled && !this.shareEnabled;
-            
-            if (bothDisabled) {
-                // 当两个功能都关闭时，使内容垂直水平居中
-                container.style.justifyContent = 'center';
-                container.style.alignItems = 'center';
-                blessingDisplay.style.textAlign = 'center';
-            } else {
-                // 恢复默认布局
-                container.style.justifyContent = '';
-                container.style.alignItems = '';
-                blessingDisplay.style.textAlign = '';
-            }
+        const isVisible = trashSection.style.display !== 'none';
+        trashSection.style.display = isVisible ? 'none' : 'block';
+        if (!isVisible) {
+            this.updateTrashList();
         }
+        this.announceToScreenReader(isVisible ? '回收站已关闭' : '回收站已打开');
     },
 
     /**
-     * 切换当前祝福语的收藏状态
+     * 更新回收站列表和计数
      */
-    toggleFavorite() {
-        if (!this.currentBlessing) {
-            this.showTemporaryMessage('请先生成一条祝福语', 'warning');
-            return;
+    updateTrashList() {
+        const viewTrashBtn = document.getElementById('viewTrashBtn');
+        const trashList = document.getElementById('trashList');
+        if (viewTrashBtn) {
+            viewTrashBtn.textContent = `回收站（${this.favoritesTrash.length}）`;
         }
+        if (!trashList) return;
         
-        const blessingKey = this.getBlessingKey(this.currentBlessing);
-        const favoriteBtn = document.getElementById('favoriteBtn');
-        const favoriteText = favoriteBtn.querySelector('.favorite-text');
-        const favoriteIcon = favoriteBtn.querySelector('.favorite-icon');
+        trashList.textContent = '';
         
-        if (this.favorites.has(blessingKey)) {
-            // 取消收藏
-            this.favorites.delete(blessingKey);
-            favoriteBtn.classList.remove('favorited');
-            favoriteText.textContent = '收藏';
-            favoriteIcon.setAttribute('fill', 'none');
-            favoriteIcon.setAttribute('stroke', 'currentColor');
-            this.showTemporaryMessage('已取消收藏', 'info');
-            this.announceToScreenReader('已取消收藏这条祝福语');
-        } else {
-            // 添加收藏
-            this.favorites.add(blessingKey);
-            favoriteBtn.classList.add('favorited');
-            favoriteText.textContent = '已收藏';
-            favoriteIcon.setAttribute('fill', 'currentColor');
-            favoriteIcon.setAttribute('stroke', 'none');
-            this.showTemporaryMessage('已添加到收藏', 'success');
-            this.announceToScreenReader('已收藏这条祝福语');
+        if (this.favoritesTrash.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-favorites';
+            empty.textContent = `回收站是空的，删除的收藏会在这里保留 ${this.trashRetentionDays} 天`;
+            trashList.appendChild(empty);
+            return;
         }
         
-        this.saveFavorites();
-        this.updateFavoritesCount();
-        this.updateFavoritesList();
+        const dayMs = 24 * 60 * 60 * 1000;
+        this.favoritesTrash
+            .slice()
+            .sort((a, b) => b.deletedAt - a.deletedAt)
+            .forEach(entry => {
+                const blessing = this.getBlessingById(entry.blessingId);
+                if (!blessing) return;
+                
+                const item = document.createElement('div');
+                item.className = 'favorite-item trash-item';
+                item.setAttribute('role', 'listitem');
+                item.dataset.blessingId = entry.blessingId;
+                
+                const content = document.createElement('div');
+                content.className = 'favorite-content';
+                
+                const text = document.createElement('div');
+                text.className = 'favorite-text';
+                text.textContent = blessing.text;
+                
+                const daysLeft = Math.max(1, Math.ceil((entry.deletedAt + this.trashRetentionDays * dayMs - Date.now()) / dayMs));
+                const meta = document.createElement('div');
+                meta.className = 'favorite-category';
+                meta.textContent = `${blessing.category} · 删除于 ${FavoritesExporter.formatDate(entry.deletedAt)} · ${daysLeft} 天后永久删除`;
+                
+                content.append(text, meta);
+                
+                const actions = document.createElement('div');
+                actions.className = 'favorite-actions';
+                actions.append(
+                    this.createListActionButton('restore', '恢复', '恢复这条收藏'),
+                    this.createListActionButton('purge', '永久删除', '永久删除这条收藏')
+                );
+                
+                item.append(content, actions);
+                trashList.appendChild(item);
+            });
     },
 
     /**
-     * 获取祝福语的唯一标识
+     * 初始化数据导出/导入功能
      */
-    getBlessingKey(blessing) {
-        return `${blessing.text}_${blessing.category}`;
+    initializeBackupFeature() {
+        const exportDataBtn = document.getElementById('exportDataBtn');
+        const importDataBtn = document.getElementById('importDataBtn');
+        const importFileInput = document.getElementById('importFileInput');
+        const importModal = document.getElementById('importModal');
+        
+        if (exportDataBtn) {
+            exportDataBtn.addEventListener('click', () => {
+                this.exportUserData();
+            });
+        }
+        
+        if (importDataBtn && importFileInput) {
+            importDataBtn.addEventListener('click', () => {
+                importFileInput.click();
+            });
+            
+            importFileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                // 清空选择，允许再次选择同一个文件
+                e.target.value = '';
+                if (file) {
+                    await this.handleImportFile(file);
+                }
+            });
+        }
+        
+        if (importModal) {
+            importModal.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-import-mode]');
+                if (!button) return;
+                
+                const mode = button.dataset.importMode;
+                if (mode === 'cancel') {
+                    this.closeImportDialog();
+                } else {
+                    this.importUserData(mode);
+                }
+            });
+        }
     },
 
     /**
-     * 更新收藏按钮状态
+     * 导出收藏、进度和设置为JSON文件
      */
-    updateFavoriteButton() {
-        if (!this.currentBlessing) return;
-        
-        const blessingKey = this.getBlessingKey(this.currentBlessing);
-        const favoriteBtn = document.getElementById('favoriteBtn');
-        const favoriteText = favoriteBtn.querySelector('.favorite-text');
-        const favoriteIcon = favoriteBtn.querySelector('.favorite-icon');
-        
-        if (this.favorites.has(blessingKey)) {
-            favoriteBtn.classList.add('favorited');
-            favoriteText.textContent = '已收藏';
-            favoriteIcon.setAttribute('fill', 'currentColor');
-            favoriteIcon.setAttribute('stroke', 'none');
-        } else {
-            favoriteBtn.classList.remove('favorited');
-            favoriteText.textContent = '收藏';
-            favoriteIcon.setAttribute('fill', 'none');
-            favoriteIcon.setAttribute('stroke', 'currentColor');
+    exportUserData() {
+        try {
+            const backup = BackupManager.createBackup();
+            const date = backup.exportedAt.slice(0, 10).replace(/-/g, '');
+            this.downloadFile(`1024-blessings-backup-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+            this.showTemporaryMessage('备份文件已导出', 'success');
+        } catch (error) {
+            console.error('导出数据失败:', error);
+            this.showTemporaryMessage('导出失败，请重试', 'error');
         }
     },
 
     /**
-     * 切换收藏列表的显示/隐藏
+     * 触发浏览器下载文件
+     * @param {string} filename - 文件名
+     * @param {string|Blob} content - 文件内容
+     * @param {string} mimeType - 文件类型
      */
-    toggleFavoritesView() {
-        const favoritesSection = document.getElementById('favoritesSection');
-        const isVisible = favoritesSection.style.display !== 'none';
-        
-        if (isVisible) {
-            favoritesSection.style.display = 'none';
-            this.announceToScreenReader('收藏列表已关闭');
-        } else {
-            favoritesSection.style.display = 'block';
-            this.updateFavoritesList();
-            this.announceToScreenReader('收藏列表已打开');
-        }
+    downloadFile(filename, content, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     },
 
     /**
-     * 更新收藏数量显示
+     * 读取并校验用户选择的备份文件，校验通过后询问导入方式
+     * @param {File} file - 备份文件
      */
-    updateFavoritesCount() {
-        const favoritesCount = document.getElementById('favoritesCount');
-        if (favoritesCount) {
-            favoritesCount.textContent = `(${this.favorites.size})`;
+    async handleImportFile(file) {
+        try {
+            const content = await file.text();
+            this.pendingImport = BackupManager.parseBackup(content, {
+                blessings: this.allBlessings,
+                blessingMap: this.blessingMap
+            });
+            this.showImportDialog(this.pendingImport);
+        } catch (error) {
+            console.warn('⚠️ 导入备份失败:', error);
+            this.pendingImport = null;
+            this.showTemporaryMessage(`无法导入：${error.message}`, 'error');
         }
     },
 
     /**
-     * 更新收藏列表显示
+     * 显示导入确认弹窗
+     * @param {Object} backup - 已校验的备份
      */
-    updateFavoritesList() {
-        const favoritesList = document.getElementById('favoritesList');
-        if (!favoritesList) return;
-        
-        if (this.favorites.size === 0) {
-            favoritesList.innerHTML = `
-                <div class="empty-favorites">
-                    <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
-                    </svg>
-                    <p>还没有收藏任何祝福语</p>
-                    <p class="empty-tip">点击祝福语旁的❤️按钮来收藏喜欢的内容</p>
-                </div>
-            `;
-            return;
-        }
+    showImportDialog(backup) {
+        const modal = document.getElementById('importModal');
+        const text = document.getElementById('importModalText');
+        const summary = BackupManager.summarize(backup);
+        const exportedAt = new Date(backup.exportedAt);
         
-        let html = '';
-        Array.from(this.favorites).forEach((favoriteKey, index) => {
-            const [text, category] = favoriteKey.split('_');
-            html += `
-                <div class="favorite-item" role="listitem">
-                    <div class="favorite-content">
-                        <div class="favorite-text">${text}</div>
-                        <div class="favorite-category">${category}</div>
-                    </div>
-                    <div class="favorite-actions">
-                        <button class="favorite-action-btn" onclick="BlessingManager.copyFavoriteText('${text.replace(/'/g, "\\'")}');" aria-label="复制祝福语" title="复制">
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
-                                <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
-                            </svg>
-                        </button>
-                        <button class="favorite-action-btn remove" onclick="BlessingManager.removeFavorite('${favoriteKey}');" aria-label="删除收藏" title="删除">
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
-                                <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
-                            </svg>
-                        </button>
-                    </div>
-                </div>
-            `;
-        });
+        text.textContent = `备份导出于 ${isNaN(exportedAt) ? '未知时间' : exportedAt.toLocaleString('zh-CN')}，` +
+            `包含 ${summary.favorites} 条收藏、${summary.displayed} 条已浏览记录和 ${summary.seasons} 个往季记录。` +
+            '选择"合并"保留当前数据并加入备份内容，选择"覆盖"用备份替换当前数据。';
+        modal.style.display = 'flex';
         
-        favoritesList.innerHTML = html;
+        setTimeout(() => {
+            const firstButton = modal.querySelector('button');
+            if (firstButton) {
+                firstButton.focus();
+            }
+        }, 100);
     },
 
     /**
-     * 复制收藏的祝福语文本
+     * 关闭导入确认弹窗
      */
-    async copyFavoriteText(text) {
-        try {
-            await this.copyToClipboard(text);
-            this.showTemporaryMessage('祝福语已复制到剪贴板', 'success');
-        } catch (error) {
-            this.showTemporaryMessage('复制失败', 'error');
+    closeImportDialog() {
+        this.pendingImport = null;
+        const modal = document.getElementById('importModal');
+        if (modal) {
+            modal.style.display = 'none';
         }
     },
 
     /**
-     * 删除单个收藏
+     * 按指定方式导入待确认的备份
+     * @param {string} mode - 'merge' 或 'replace'
      */
-    removeFavorite(favoriteKey) {
-        this.favorites.delete(favoriteKey);
-        this.saveFavorites();
-        this.updateFavoritesCount();
-        this.updateFavoritesList();
-        this.updateFavoriteButton();
-        this.showTemporaryMessage('已删除收藏', 'info');
-        this.announceToScreenReader('已删除一条收藏');
+    importUserData(mode) {
+        if (!this.pendingImport) return;
+        
+        BackupManager.applyBackup(this.pendingImport, mode);
+        this.closeImportDialog();
+        this.reloadUserData();
+        
+        const message = mode === 'replace' ? '已用备份覆盖当前数据' : '备份已合并到当前数据';
+        this.showTemporaryMessage(message, 'success');
+        this.announceToScreenReader(message);
     },
 
     /**
-     * 清空所有收藏
+     * 从存储重新加载用户数据并刷新界面
      */
-    clearAllFavorites() {
-        if (this.favorites.size === 0) {
-            this.showTemporaryMessage('收藏列表已经是空的', 'info');
-            return;
+    reloadUserData() {
+        this.displayedBlessings = new Set();
+        this.favorites = new Map();
+        this.favoriteCollections = [];
+        this.favoriteFilter = { collectionId: '', tag: '', category: '', query: '' };
+        this.favoritesVisibleCount = this.favoritesPageSize;
+        this.unresolvedFavorites = [];
+        PageManager.clickCount = 0;
+        
+        this.loadProgressSettings();
+        this.applyRandomSeed(this.randomSeed);
+        this.loadProgress();
+        this.loadFavorites();
+        this.loadFavoriteSettings();
+        this.loadFavoritesTrash();
+        this.loadShareSettings();
+        this.loadSearchHistory();
+        
+        const shareToggle = document.getElementById('shareToggle');
+        const shareButtons = document.getElementById('shareButtons');
+        if (shareToggle && shareButtons) {
+            shareToggle.checked = this.shareEnabled;
+            shareButtons.style.display = this.shareEnabled ? 'block' : 'none';
         }
         
-        if (confirm(`确定要清空所有 ${this.favorites.size} 条收藏吗？此操作不可撤销。`)) {
-            this.favorites.clear();
-            this.saveFavorites();
-            this.updateFavoritesCount();
-            this.updateFavoritesList();
-            this.updateFavoriteButton();
-            this.showTemporaryMessage('已清空所有收藏', 'info');
-            this.announceToScreenReader('已清空所有收藏');
+        const favoriteToggle = document.getElementById('favoriteToggle');
+        if (favoriteToggle) {
+            favoriteToggle.checked = this.favoriteEnabled;
+            document.querySelectorAll('#favoriteBtn, #viewFavoritesBtn').forEach(btn => {
+                btn.style.display = this.favoriteEnabled ? 'block' : 'none';
+            });
         }
+        
+        const expirySelect = document.getElementById('progressExpirySelect');
+        if (expirySelect) {
+            expirySelect.value = String(this.progressExpiryDays);
+        }
+        
+        const retentionSelect = document.getElementById('trashRetentionSelect');
+        if (retentionSelect) {
+            retentionSelect.value = String(this.trashRetentionDays);
+        }
+        
+        document.getElementById('clickCount').textContent = PageManager.clickCount;
+        this.updatePageLayout();
+        this.updateCounter();
+        this.updateFavoritesCount();
+        this.updateFavoritesList();
+        this.updateFavoriteButton();
+        this.updateSeasonsList();
+        this.updateTrashList();
+        this.updateSearchHistory();
+        this.updateDrawSettings();
+        this.updateShareTemplateEditor();
     },
 
     /**
@@ -1056,7 +5944,7 @@ const BlessingManager = {
         const userGuide = document.getElementById('userGuide');
         if (userGuide) {
             userGuide.classList.add('hidden');
-            localStorage.setItem('1024_user_guide_hidden', 'true');
+            StorageManager.set('user_guide_hidden', true);
             this.announceToScreenReader('用户指引已关闭');
         }
     },
@@ -1076,7 +5964,7 @@ const BlessingManager = {
      * 检查是否应该显示用户指引
      */
     checkUserGuideVisibility() {
-        const isHidden = localStorage.getItem('1024_user_guide_hidden') === 'true';
+        const isHidden = StorageManager.get('user_guide_hidden') === true;
         const userGuide = document.getElementById('userGuide');
         
         if (userGuide) {
@@ -1088,7 +5976,7 @@ const BlessingManager = {
         }
 
         // 检查功能介绍显示状态
-        const isIntroHidden = localStorage.getItem('1024_feature_intro_hidden') === 'true';
+        const isIntroHidden = StorageManager.get('feature_intro_hidden') === true;
         const featureIntro = document.getElementById('featureIntro');
         
         if (featureIntro) {
@@ -1122,7 +6010,7 @@ const BlessingManager = {
      * 显示首次使用引导
      */
     showFirstTimeGuide() {
-        const isFirstTime = localStorage.getItem('1024_first_time_visit') !== 'false';
+        const isFirstTime = StorageManager.get('first_time_visit') !== false;
         
         if (isFirstTime) {
             const guideHtml = `
@@ -1165,7 +6053,7 @@ const BlessingManager = {
         }
         
         if (!showAgain) {
-            localStorage.setItem('1024_first_time_visit', 'false');
+            StorageManager.set('first_time_visit', false);
         }
         
         this.announceToScreenReader('欢迎使用新年祝福语生成器');
@@ -1176,43 +6064,158 @@ const BlessingManager = {
      * @returns {Object|null} 祝福语对象或null（如果没有未显示的）
      */
     getRandomUnDisplayedBlessing() {
-        // 首先从已加载的祝福语中查找未显示的
-        const loadedUnDisplayed = this.loadedBlessings.filter(blessing => 
-            !this.displayedBlessings.has(blessing.text)
-        );
+        const isCandidate = blessing =>
+            !this.displayedBlessings.has(blessing.id) && this.isCategorySelected(blessing.category);
         
-        // 如果已加载的祝福语不够，且还有更多页面可以加载
-        if (loadedUnDisplayed.length < 10 && this.currentPage * this.pageSize < this.allBlessings.length) {
+        // 首先从已加载的祝福语中查找，不够时继续加载下一页
+        let candidates = this.loadedBlessings.filter(isCandidate);
+        while (candidates.length < 10 && this.currentPage * this.pageSize < this.allBlessings.length) {
             this.loadNextPage();
-            // 重新获取未显示的祝福语
-            const updatedUnDisplayed = this.loadedBlessings.filter(blessing => 
-                !this.displayedBlessings.has(blessing.text)
-            );
+            candidates = this.loadedBlessings.filter(isCandidate);
+        }
+        
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        const stats = this.selectionMode === 'favor-unseen'
+            ? new Map(this.getCategoryStats().map(stat => [stat.category, stat]))
+            : null;
+        return RandomSource.pickWeighted(candidates, blessing => this.getBlessingWeight(blessing, stats));
+    },
+
+    /**
+     * 计算祝福语被抽中的权重：分类权重，优先未看模式下再乘以分类中未看过的比例
+     * @param {Object} blessing - 祝福语记录
+     * @param {Map<string, Object>|null} stats - 分类统计，仅优先未看模式需要
+     * @returns {number}
+     */
+    getBlessingWeight(blessing, stats) {
+        const weight = this.categoryWeights[blessing.category] || 1;
+        const stat = stats && stats.get(blessing.category);
+        return stat ? weight * (stat.total - stat.seen) / stat.total : weight;
+    },
+
+    /**
+     * 获取本地日期字符串
+     * @param {Date} date - 日期
+     * @returns {string} YYYY-MM-DD
+     */
+    getDateKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * 判断是否为10月24日程序员节
+     * @param {Date} date - 日期
+     * @returns {boolean}
+     */
+    isProgrammersDay(date) {
+        return date.getMonth() === 9 && date.getDate() === 24;
+    },
+
+    /**
+     * 获取某一天的每日祝福
+     * 只由日期和数据集版本决定，与个人进度、随机种子和自定义祝福语无关，所以同一天所有人看到的相同
+     * 10月24日从带"1024"标签的特别祝福池中选取
+     * @param {Date} [date=new Date()] - 日期
+     * @returns {Object|null} 祝福语记录
+     */
+    getDailyBlessing(date = new Date()) {
+        const datasetVersion = typeof BLESSING_DATABASE_VERSION !== 'undefined' ? BLESSING_DATABASE_VERSION : '';
+        const builtin = this.allBlessings
+            .filter(blessing => blessing.source === 'builtin' || blessing.source === 'legacy')
+            .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        const special = builtin.filter(blessing => blessing.tags.includes(this.specialDayTag));
+        const pool = this.isProgrammersDay(date) && special.length > 0 ? special : builtin;
+        if (pool.length === 0) return null;
+        
+        const hash = RandomSource.hashString(`${this.getDateKey(date)}|${datasetVersion}`);
+        return pool[hash % pool.length];
+    },
+
+    /**
+     * 初始化每日祝福卡片
+     */
+    initializeDailyBlessing() {
+        const card = document.getElementById('dailyBlessing');
+        if (!card) return;
+        
+        card.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            const blessing = this.getDailyBlessing();
+            if (!button || !blessing) return;
             
-            if (updatedUnDisplayed.length === 0) {
-                return null;
+            if (button.dataset.action === 'show') {
+                this.showSpecificBlessing(blessing.id);
+            } else if (button.dataset.action === 'copy') {
+                try {
+                    await this.copyToClipboard(`【今日祝福 ${this.getDateKey(new Date())}】${blessing.text}`);
+                    this.showTemporaryMessage('今日祝福已复制到剪贴板', 'success');
+                } catch (error) {
+                    this.showTemporaryMessage('复制失败', 'error');
+                }
             }
-            
-            const randomIndex = Math.floor(Math.random() * updatedUnDisplayed.length);
-            return updatedUnDisplayed[randomIndex];
+        });
+        
+        this.updateDailyBlessing();
+    },
+
+    /**
+     * 更新每日祝福卡片，日期没变时不做任何事（由时钟每秒调用，跨过午夜时自动换成新的一天）
+     */
+    updateDailyBlessing() {
+        const now = new Date();
+        const dateKey = this.getDateKey(now);
+        if (dateKey === this.dailyBlessingDate) return;
+        
+        const card = document.getElementById('dailyBlessing');
+        const blessing = this.getDailyBlessing(now);
+        if (!card || !blessing) return;
+        
+        this.dailyBlessingDate = dateKey;
+        const isSpecial = this.isProgrammersDay(now);
+        card.classList.toggle('special', isSpecial);
+        document.getElementById('dailyBlessingTitle').textContent = isSpecial
+            ? `🎉 1024程序员节特别祝福 · ${dateKey}`
+            : `今日祝福 · ${dateKey}`;
+        document.getElementById('dailyBlessingText').textContent = blessing.text;
+        document.getElementById('dailyBlessingCategory').textContent = blessing.category;
+    },
+
+    /**
+     * 读取种子（URL参数 ?seed= 优先于已保存的设置，但只在本次访问中生效）并按种子重新洗牌
+     */
+    initializeRandomSource() {
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        if (urlSeed !== null) {
+            this.savedSeed = this.randomSeed;
+            this.randomSeed = urlSeed;
         }
+        this.applyRandomSeed(this.randomSeed);
+    },
+
+    /**
+     * 应用随机种子：重置随机序列，并按种子重新排列祝福语
+     * @param {string} seed - 种子，空字符串表示不可复现的随机
+     */
+    applyRandomSeed(seed) {
+        this.randomSeed = seed.trim();
+        RandomSource.setSeed(this.randomSeed);
         
-        // 如果没有未显示的祝福语了
-        if (loadedUnDisplayed.length === 0) {
-            // 检查是否所有祝福语都已显示
-            if (this.displayedBlessings.size >= this.allBlessings.length) {
-                return null;
-            }
-            // 如果还有未加载的，加载下一页
-            if (this.currentPage * this.pageSize < this.allBlessings.length) {
-                this.loadNextPage();
-                return this.getRandomUnDisplayedBlessing();
-            }
-            return null;
+        if (this.randomSeed) {
+            // 先恢复为按id排序的固定顺序，相同种子才能得到相同的洗牌结果
+            this.allBlessings.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
         }
+        this.shuffleArray(this.allBlessings);
         
-        const randomIndex = Math.floor(Math.random() * loadedUnDisplayed.length);
-        return loadedUnDisplayed[randomIndex];
+        // 已加载的分页按新顺序重新加载
+        if (this.currentPage > 0) {
+            this.loadedBlessings = [];
+            this.currentPage = 0;
+            this.loadNextPage();
+        }
     },
     
     /**
@@ -1224,6 +6227,11 @@ const BlessingManager = {
             const blessing = specificBlessing || this.getRandomUnDisplayedBlessing();
             
             if (!blessing) {
+                // 只是所选分类看完了，还没有全部完成
+                if (this.selectedCategories.size > 0 && this.displayedBlessings.size < this.getAllBlessings().length) {
+                    this.showTemporaryMessage('所选分类的祝福语已经全部看过了，试试选择其他分类', 'info');
+                    return;
+                }
                 this.showCompletion();
                 return;
             }
@@ -1234,7 +6242,18 @@ const BlessingManager = {
             }
             
             this.currentBlessing = blessing;
-            this.displayedBlessings.add(blessing.text);
+            this.displayedBlessings.add(blessing.id);
+            
+            // 地址栏始终指向当前祝福语；从搜索或分类视图进入时保留原视图的历史记录，连续抽取则不新增记录
+            const fromView = this.isRouteType('search') || this.isRouteType('category');
+            this.updateRoute({ type: 'blessing', value: blessing.id }, !fromView);
+            
+            // 分享选项展开时二维码和文案预览跟随当前祝福语，避免扫到上一条
+            const shareOptions = document.getElementById('shareOptions');
+            if (shareOptions && shareOptions.style.display !== 'none') {
+                this.updateShareQRCode();
+                this.updateShareTemplatePreview();
+            }
             
             const textElement = document.getElementById('blessingText');
             const categoryElement = document.getElementById('blessingCategory');
@@ -1254,6 +6273,7 @@ const BlessingManager = {
             setTimeout(() => {
                 try {
                     textElement.textContent = blessing.text;
+                    categoryElement.textContent = blessing.category;
                     
                     // 显示新内容
                     textElement.classList.add('show');
@@ -1335,6 +6355,230 @@ const BlessingManager = {
     updateCounter() {
         document.getElementById('blessingCount').textContent = this.displayedBlessings.size;
         document.getElementById('totalBlessings').textContent = this.getAllBlessings().length;
+        this.updateCategoryPicker();
+    },
+
+    /**
+     * 统计每个分类的祝福语总数和已看数量
+     * @returns {Array<{category: string, total: number, seen: number}>} 按数据库中的分类顺序排列
+     */
+    getCategoryStats() {
+        const stats = new Map();
+        Object.keys(BLESSING_DATABASE).forEach(category => stats.set(category, { total: 0, seen: 0 }));
+        this.allBlessings.forEach(blessing => {
+            if (!stats.has(blessing.category)) {
+                stats.set(blessing.category, { total: 0, seen: 0 });
+            }
+            const stat = stats.get(blessing.category);
+            stat.total++;
+            if (this.displayedBlessings.has(blessing.id)) {
+                stat.seen++;
+            }
+        });
+        return Array.from(stats, ([category, stat]) => ({ category, ...stat }))
+            .filter(stat => stat.total > 0);
+    },
+
+    /**
+     * 判断分类是否在随机抽取范围内
+     * @param {string} category - 分类名
+     * @returns {boolean}
+     */
+    isCategorySelected(category) {
+        return this.selectedCategories.size === 0 || this.selectedCategories.has(category);
+    },
+
+    /**
+     * 切换分类的选中状态，空字符串表示"全部分类"
+     * 只选中一个分类时地址栏切换到该分类视图，方便分享和前进后退
+     * @param {string} category - 分类名
+     */
+    toggleCategory(category) {
+        if (!category) {
+            this.selectedCategories.clear();
+        } else if (this.selectedCategories.has(category)) {
+            this.selectedCategories.delete(category);
+        } else {
+            this.selectedCategories.add(category);
+        }
+        
+        // 选中了全部分类等同于不限分类
+        if (this.selectedCategories.size === this.getCategoryStats().length) {
+            this.selectedCategories.clear();
+        }
+        
+        // 用户主动选择分类后，临时的分类链接失效，保存新的选择
+        this.savedCategories = null;
+        this.saveProgressSettings();
+        this.updateCategoryPicker();
+        if (this.selectedCategories.size === 1) {
+            this.updateRoute({ type: 'category', value: Array.from(this.selectedCategories)[0] });
+        } else if (this.isRouteType('category')) {
+            this.updateRoute(this.getCurrentBlessingRoute());
+        }
+        this.announceToScreenReader(this.selectedCategories.size > 0
+            ? `将从${Array.from(this.selectedCategories).join('、')}中抽取祝福语`
+            : '将从全部分类中抽取祝福语');
+    },
+
+    /**
+     * 初始化分类选择器
+     */
+    initializeCategoryPicker() {
+        const picker = document.getElementById('categoryPicker');
+        if (!picker) return;
+        
+        picker.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-category]');
+            if (chip) {
+                this.toggleCategory(chip.dataset.category);
+            }
+        });
+        
+        this.updateCategoryPicker();
+    },
+
+    /**
+     * 初始化抽取设置：抽取方式、随机种子和分类权重
+     */
+    initializeDrawSettings() {
+        const modeSelect = document.getElementById('selectionModeSelect');
+        const seedForm = document.getElementById('randomSeedForm');
+        const weights = document.getElementById('categoryWeights');
+        
+        if (modeSelect) {
+            modeSelect.addEventListener('change', (e) => {
+                this.selectionMode = e.target.value;
+                this.saveProgressSettings();
+                this.announceToScreenReader(e.target.selectedOptions[0].textContent);
+            });
+        }
+        
+        if (seedForm) {
+            seedForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                // 用户主动设置种子后，URL参数中的临时种子失效，保存新的种子
+                this.savedSeed = null;
+                this.applyRandomSeed(document.getElementById('randomSeedInput').value);
+                this.saveProgressSettings();
+                this.showTemporaryMessage(this.randomSeed
+                    ? `已使用种子"${this.randomSeed}"，从相同进度开始会抽到相同的祝福语序列`
+                    : '已恢复完全随机', 'info');
+            });
+        }
+        
+        if (weights) {
+            weights.addEventListener('change', (e) => {
+                const category = e.target.dataset.category;
+                if (!category) return;
+                
+                const weight = Number(e.target.value);
+                if (weight === 1) {
+                    delete this.categoryWeights[category];
+                } else {
+                    this.categoryWeights[category] = weight;
+                }
+                this.saveProgressSettings();
+            });
+        }
+        
+        this.updateDrawSettings();
+    },
+
+    /**
+     * 将抽取设置同步到界面
+     */
+    updateDrawSettings() {
+        const modeSelect = document.getElementById('selectionModeSelect');
+        const seedInput = document.getElementById('randomSeedInput');
+        const weights = document.getElementById('categoryWeights');
+        
+        if (modeSelect) {
+            modeSelect.value = this.selectionMode;
+        }
+        if (seedInput) {
+            seedInput.value = this.randomSeed;
+        }
+        if (!weights) return;
+        
+        const weightLabels = { 0.5: '低', 1: '普通', 2: '高', 3: '很高' };
+        weights.textContent = '';
+        this.getCategoryStats().forEach(({ category }) => {
+            const label = document.createElement('label');
+            label.className = 'draw-setting';
+            label.append(`${category}权重`);
+            
+            const select = document.createElement('select');
+            select.className = 'seasons-select';
+            select.dataset.category = category;
+            this.categoryWeightOptions.forEach(weight => {
+                select.appendChild(new Option(`${weightLabels[weight]}（×${weight}）`, String(weight)));
+            });
+            select.value = String(this.categoryWeights[category] || 1);
+            
+            label.appendChild(select);
+            weights.appendChild(label);
+        });
+    },
+
+    /**
+     * 重新渲染分类选择器：每个分类显示总数和已看进度
+     */
+    updateCategoryPicker() {
+        const picker = document.getElementById('categoryPicker');
+        if (!picker) return;
+        
+        // 重新渲染后把焦点还给原来的分类
+        const focusedCategory = picker.contains(document.activeElement) ? document.activeElement.dataset.category : null;
+        const stats = this.getCategoryStats();
+        const total = stats.reduce((sum, stat) => sum + stat.total, 0);
+        const seen = stats.reduce((sum, stat) => sum + stat.seen, 0);
+        
+        picker.textContent = '';
+        picker.appendChild(this.createCategoryChip('', '全部分类', total, seen, this.selectedCategories.size === 0));
+        stats.forEach(stat => {
+            picker.appendChild(this.createCategoryChip(stat.category, stat.category, stat.total, stat.seen,
+                this.selectedCategories.has(stat.category)));
+        });
+        
+        if (focusedCategory !== null && focusedCategory !== undefined) {
+            Array.from(picker.children).find(chip => chip.dataset.category === focusedCategory)?.focus();
+        }
+    },
+
+    /**
+     * 创建分类选择按钮
+     * @param {string} category - 分类名，空字符串表示全部分类
+     * @param {string} label - 显示名称
+     * @param {number} total - 祝福语总数
+     * @param {number} seen - 已看数量
+     * @param {boolean} selected - 是否选中
+     * @returns {HTMLButtonElement}
+     */
+    createCategoryChip(category, label, total, seen, selected) {
+        const chip = document.createElement('button');
+        chip.className = `category-chip ${selected ? 'selected' : ''}`;
+        chip.dataset.category = category;
+        chip.setAttribute('aria-pressed', String(selected));
+        chip.setAttribute('aria-label', `${label}，共 ${total} 条，已看 ${seen} 条`);
+        
+        const name = document.createElement('span');
+        name.className = 'category-chip-name';
+        name.textContent = label;
+        
+        const count = document.createElement('span');
+        count.className = 'category-chip-count';
+        count.textContent = `${seen}/${total}`;
+        
+        const progress = document.createElement('span');
+        progress.className = 'category-chip-progress';
+        const bar = document.createElement('span');
+        bar.className = 'category-chip-bar';
+        bar.style.width = `${total > 0 ? Math.round(seen / total * 100) : 0}%`;
+        progress.appendChild(bar);
+        
+        chip.append(name, count, progress);
+        return chip;
     },
     
     /**
@@ -1405,6 +6649,7 @@ const BlessingManager = {
     reset() {
         this.displayedBlessings.clear();
         this.currentBlessing = null;
+        this.updateRoute({ type: 'home' }, true);
         
         // 重置分页状态
         this.loadedBlessings = [];
@@ -1445,18 +6690,21 @@ const BlessingManager = {
         
         // 键盘事件支持
         document.addEventListener('keydown', (event) => {
-            if (event.code === 'Space' && !event.target.matches('input, textarea, button')) {
+            // 表单控件和折叠面板标题需要空格键的默认行为（输入、展开下拉框、展开折叠面板）
+            if (event.code === 'Space' && !event.target.closest('input, textarea, select, button, summary, [contenteditable]')) {
                 event.preventDefault();
                 this.handleButtonClick(blessingDisplay, () => this.showBlessing());
             }
             if (event.code === 'Escape') {
                 this.closeCompletion();
+                this.closeImportDialog();
                 this.hideSearchResults();
             }
         });
 
-        // 祝福语显示区域的键盘支持
+        // 祝福语显示区域的键盘支持：只响应区域本身，区域内的分享按钮和模板输入框保留默认行为
         blessingDisplay.addEventListener('keydown', (e) => {
+            if (e.target !== blessingDisplay) return;
             if (e.code === 'Enter' || e.code === 'Space') {
                 e.preventDefault();
                 this.handleButtonClick(blessingDisplay, () => this.showBlessing());
@@ -1483,6 +6731,8 @@ const BlessingManager = {
             if (keyword) {
                 const results = this.searchBlessings(keyword);
                 this.showSearchResults(results, keyword);
+                this.recordSearch(keyword);
+                this.updateRoute({ type: 'search', value: keyword });
             }
         });
 
@@ -1501,47 +6751,30 @@ const BlessingManager = {
         if (shareBtn) {
             shareBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.toggleShareOptions();
-            });
-        }
-
-        // 分享到微信
-        const shareWeChat = document.getElementById('shareWeChat');
-        if (shareWeChat) {
-            shareWeChat.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.shareToWeChat();
-                this.toggleShareOptions();
-            });
-        }
-
-        // 分享到微博
-        const shareWeibo = document.getElementById('shareWeibo');
-        if (shareWeibo) {
-            shareWeibo.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.shareToWeibo();
-                this.toggleShareOptions();
+                this.share();
             });
         }
 
-        // 分享到QQ
-        const shareQQ = document.getElementById('shareQQ');
-        if (shareQQ) {
-            shareQQ.addEventListener('click', (e) => {
+        // 更多分享方式：无论是否支持系统分享都展开全部分享选项
+        const shareMoreBtn = document.getElementById('shareMoreBtn');
+        if (shareMoreBtn) {
+            shareMoreBtn.addEventListener('click', (e) => {
                 e.stopPropagation();
-                this.shareToQQ();
                 this.toggleShareOptions();
             });
         }
 
-        // 复制链接
-        const copyLink = document.getElementById('copyLink');
-        if (copyLink) {
-            copyLink.addEventListener('click', async (e) => {
+        // 分享选项按注册表渲染，点击统一在容器上处理
+        // 容器位于祝福语显示区域内，点击其中的二维码、模板编辑器等任何元素都不应触发抽取
+        this.renderShareOptions();
+        const shareOptions = document.getElementById('shareOptions');
+        if (shareOptions) {
+            shareOptions.addEventListener('click', (e) => {
                 e.stopPropagation();
-                await this.copyLink();
-                this.toggleShareOptions();
+                const button = e.target.closest('[data-share-target]');
+                if (button) {
+                    this.shareTo(button.dataset.shareTarget);
+                }
             });
         }
 
@@ -1553,6 +6786,9 @@ const BlessingManager = {
                 if (keyword) {
                     const results = this.searchBlessings(keyword);
                     this.showSearchResults(results, keyword);
+                    this.recordSearch(keyword);
+                    this.updateRoute({ type: 'search', value: keyword });
+                    this.hideSearchHistory();
                 }
             }
         });
@@ -1564,12 +6800,14 @@ const BlessingManager = {
             const keyword = e.target.value.trim();
             
             if (keyword.length >= 2) {
+                this.hideSearchHistory();
                 searchTimeout = setTimeout(() => {
                     const results = this.searchBlessings(keyword);
                     this.showSearchResults(results, keyword);
                 }, 500); // 延迟500ms进行搜索
             } else if (keyword.length === 0) {
                 this.hideSearchResults();
+                this.showSearchHistory();
             }
         });
 
@@ -1586,6 +6824,7 @@ const BlessingManager = {
                 const shareOptions = document.getElementById('shareOptions');
                 if (shareOptions && shareOptions.style.display === 'flex') {
                     shareOptions.style.display = 'none';
+                    document.getElementById('shareMoreBtn')?.setAttribute('aria-expanded', 'false');
                     this.announceToScreenReader('分享选项已关闭');
                 }
             }
@@ -1606,7 +6845,7 @@ const BlessingManager = {
                 const featureIntro = document.getElementById('featureIntro');
                 if (featureIntro) {
                     featureIntro.style.display = 'none';
-                    localStorage.setItem('1024_feature_intro_hidden', 'true');
+                    StorageManager.set('feature_intro_hidden', true);
                     this.announceToScreenReader('功能介绍已关闭');
                 }
             });
@@ -1664,6 +6903,7 @@ const PageManager = {
             weekday: 'long'
         };
         document.getElementById('dateDisplay').textContent = now.toLocaleDateString('zh-CN', options);
+        BlessingManager.updateDailyBlessing();
     },
     
     /**
@@ -1769,7 +7009,7 @@ const AppInitializer = {
                 console.log(`   总计: ${totalCount}条祝福语`);
                 console.log('💡 提示：点击页面或按空格键开始收集祝福语！');
                 
-                BlessingManager.init();
+                await BlessingManager.init();
             }, 3, 1000);
         } catch (error) {
             if (error.message.includes('祝福语数据库未加载')) {
@@ -1965,11 +7205,12 @@ const AppInitializer = {
             
             // 添加到页面
             document.body.appendChild(messageElement);
+            requestAnimationFrame(() => messageElement.classList.add('show'));
             
             // 自动移除
             setTimeout(() => {
                 if (messageElement.parentNode) {
-                    messageElement.style.opacity = '0';
+                    messageElement.classList.remove('show');
                     setTimeout(() => {
                         if (messageElement.parentNode) {
                             document.body.removeChild(messageElement);